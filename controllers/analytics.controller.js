@@ -1,4 +1,6 @@
 const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const { getZonedParts, getZonedMonthStart, resolveDateRange } = require('../utils/timezone');
 
 // GET /api/analytics/dashboard
 const getDashboardAnalytics = async (req, res) => {
@@ -26,8 +28,9 @@ const getDashboardAnalytics = async (req, res) => {
         //    - Doctor utilization rates
         // 3. Return dashboard metrics
 
-        const end = endDate ? new Date(endDate) : new Date();
-        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
+        // Dates are calendar days in the organization's timezone (default: last 30 days)
+        const { timezone } = await getOrganizationSettings(user.organization.id);
+        const { start, end } = resolveDateRange(startDate, endDate, timezone);
 
         // Get organization clinics
         const clinics = await prisma.clinic.findMany({
@@ -65,7 +68,7 @@ const getDashboardAnalytics = async (req, res) => {
                         in: clinicIds
                     },
                     createdAt: {
-                        gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1)
+                        gte: getZonedMonthStart(timezone)
                     }
                 }
             }),
@@ -175,8 +178,9 @@ const getAppointmentAnalytics = async (req, res) => {
         //    - Average wait times
         // 3. Return appointment analytics
 
-        const end = endDate ? new Date(endDate) : new Date();
-        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
+        // Dates are calendar days in the organization's timezone (default: last 30 days)
+        const { timezone } = await getOrganizationSettings(user.organization.id);
+        const { start, end } = resolveDateRange(startDate, endDate, timezone);
 
         // Get organization clinics
         const clinics = await prisma.clinic.findMany({
@@ -204,7 +208,15 @@ const getAppointmentAnalytics = async (req, res) => {
             select: {
                 status: true,
                 appointmentDate: true,
-                duration: true
+                duration: true,
+                appointmentType: {
+                    select: {
+                        id: true,
+                        name: true,
+                        color: true,
+                        fee: true
+                    }
+                }
             }
         });
 
@@ -221,7 +233,7 @@ const getAppointmentAnalytics = async (req, res) => {
         // Appointments by time of day
         const byTimeOfDay = Array.from({ length: 24 }, (_, hour) => {
             const hourAppointments = appointments.filter(a => {
-                const appointmentHour = new Date(a.appointmentDate).getHours();
+                const appointmentHour = getZonedParts(new Date(a.appointmentDate), timezone).hour;
                 return appointmentHour === hour;
             });
             return {
@@ -230,19 +242,82 @@ const getAppointmentAnalytics = async (req, res) => {
             };
         });
 
+        // Appointments by type (appointments without a type are grouped under a null type)
+        const byTypeId = new Map();
+        appointments.forEach(a => {
+            const typeId = a.appointmentType?.id || null;
+            if (!byTypeId.has(typeId)) {
+                byTypeId.set(typeId, {
+                    appointmentType: a.appointmentType && { id: a.appointmentType.id, name: a.appointmentType.name, color: a.appointmentType.color },
+                    total: 0,
+                    completed: 0,
+                    cancelled: 0,
+                    noShow: 0,
+                    bookedMinutes: 0,
+                    fees: 0
+                });
+            }
+
+            const breakdown = byTypeId.get(typeId);
+            breakdown.total++;
+            if (a.status === 'COMPLETED') {
+                breakdown.completed++;
+                breakdown.fees += a.appointmentType?.fee || 0; // at the type's current fee
+            }
+            if (a.status === 'CANCELLED') breakdown.cancelled++;
+            if (a.status === 'NO_SHOW') breakdown.noShow++;
+            if (a.status !== 'CANCELLED') breakdown.bookedMinutes += a.duration;
+        });
+        const byAppointmentType = [...byTypeId.values()].sort((a, b) => b.total - a.total);
+
         // No-show rate
         const totalAppointmentsCount = appointments.length;
         const noShowRate = totalAppointmentsCount > 0 ? (byStatus.noShow / totalAppointmentsCount) * 100 : 0;
 
-        // Average wait time (placeholder - implement based on your tracking system)
-        const averageWaitTime = 15; // minutes
+        // Wait (check-in to consultation start) and consultation times from the queue
+        const queueEntries = await prisma.queueEntry.findMany({
+            where: {
+                clinicId: {
+                    in: clinicIds
+                },
+                checkedInAt: {
+                    gte: start,
+                    lte: end
+                },
+                calledAt: {
+                    not: null
+                }
+            },
+            select: {
+                checkedInAt: true,
+                calledAt: true,
+                completedAt: true
+            }
+        });
+
+        const averageMinutes = (durations) => {
+            if (durations.length === 0) {
+                return null;
+            }
+
+            const total = durations.reduce((sum, duration) => sum + duration, 0);
+            return Math.round(total / durations.length / 60000);
+        };
+
+        const averageWaitTime = averageMinutes(queueEntries.map(entry => entry.calledAt - entry.checkedInAt)); // minutes
+        const averageConsultationTime = averageMinutes(queueEntries
+            .filter(entry => entry.completedAt)
+            .map(entry => entry.completedAt - entry.calledAt)); // minutes
 
         res.json({
             appointmentAnalytics: {
                 byStatus,
                 byTimeOfDay,
+                byAppointmentType,
+                timezone,
                 noShowRate,
-                averageWaitTime
+                averageWaitTime,
+                averageConsultationTime
             }
         });
     } catch (error) {
@@ -277,8 +352,9 @@ const getPatientAnalytics = async (req, res) => {
         //    - Top diagnoses/conditions
         // 3. Return patient analytics
 
-        const end = endDate ? new Date(endDate) : new Date();
-        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
+        // Dates are calendar days in the organization's timezone (default: last 30 days)
+        const { timezone } = await getOrganizationSettings(user.organization.id);
+        const { start, end } = resolveDateRange(startDate, endDate, timezone);
 
         // Get organization clinics
         const clinics = await prisma.clinic.findMany({
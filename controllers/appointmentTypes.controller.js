@@ -0,0 +1,251 @@
+const prisma = require('../lib/prisma');
+
+const appointmentTypeInclude = {
+    doctors: {
+        select: {
+            id: true,
+            name: true,
+            specialization: true
+        }
+    }
+};
+
+// Check every listed doctor is a doctor of the organization
+const findInvalidDoctors = async (doctorIds, organizationId) => {
+    const doctors = await prisma.user.findMany({
+        where: {
+            id: { in: doctorIds },
+            organizationId,
+            role: 'DOCTOR'
+        },
+        select: {
+            id: true
+        }
+    });
+
+    return doctorIds.filter(doctorId => !doctors.some(doctor => doctor.id === doctorId));
+};
+
+// GET /api/appointment-types
+const getAppointmentTypes = async (req, res) => {
+    try {
+        const { doctor, includeInactive } = req.query;
+
+        // 1. Get the organization's types, active ones unless asked otherwise
+        const appointmentTypes = await prisma.appointmentType.findMany({
+            where: {
+                organizationId: req.user.organizationId,
+                ...(includeInactive !== 'true' && { isActive: true }),
+                // Types a doctor offers: listed for them, or open to every doctor
+                ...(doctor && {
+                    OR: [
+                        { doctors: { some: { id: doctor } } },
+                        { doctors: { none: {} } }
+                    ]
+                })
+            },
+            include: appointmentTypeInclude,
+            orderBy: {
+                name: 'asc'
+            }
+        });
+
+        res.json({
+            appointmentTypes
+        });
+    } catch (error) {
+        console.error('Get appointment types error:', error);
+        res.status(500).json({ error: 'Failed to fetch appointment types' });
+    }
+};
+
+// GET /api/appointment-types/:id
+const getAppointmentTypeById = async (req, res) => {
+    try {
+        const appointmentType = await prisma.appointmentType.findFirst({
+            where: {
+                id: req.params.id,
+                organizationId: req.user.organizationId
+            },
+            include: appointmentTypeInclude
+        });
+
+        if (!appointmentType) {
+            return res.status(404).json({ error: 'Appointment type not found' });
+        }
+
+        res.json({
+            appointmentType
+        });
+    } catch (error) {
+        console.error('Get appointment type error:', error);
+        res.status(500).json({ error: 'Failed to fetch appointment type' });
+    }
+};
+
+// POST /api/appointment-types
+const createAppointmentType = async (req, res) => {
+    try {
+        const { name, duration, fee, color, instructions, doctorIds = [] } = req.body;
+        const organizationId = req.user.organizationId;
+
+        // 1. Check type name is unique within the organization
+        const existingType = await prisma.appointmentType.findFirst({
+            where: {
+                organizationId,
+                name
+            }
+        });
+
+        if (existingType) {
+            return res.status(400).json({ error: 'An appointment type with this name already exists' });
+        }
+
+        // 2. Listed doctors must belong to the organization
+        const invalidDoctors = await findInvalidDoctors(doctorIds, organizationId);
+        if (invalidDoctors.length > 0) {
+            return res.status(400).json({ error: 'Invalid doctor selected', invalidDoctors });
+        }
+
+        // 3. Create type
+        const appointmentType = await prisma.appointmentType.create({
+            data: {
+                organizationId,
+                name,
+                duration,
+                fee,
+                color,
+                instructions,
+                doctors: {
+                    connect: doctorIds.map(id => ({ id }))
+                }
+            },
+            include: appointmentTypeInclude
+        });
+
+        res.status(201).json({
+            appointmentType
+        });
+    } catch (error) {
+        console.error('Create appointment type error:', error);
+        res.status(500).json({ error: 'Failed to create appointment type' });
+    }
+};
+
+// PUT /api/appointment-types/:id
+const updateAppointmentType = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, duration, fee, color, instructions, doctorIds, isActive } = req.body;
+        const organizationId = req.user.organizationId;
+
+        // 1. Find type in user's organization
+        const existingType = await prisma.appointmentType.findFirst({
+            where: {
+                id,
+                organizationId
+            }
+        });
+
+        if (!existingType) {
+            return res.status(404).json({ error: 'Appointment type not found' });
+        }
+
+        // 2. Check a renamed type stays unique
+        if (name && name !== existingType.name) {
+            const duplicateType = await prisma.appointmentType.findFirst({
+                where: {
+                    organizationId,
+                    name
+                }
+            });
+
+            if (duplicateType) {
+                return res.status(400).json({ error: 'An appointment type with this name already exists' });
+            }
+        }
+
+        // 3. Listed doctors must belong to the organization
+        if (doctorIds) {
+            const invalidDoctors = await findInvalidDoctors(doctorIds, organizationId);
+            if (invalidDoctors.length > 0) {
+                return res.status(400).json({ error: 'Invalid doctor selected', invalidDoctors });
+            }
+        }
+
+        // 4. Update type; booked appointments keep their duration
+        const appointmentType = await prisma.appointmentType.update({
+            where: { id },
+            data: {
+                name,
+                duration,
+                fee,
+                color,
+                instructions,
+                isActive,
+                doctors: doctorIds ? { set: doctorIds.map(doctorId => ({ id: doctorId })) } : undefined
+            },
+            include: appointmentTypeInclude
+        });
+
+        res.json({
+            appointmentType
+        });
+    } catch (error) {
+        console.error('Update appointment type error:', error);
+        res.status(500).json({ error: 'Failed to update appointment type' });
+    }
+};
+
+// DELETE /api/appointment-types/:id
+const deleteAppointmentType = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Find type in user's organization
+        const appointmentType = await prisma.appointmentType.findFirst({
+            where: {
+                id,
+                organizationId: req.user.organizationId
+            },
+            include: {
+                _count: {
+                    select: {
+                        appointments: true
+                    }
+                }
+            }
+        });
+
+        if (!appointmentType) {
+            return res.status(404).json({ error: 'Appointment type not found' });
+        }
+
+        // 2. Types with appointments are deactivated so history and analytics keep them
+        if (appointmentType._count.appointments > 0) {
+            await prisma.appointmentType.update({
+                where: { id },
+                data: { isActive: false }
+            });
+
+            return res.json({ message: 'Appointment type is in use and has been deactivated' });
+        }
+
+        await prisma.appointmentType.delete({
+            where: { id }
+        });
+
+        res.json({ message: 'Appointment type deleted successfully' });
+    } catch (error) {
+        console.error('Delete appointment type error:', error);
+        res.status(500).json({ error: 'Failed to delete appointment type' });
+    }
+};
+
+module.exports = {
+    getAppointmentTypes,
+    getAppointmentTypeById,
+    createAppointmentType,
+    updateAppointmentType,
+    deleteAppointmentType
+};
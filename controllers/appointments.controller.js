@@ -1,4 +1,87 @@
 const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const {
+    BLOCKING_STATUSES,
+    checkClinicAvailability,
+    checkDoctorLeave,
+    findSchedulingConflicts,
+    formatConflictResponse,
+    checkAppointmentSlot,
+    getAvailableSlots,
+    getBookingPartiesError
+} = require('../utils/scheduling');
+const { generateOccurrences } = require('../utils/recurrence');
+const {
+    getTransitionError,
+    getStatusUpdateData,
+    recordAppointmentEvent,
+    diffAppointment
+} = require('../utils/appointmentStatus');
+const { publishAppointmentEvent } = require('../utils/realtime');
+const { sendAppointmentNotification } = require('../utils/notifications');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { appointmentListInclude, buildAppointmentFilter } = require('../utils/appointmentQuery');
+const { appointmentTypeSelect, resolveAppointmentType } = require('../utils/appointmentTypes');
+const { runBulkChange } = require('../utils/bulkAppointments');
+const { resourceSelect, resolveResources, getResourceChange } = require('../utils/resources');
+const { getNoShowPolicy, getPolicyBookingData, getRescheduledConfirmBy, recordPatientNoShow } = require('../utils/noShows');
+
+const appointmentInclude = {
+    patient: {
+        select: {
+            id: true,
+            name: true,
+            phone: true,
+            email: true
+        }
+    },
+    doctor: {
+        select: {
+            id: true,
+            name: true,
+            specialization: true
+        }
+    },
+    clinic: {
+        select: {
+            id: true,
+            name: true,
+            address: true
+        }
+    },
+    appointmentType: {
+        select: appointmentTypeSelect
+    },
+    resources: {
+        select: resourceSelect
+    }
+};
+
+// Active future occurrences of a series affected by a "following" or "series" edit
+const findSeriesTargets = (appointment, scope) => {
+    return prisma.appointment.findMany({
+        where: {
+            seriesId: appointment.seriesId,
+            status: {
+                in: ['SCHEDULED', 'CONFIRMED']
+            },
+            appointmentDate: {
+                gt: new Date(),
+                ...(scope === 'following' && { gte: appointment.appointmentDate })
+            }
+        },
+        include: {
+            resources: {
+                select: {
+                    id: true
+                }
+            }
+        },
+        orderBy: {
+            appointmentDate: 'asc'
+        }
+    });
+};
 
 // GET /api/appointments
 const getAppointments = async (req, res) => {
@@ -24,70 +107,18 @@ const getAppointments = async (req, res) => {
         // 4. Include patient and clinic details
         // 5. Return appointments list
 
-        const whereConditions = {
-            clinic: {
-                organizationId: user.organization.id
-            }
-        };
-
-        // Apply role-based filtering
-        if (user.role === 'DOCTOR') {
-            whereConditions.doctorId = userId;
-        }
-
-        // Filter by date
-        if (date) {
-            const startDate = new Date(date);
-            const endDate = new Date(date);
-            endDate.setDate(endDate.getDate() + 1);
-
-            whereConditions.appointmentDate = {
-                gte: startDate,
-                lt: endDate
-            };
-        }
-
-        // Filter by doctor
-        if (doctor) {
-            whereConditions.doctorId = doctor;
-        }
-
-        // Filter by clinic
-        if (clinic) {
-            whereConditions.clinicId = clinic;
-        }
-
-        // Filter by status
-        if (status) {
-            whereConditions.status = status;
-        }
+        const whereConditions = await buildAppointmentFilter({
+            organizationId: user.organization.id,
+            user: { id: userId, role: user.role },
+            date,
+            doctor,
+            clinic,
+            status
+        });
 
         const appointments = await prisma.appointment.findMany({
             where: whereConditions,
-            include: {
-                patient: {
-                    select: {
-                        id: true,
-                        name: true,
-                        phone: true,
-                        email: true
-                    }
-                },
-                doctor: {
-                    select: {
-                        id: true,
-                        name: true,
-                        specialization: true
-                    }
-                },
-                clinic: {
-                    select: {
-                        id: true,
-                        name: true,
-                        address: true
-                    }
-                }
-            },
+            include: appointmentListInclude,
             orderBy: {
                 appointmentDate: 'asc'
             }
@@ -105,7 +136,7 @@ const getAppointments = async (req, res) => {
 // POST /api/appointments
 const createAppointment = async (req, res) => {
     try {
-        const { patientId, doctorId, clinicId, appointmentDate, duration, notes } = req.body;
+        const { patientId, doctorId, clinicId, appointmentDate, appointmentTypeId, mode, resourceIds, notes } = req.body;
         const userId = req.user.userId;
 
         // Get user's organization
@@ -127,69 +158,81 @@ const createAppointment = async (req, res) => {
         // 5. Send confirmation notifications
         // 6. Return created appointment
 
-        // Validate patient belongs to organization
-        const patient = await prisma.patient.findFirst({
-            where: {
-                id: patientId,
-                clinic: {
-                    organizationId: user.organization.id
-                }
-            }
-        });
-
-        if (!patient) {
-            return res.status(400).json({ error: 'Invalid patient selected' });
+        // Validate patient, doctor and clinic belong to organization
+        const partiesError = await getBookingPartiesError({ patientId, doctorId, clinicId, organizationId: user.organization.id });
+        if (partiesError) {
+            return res.status(400).json({ error: partiesError });
         }
 
-        // Validate doctor belongs to organization
-        const doctor = await prisma.user.findFirst({
-            where: {
-                id: doctorId,
-                organizationId: user.organization.id,
-                role: 'DOCTOR'
+        // The appointment type must be offered by the doctor and sets the default length
+        let appointmentType = null;
+        if (appointmentTypeId) {
+            const typeResult = await resolveAppointmentType({ appointmentTypeId, organizationId: user.organization.id, doctorId });
+            if (typeResult.error) {
+                return res.status(400).json({ error: typeResult.error, code: typeResult.code });
             }
-        });
-
-        if (!doctor) {
-            return res.status(400).json({ error: 'Invalid doctor selected' });
+            appointmentType = typeResult.appointmentType;
         }
 
-        // Validate clinic belongs to organization
-        const clinic = await prisma.clinic.findFirst({
-            where: {
-                id: clinicId,
-                organizationId: user.organization.id
+        // Reserved rooms and equipment must belong to the clinic
+        let resources = [];
+        if (resourceIds?.length > 0) {
+            const resourceResult = await resolveResources({ resourceIds, clinicId });
+            if (resourceResult.error) {
+                return res.status(400).json(resourceResult);
             }
-        });
-
-        if (!clinic) {
-            return res.status(400).json({ error: 'Invalid clinic selected' });
+            resources = resourceResult.resources;
         }
 
+        const duration = req.body.duration || appointmentType?.duration || 30;
+
         // Validate appointment time (future date)
         const appointmentDateTime = new Date(appointmentDate);
         if (appointmentDateTime <= new Date()) {
             return res.status(400).json({ error: 'Appointment must be scheduled for a future date and time' });
         }
 
-        // Check for scheduling conflicts
-        const conflictingAppointment = await prisma.appointment.findFirst({
-            where: {
-                doctorId,
-                appointmentDate: {
-                    gte: new Date(appointmentDateTime.getTime() - (duration || 30) * 60 * 1000),
-                    lte: new Date(appointmentDateTime.getTime() + (duration || 30) * 60 * 1000)
-                },
-                status: {
-                    in: ['SCHEDULED', 'CONFIRMED']
-                }
-            }
+        // Validate appointment time (clinic opening hours and closures)
+        const clinicUnavailable = await checkClinicAvailability({
+            clinicId,
+            organizationId: user.organization.id,
+            start: appointmentDateTime,
+            duration
+        });
+
+        if (clinicUnavailable) {
+            return res.status(400).json(clinicUnavailable);
+        }
+
+        // Validate appointment time (doctor's leave)
+        const doctorOnLeave = await checkDoctorLeave({
+            doctorId,
+            organizationId: user.organization.id,
+            start: appointmentDateTime,
+            duration
         });
 
-        if (conflictingAppointment) {
-            return res.status(400).json({ error: 'Doctor has a conflicting appointment at this time' });
+        if (doctorOnLeave) {
+            return res.status(400).json(doctorOnLeave);
         }
 
+        // Check for scheduling conflicts (doctor, patient, rooms and equipment)
+        const conflicts = await findSchedulingConflicts({
+            start: appointmentDateTime,
+            duration,
+            doctorId,
+            patientId,
+            resourceIds: resources.map(resource => resource.id)
+        });
+
+        if (conflicts.length > 0) {
+            return res.status(400).json(formatConflictResponse(conflicts));
+        }
+
+        // Patients with repeated no-shows must confirm (or pay a deposit) in time
+        const settings = await getOrganizationSettings(user.organization.id);
+        const noShowPolicy = await getNoShowPolicy(patientId, settings);
+
         // Create appointment
         const appointment = await prisma.appointment.create({
             data: {
@@ -197,38 +240,30 @@ const createAppointment = async (req, res) => {
                 doctorId,
                 clinicId,
                 appointmentDate: appointmentDateTime,
-                duration: duration || 30,
-                notes,
-                status: 'SCHEDULED'
-            },
-            include: {
-                patient: {
-                    select: {
-                        id: true,
-                        name: true,
-                        phone: true,
-                        email: true
-                    }
-                },
-                doctor: {
-                    select: {
-                        id: true,
-                        name: true,
-                        specialization: true
-                    }
+                duration,
+                appointmentTypeId,
+                mode,
+                resources: {
+                    connect: resources.map(resource => ({ id: resource.id }))
                 },
-                clinic: {
-                    select: {
-                        id: true,
-                        name: true,
-                        address: true
+                notes,
+                status: 'SCHEDULED',
+                ...getPolicyBookingData(noShowPolicy, appointmentDateTime, settings),
+                events: {
+                    create: {
+                        type: 'CREATED',
+                        toStatus: 'SCHEDULED',
+                        actorId: userId
                     }
                 }
-            }
+            },
+            include: appointmentInclude
         });
 
-        // TODO: Send confirmation notifications
-        // await sendAppointmentConfirmation(appointment);
+        // Notify the patient in the background
+        sendAppointmentNotification('APPOINTMENT_CONFIRMATION', appointment.id);
+
+        publishAppointmentEvent('created', appointment, req.user.organizationId);
 
         res.status(201).json({
             appointment
@@ -239,6 +274,66 @@ const createAppointment = async (req, res) => {
     }
 };
 
+// GET /api/appointments/slots
+const getAvailableAppointmentSlots = async (req, res) => {
+    try {
+        const { doctor, clinic, date, duration, appointmentType, resources } = req.query;
+
+        // 1. Validate doctor belongs to organization
+        const doctorUser = await prisma.user.findFirst({
+            where: {
+                id: doctor,
+                organizationId: req.user.organizationId,
+                role: 'DOCTOR'
+            }
+        });
+
+        if (!doctorUser) {
+            return res.status(400).json({ error: 'Invalid doctor selected' });
+        }
+
+        // 2. Slots of an appointment type are as long as the type unless a duration is given
+        let typeDuration;
+        if (appointmentType) {
+            const typeResult = await resolveAppointmentType({ appointmentTypeId: appointmentType, organizationId: req.user.organizationId, doctorId: doctor });
+            if (typeResult.error) {
+                return res.status(400).json({ error: typeResult.error, code: typeResult.code });
+            }
+            typeDuration = typeResult.appointmentType.duration;
+        }
+
+        // 3. Rooms and equipment that must also be free belong to one clinic
+        if (resources) {
+            if (!clinic) {
+                return res.status(400).json({ error: 'Clinic is required when searching with resources' });
+            }
+
+            const resourceResult = await resolveResources({ resourceIds: resources, clinicId: clinic });
+            if (resourceResult.error) {
+                return res.status(400).json(resourceResult);
+            }
+        }
+
+        // 4. Compute bookable slots from the doctor's schedule, clinic hours and bookings
+        const availability = await getAvailableSlots({
+            organizationId: req.user.organizationId,
+            doctorId: doctor,
+            clinicId: clinic,
+            date,
+            duration: duration || typeDuration,
+            resourceIds: resources
+        });
+
+        res.json({
+            doctorId: doctor,
+            ...availability
+        });
+    } catch (error) {
+        console.error('Get available slots error:', error);
+        res.status(500).json({ error: 'Failed to fetch available slots' });
+    }
+};
+
 // GET /api/appointments/:id
 const getAppointmentById = async (req, res) => {
     try {
@@ -307,6 +402,16 @@ const getAppointmentById = async (req, res) => {
                         address: true,
                         phone: true
                     }
+                },
+                appointmentType: {
+                    select: {
+                        ...appointmentTypeSelect,
+                        fee: true,
+                        instructions: true
+                    }
+                },
+                resources: {
+                    select: resourceSelect
                 }
             }
         });
@@ -328,7 +433,7 @@ const getAppointmentById = async (req, res) => {
 const updateAppointment = async (req, res) => {
     try {
         const { id } = req.params;
-        const { patientId, doctorId, clinicId, appointmentDate, duration, notes, status } = req.body;
+        const { patientId, doctorId, clinicId, appointmentDate, duration, appointmentTypeId, mode, resourceIds, notes, status, cancellationReason } = req.body;
         const userId = req.user.userId;
 
         // Get user's organization
@@ -363,93 +468,563 @@ const updateAppointment = async (req, res) => {
         }
 
         const existingAppointment = await prisma.appointment.findFirst({
-            where: whereConditions
+            where: whereConditions,
+            include: {
+                resources: {
+                    select: {
+                        id: true
+                    }
+                }
+            }
         });
 
         if (!existingAppointment) {
             return res.status(404).json({ error: 'Appointment not found' });
         }
 
-        // Validate status changes
-        if (status && !['SCHEDULED', 'CONFIRMED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'NO_SHOW'].includes(status)) {
-            return res.status(400).json({ error: 'Invalid appointment status' });
+        // Edits to "this and following" or the whole series apply to every active occurrence
+        const scope = req.query.scope || 'this';
+        if (scope !== 'this' && existingAppointment.seriesId) {
+            return updateSeriesOccurrences(req, res, existingAppointment, scope);
         }
 
-        // Check for conflicts if appointment time is being changed
-        if (appointmentDate && appointmentDate !== existingAppointment.appointmentDate) {
-            const appointmentDateTime = new Date(appointmentDate);
-            if (appointmentDateTime <= new Date()) {
-                return res.status(400).json({ error: 'Appointment must be scheduled for a future date and time' });
+        // Validate status changes against the lifecycle
+        const statusChanged = !!status && status !== existingAppointment.status;
+        if (statusChanged) {
+            const transitionError = getTransitionError(existingAppointment, status, { reason: cancellationReason });
+            if (transitionError) {
+                return res.status(400).json(transitionError);
             }
+        }
 
-            const conflictingAppointment = await prisma.appointment.findFirst({
-                where: {
-                    doctorId: doctorId || existingAppointment.doctorId,
-                    id: { not: id },
-                    appointmentDate: {
-                        gte: new Date(appointmentDateTime.getTime() - (duration || existingAppointment.duration) * 60 * 1000),
-                        lte: new Date(appointmentDateTime.getTime() + (duration || existingAppointment.duration) * 60 * 1000)
-                    },
-                    status: {
-                        in: ['SCHEDULED', 'CONFIRMED']
+        // A new time must be in the future
+        const newAppointmentDate = appointmentDate ? new Date(appointmentDate) : existingAppointment.appointmentDate;
+        const rescheduled = newAppointmentDate.getTime() !== existingAppointment.appointmentDate.getTime();
+        if (rescheduled && newAppointmentDate <= new Date()) {
+            return res.status(400).json({ error: 'Appointment must be scheduled for a future date and time' });
+        }
+
+        const changes = diffAppointment(existingAppointment, {
+            patientId,
+            doctorId,
+            clinicId,
+            appointmentDate: appointmentDate ? newAppointmentDate : undefined,
+            duration,
+            appointmentTypeId,
+            mode,
+            notes
+        });
+
+        const currentResourceIds = existingAppointment.resources.map(resource => resource.id);
+        const resourceChange = getResourceChange(currentResourceIds, resourceIds);
+        if (resourceChange) {
+            changes.resourceIds = resourceChange;
+        }
+        const newResourceIds = resourceChange ? resourceChange.to : currentResourceIds;
+
+        // A new type, or a new doctor for the current type, must be offered by the doctor
+        const newAppointmentTypeId = appointmentTypeId === undefined ? existingAppointment.appointmentTypeId : appointmentTypeId;
+        if (newAppointmentTypeId && (changes.appointmentTypeId || changes.doctorId)) {
+            const typeResult = await resolveAppointmentType({
+                appointmentTypeId: newAppointmentTypeId,
+                organizationId: user.organization.id,
+                doctorId: doctorId || existingAppointment.doctorId,
+                allowInactive: !changes.appointmentTypeId
+            });
+
+            if (typeResult.error) {
+                return res.status(400).json({ error: typeResult.error, code: typeResult.code });
+            }
+        }
+
+        // Re-check clinic hours when the time, length or clinic changes
+        if (changes.appointmentDate || changes.duration || changes.clinicId) {
+            if (changes.clinicId) {
+                const clinic = await prisma.clinic.findFirst({
+                    where: {
+                        id: clinicId,
+                        organizationId: user.organization.id
                     }
+                });
+
+                if (!clinic) {
+                    return res.status(400).json({ error: 'Invalid clinic selected' });
                 }
+            }
+
+            const clinicUnavailable = await checkClinicAvailability({
+                clinicId: clinicId || existingAppointment.clinicId,
+                organizationId: user.organization.id,
+                start: appointmentDate ? new Date(appointmentDate) : existingAppointment.appointmentDate,
+                duration: duration || existingAppointment.duration
             });
 
-            if (conflictingAppointment) {
-                return res.status(400).json({ error: 'Doctor has a conflicting appointment at this time' });
+            if (clinicUnavailable) {
+                return res.status(400).json(clinicUnavailable);
             }
         }
 
+        // Reserved resources must belong to the (new) clinic
+        if ((changes.resourceIds || changes.clinicId) && newResourceIds.length > 0) {
+            const resourceResult = await resolveResources({
+                resourceIds: newResourceIds,
+                clinicId: clinicId || existingAppointment.clinicId,
+                allowInactive: !changes.resourceIds
+            });
+
+            if (resourceResult.error) {
+                return res.status(400).json(resourceResult);
+            }
+        }
+
+        // Check for leave and conflicts when who, where or when changes on an active appointment
+        const schedulingChanged = ['appointmentDate', 'duration', 'doctorId', 'patientId', 'clinicId', 'resourceIds'].some(field => changes[field]);
+        if (schedulingChanged && BLOCKING_STATUSES.includes(status || existingAppointment.status)) {
+            if (changes.appointmentDate || changes.duration || changes.doctorId) {
+                const doctorOnLeave = await checkDoctorLeave({
+                    doctorId: doctorId || existingAppointment.doctorId,
+                    organizationId: user.organization.id,
+                    start: appointmentDate ? new Date(appointmentDate) : existingAppointment.appointmentDate,
+                    duration: duration || existingAppointment.duration
+                });
+
+                if (doctorOnLeave) {
+                    return res.status(400).json(doctorOnLeave);
+                }
+            }
+
+            const conflicts = await findSchedulingConflicts({
+                start: appointmentDate ? new Date(appointmentDate) : existingAppointment.appointmentDate,
+                duration: duration || existingAppointment.duration,
+                doctorId: doctorId || existingAppointment.doctorId,
+                patientId: patientId || existingAppointment.patientId,
+                resourceIds: newResourceIds,
+                excludeAppointmentIds: [id]
+            });
+
+            if (conflicts.length > 0) {
+                return res.status(400).json(formatConflictResponse(conflicts));
+            }
+        }
+
+        // Record what changed in the appointment's history
+        const events = [];
+        if (Object.keys(changes).length > 0) {
+            events.push(recordAppointmentEvent({
+                appointmentId: id,
+                type: changes.appointmentDate ? 'RESCHEDULED' : 'UPDATED',
+                actorId: userId,
+                changes
+            }));
+        }
+
+        if (statusChanged) {
+            events.push(recordAppointmentEvent({
+                appointmentId: id,
+                type: 'STATUS_CHANGED',
+                actorId: userId,
+                fromStatus: existingAppointment.status,
+                toStatus: status,
+                reason: cancellationReason
+            }));
+        }
+
+        if (statusChanged && status === 'NO_SHOW') {
+            events.push(recordPatientNoShow(existingAppointment.patientId));
+        }
+
+        // A policy appointment that moves gets a new confirmation deadline
+        const confirmBy = rescheduled
+            ? getRescheduledConfirmBy(existingAppointment, newAppointmentDate, await getOrganizationSettings(user.organization.id))
+            : undefined;
+
         // Update appointment
-        const updatedAppointment = await prisma.appointment.update({
-            where: { id },
+        const [updatedAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id },
+                data: {
+                    patientId,
+                    doctorId,
+                    clinicId,
+                    appointmentDate: appointmentDate ? newAppointmentDate : undefined,
+                    duration,
+                    appointmentTypeId,
+                    mode,
+                    resources: resourceChange ? { set: resourceChange.to.map(resourceId => ({ id: resourceId })) } : undefined,
+                    notes,
+                    confirmBy,
+                    ...(Object.keys(changes).length > 0 && { sequence: { increment: 1 } }),
+                    ...(statusChanged && getStatusUpdateData(status, cancellationReason))
+                },
+                include: appointmentInclude
+            }),
+            ...events
+        ]);
+
+        // Notify the patient and offer the freed slot to the waitlist in the background
+        if (updatedAppointment.status === 'CANCELLED') {
+            sendAppointmentNotification('APPOINTMENT_CANCELLED', id);
+            offerFreedSlot(existingAppointment, req.user.organizationId);
+        } else if (rescheduled) {
+            sendAppointmentNotification('APPOINTMENT_RESCHEDULED', id, { previousDate: existingAppointment.appointmentDate });
+            offerFreedSlot(existingAppointment, req.user.organizationId);
+        }
+
+        publishAppointmentEvent(updatedAppointment.status === 'CANCELLED' ? 'cancelled' : 'updated', updatedAppointment, req.user.organizationId);
+
+        res.json({
+            appointment: updatedAppointment
+        });
+    } catch (error) {
+        console.error('Update appointment error:', error);
+        res.status(404).json({ error: 'Appointment not found' });
+    }
+};
+
+// PUT /api/appointments/:id?scope=following|series
+const updateSeriesOccurrences = async (req, res, existingAppointment, scope) => {
+    try {
+        const { patientId, doctorId, clinicId, appointmentDate, duration, appointmentTypeId, mode, resourceIds, notes, status } = req.body;
+
+        // 1. Status is tracked per visit, so it can only change one occurrence at a time
+        if (status && status !== existingAppointment.status) {
+            return res.status(400).json({ error: 'Status can only be changed for a single occurrence' });
+        }
+
+        // 2. A new date moves every occurrence in scope by the same amount
+        const targets = await findSeriesTargets(existingAppointment, scope);
+
+        if (targets.length === 0) {
+            return res.status(400).json({ error: 'No upcoming occurrences to update' });
+        }
+
+        const shiftMs = appointmentDate ? new Date(appointmentDate).getTime() - existingAppointment.appointmentDate.getTime() : 0;
+        const targetIds = targets.map(target => target.id);
+
+        const changes = targets.map(target => ({
+            id: target.id,
+            patientId: patientId || target.patientId,
+            doctorId: doctorId || target.doctorId,
+            clinicId: clinicId || target.clinicId,
+            start: new Date(target.appointmentDate.getTime() + shiftMs),
+            duration: duration || target.duration,
+            appointmentTypeId: appointmentTypeId === undefined ? target.appointmentTypeId : appointmentTypeId,
+            resourceIds: resourceIds === undefined ? target.resources.map(resource => resource.id) : [...new Set(resourceIds)]
+        }));
+
+        // 3. Check every occurrence before changing any of them
+        const partiesError = await getBookingPartiesError({
+            patientId: changes[0].patientId,
+            doctorId: changes[0].doctorId,
+            clinicId: changes[0].clinicId,
+            organizationId: req.user.organizationId
+        });
+
+        if (partiesError) {
+            return res.status(400).json({ error: partiesError });
+        }
+
+        // A new type, or a new doctor for the current types, must be offered by the doctor
+        if (appointmentTypeId || doctorId) {
+            const typeIds = [...new Set(changes.map(change => change.appointmentTypeId).filter(Boolean))];
+            for (const typeId of typeIds) {
+                const typeResult = await resolveAppointmentType({
+                    appointmentTypeId: typeId,
+                    organizationId: req.user.organizationId,
+                    doctorId: changes[0].doctorId,
+                    allowInactive: typeId !== appointmentTypeId
+                });
+
+                if (typeResult.error) {
+                    return res.status(400).json({ error: typeResult.error, code: typeResult.code });
+                }
+            }
+        }
+
+        // New resources, or the current ones at a new clinic, must belong to the clinic
+        const changedResourceIds = [...new Set(changes.flatMap(change => change.resourceIds))];
+        if ((resourceIds || clinicId) && changedResourceIds.length > 0) {
+            const resourceResult = await resolveResources({
+                resourceIds: changedResourceIds,
+                clinicId: changes[0].clinicId,
+                allowInactive: !resourceIds
+            });
+
+            if (resourceResult.error) {
+                return res.status(400).json(resourceResult);
+            }
+        }
+
+        const occurrences = [];
+        for (const change of changes) {
+            const problem = await checkAppointmentSlot({
+                ...change,
+                organizationId: req.user.organizationId,
+                excludeAppointmentIds: targetIds
+            });
+            occurrences.push({ appointmentId: change.id, start: change.start, bookable: !problem, ...(problem && { problem }) });
+        }
+
+        const blocked = occurrences.filter(occurrence => !occurrence.bookable);
+        if (blocked.length > 0) {
+            return res.status(400).json({
+                error: `${blocked.length} of ${occurrences.length} occurrences cannot be moved`,
+                code: 'SERIES_CONFLICT',
+                occurrences
+            });
+        }
+
+        // 4. Update occurrences (and the series defaults for whole-series edits)
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const updatedAppointments = await prisma.$transaction([
+            ...changes.map(change => prisma.appointment.update({
+                where: { id: change.id },
+                data: {
+                    patientId: change.patientId,
+                    doctorId: change.doctorId,
+                    clinicId: change.clinicId,
+                    appointmentDate: change.start,
+                    duration: change.duration,
+                    appointmentTypeId: change.appointmentTypeId,
+                    mode,
+                    resources: resourceIds ? { set: change.resourceIds.map(resourceId => ({ id: resourceId })) } : undefined,
+                    notes,
+                    confirmBy: shiftMs !== 0 ? getRescheduledConfirmBy(targets.find(target => target.id === change.id), change.start, settings) : undefined,
+                    sequence: { increment: 1 }
+                },
+                include: appointmentInclude
+            })),
+            ...changes.map(change => {
+                const target = targets.find(target => target.id === change.id);
+                const fieldChanges = diffAppointment(target, {
+                    patientId: change.patientId,
+                    doctorId: change.doctorId,
+                    clinicId: change.clinicId,
+                    appointmentDate: change.start,
+                    duration: change.duration,
+                    appointmentTypeId: change.appointmentTypeId,
+                    mode,
+                    notes
+                });
+
+                const resourceChange = getResourceChange(target.resources.map(resource => resource.id), resourceIds && change.resourceIds);
+                if (resourceChange) {
+                    fieldChanges.resourceIds = resourceChange;
+                }
+
+                return recordAppointmentEvent({
+                    appointmentId: change.id,
+                    type: fieldChanges.appointmentDate ? 'RESCHEDULED' : 'UPDATED',
+                    actorId: req.user.id,
+                    changes: fieldChanges
+                });
+            }),
+            ...(scope === 'series' ? [prisma.appointmentSeries.update({
+                where: { id: existingAppointment.seriesId },
+                data: {
+                    patientId,
+                    doctorId,
+                    clinicId,
+                    duration,
+                    notes
+                }
+            })] : [])
+        ]);
+
+        const appointments = updatedAppointments.slice(0, changes.length);
+        appointments.forEach(appointment => publishAppointmentEvent('updated', appointment, req.user.organizationId));
+
+        // One notice covers every moved occurrence; the vacated slots go to the waitlist
+        if (shiftMs !== 0) {
+            sendAppointmentNotification('APPOINTMENT_RESCHEDULED', appointments[0].id, {
+                previousDate: targets[0].appointmentDate,
+                seriesDates: appointments.map(appointment => appointment.appointmentDate)
+            });
+            targets.forEach(target => offerFreedSlot(target, req.user.organizationId));
+        }
+
+        res.json({
+            scope,
+            appointments
+        });
+    } catch (error) {
+        console.error('Update appointment series error:', error);
+        res.status(500).json({ error: 'Failed to update appointment series' });
+    }
+};
+
+// POST /api/appointments/series
+const createAppointmentSeries = async (req, res) => {
+    try {
+        const { patientId, doctorId, clinicId, appointmentDate, appointmentTypeId, mode, resourceIds, notes, recurrence, skipConflicts } = req.body;
+        const organizationId = req.user.organizationId;
+
+        // 1. Validate patient, doctor and clinic belong to organization
+        const partiesError = await getBookingPartiesError({ patientId, doctorId, clinicId, organizationId });
+        if (partiesError) {
+            return res.status(400).json({ error: partiesError });
+        }
+
+        // The appointment type must be offered by the doctor and sets the default length
+        let appointmentType = null;
+        if (appointmentTypeId) {
+            const typeResult = await resolveAppointmentType({ appointmentTypeId, organizationId, doctorId });
+            if (typeResult.error) {
+                return res.status(400).json({ error: typeResult.error, code: typeResult.code });
+            }
+            appointmentType = typeResult.appointmentType;
+        }
+
+        // Reserved rooms and equipment must belong to the clinic
+        let resources = [];
+        if (resourceIds?.length > 0) {
+            const resourceResult = await resolveResources({ resourceIds, clinicId });
+            if (resourceResult.error) {
+                return res.status(400).json(resourceResult);
+            }
+            resources = resourceResult.resources;
+        }
+
+        const duration = req.body.duration || appointmentType?.duration || 30;
+
+        // 2. Expand the recurrence rule in the organization's timezone
+        const settings = await getOrganizationSettings(organizationId);
+        const starts = generateOccurrences({ start: new Date(appointmentDate), ...recurrence }, settings.timezone);
+
+        if (starts.length < 2) {
+            return res.status(400).json({ error: 'Recurrence must produce at least two occurrences' });
+        }
+
+        // 3. Check every occurrence (hours, closures and conflicts)
+        const occurrences = [];
+        for (const [index, start] of starts.entries()) {
+            const problem = await checkAppointmentSlot({
+                organizationId,
+                start,
+                duration,
+                doctorId,
+                patientId,
+                clinicId,
+                resourceIds: resources.map(resource => resource.id)
+            });
+            occurrences.push({ index, start, bookable: !problem, ...(problem && { problem }) });
+        }
+
+        const bookable = occurrences.filter(occurrence => occurrence.bookable);
+        const skipped = occurrences.filter(occurrence => !occurrence.bookable);
+
+        // 4. Refuse the whole series on conflicts unless asked to skip them
+        if (skipped.length > 0 && (!skipConflicts || bookable.length === 0)) {
+            return res.status(400).json({
+                error: `${skipped.length} of ${occurrences.length} occurrences cannot be booked`,
+                code: 'SERIES_CONFLICT',
+                occurrences
+            });
+        }
+
+        // 5. Create the series with its bookable occurrences (each confirmed separately under the no-show policy)
+        const noShowPolicy = await getNoShowPolicy(patientId, settings);
+        const series = await prisma.appointmentSeries.create({
             data: {
                 patientId,
                 doctorId,
                 clinicId,
-                appointmentDate: appointmentDate ? new Date(appointmentDate) : undefined,
+                frequency: recurrence.frequency,
+                interval: recurrence.interval,
+                count: recurrence.count,
+                until: recurrence.until ? new Date(`${recurrence.until.slice(0, 10)}T00:00:00.000Z`) : undefined,
                 duration,
                 notes,
-                status
+                createdBy: req.user.id,
+                appointments: {
+                    create: bookable.map(occurrence => ({
+                        patientId,
+                        doctorId,
+                        clinicId,
+                        appointmentDate: occurrence.start,
+                        duration,
+                        appointmentTypeId,
+                        mode,
+                        resources: {
+                            connect: resources.map(resource => ({ id: resource.id }))
+                        },
+                        notes,
+                        status: 'SCHEDULED',
+                        ...getPolicyBookingData(noShowPolicy, occurrence.start, settings),
+                        events: {
+                            create: {
+                                type: 'CREATED',
+                                toStatus: 'SCHEDULED',
+                                actorId: req.user.id
+                            }
+                        }
+                    }))
+                }
             },
             include: {
-                patient: {
-                    select: {
-                        id: true,
-                        name: true,
-                        phone: true,
-                        email: true
+                appointments: {
+                    orderBy: {
+                        appointmentDate: 'asc'
                     }
-                },
-                doctor: {
-                    select: {
-                        id: true,
-                        name: true,
-                        specialization: true
+                }
+            }
+        });
+
+        series.appointments.forEach(appointment => publishAppointmentEvent('created', appointment, organizationId));
+
+        // One confirmation lists every booked occurrence
+        sendAppointmentNotification('APPOINTMENT_CONFIRMATION', series.appointments[0].id, {
+            seriesDates: series.appointments.map(appointment => appointment.appointmentDate)
+        });
+
+        res.status(201).json({
+            series,
+            skipped
+        });
+    } catch (error) {
+        console.error('Create appointment series error:', error);
+        res.status(500).json({ error: 'Failed to create appointment series' });
+    }
+};
+
+// GET /api/appointments/series/:seriesId
+const getAppointmentSeries = async (req, res) => {
+    try {
+        const { seriesId } = req.params;
+
+        // 1. Find series with occurrences in user's organization (doctors see only their own)
+        const series = await prisma.appointmentSeries.findFirst({
+            where: {
+                id: seriesId,
+                ...(req.user.role === 'DOCTOR' && { doctorId: req.user.id }),
+                appointments: {
+                    some: {
+                        clinic: {
+                            organizationId: req.user.organizationId
+                        }
                     }
-                },
-                clinic: {
-                    select: {
-                        id: true,
-                        name: true,
-                        address: true
+                }
+            },
+            include: {
+                appointments: {
+                    include: appointmentInclude,
+                    orderBy: {
+                        appointmentDate: 'asc'
                     }
                 }
             }
         });
 
-        // TODO: Send update notifications if needed
-        // if (status !== existingAppointment.status) {
-        //     await sendAppointmentStatusUpdate(updatedAppointment);
-        // }
+        if (!series) {
+            return res.status(404).json({ error: 'Appointment series not found' });
+        }
 
         res.json({
-            appointment: updatedAppointment
+            series
         });
     } catch (error) {
-        console.error('Update appointment error:', error);
-        res.status(404).json({ error: 'Appointment not found' });
+        console.error('Get appointment series error:', error);
+        res.status(500).json({ error: 'Failed to fetch appointment series' });
     }
 };
 
@@ -458,6 +1033,7 @@ const deleteAppointment = async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.userId;
+        const reason = req.body?.reason || req.query.reason;
 
         // Get user's organization
         const user = await prisma.user.findUnique({
@@ -473,9 +1049,9 @@ const deleteAppointment = async (req, res) => {
 
         // 1. Find appointment by ID
         // 2. Check if appointment belongs to user's organization
-        // 3. Check if appointment can be cancelled (not in past, not completed)
+        // 3. Check if appointment can be cancelled (not in past, allowed by the lifecycle, reason given)
         // 4. Update status to CANCELLED
-        // 5. Send cancellation notifications
+        // 5. Send cancellation notifications and offer the slot to the waitlist
         // 6. Return success message
 
         const whereConditions = {
@@ -498,23 +1074,91 @@ const deleteAppointment = async (req, res) => {
             return res.status(404).json({ error: 'Appointment not found' });
         }
 
+        // Cancel every active future occurrence in scope for series appointments
+        const scope = req.query.scope || 'this';
+        if (scope !== 'this' && appointment.seriesId) {
+            const targets = await findSeriesTargets(appointment, scope);
+
+            if (targets.length === 0) {
+                return res.status(400).json({ error: 'No upcoming occurrences to cancel' });
+            }
+
+            if (!reason) {
+                return res.status(400).json({ error: 'A reason is required to cancel an appointment', code: 'CANCELLATION_REASON_REQUIRED' });
+            }
+
+            await prisma.$transaction([
+                prisma.appointment.updateMany({
+                    where: {
+                        id: { in: targets.map(target => target.id) }
+                    },
+                    data: getStatusUpdateData('CANCELLED', reason)
+                }),
+                prisma.appointmentEvent.createMany({
+                    data: targets.map(target => ({
+                        appointmentId: target.id,
+                        type: 'STATUS_CHANGED',
+                        fromStatus: target.status,
+                        toStatus: 'CANCELLED',
+                        reason,
+                        actorId: userId
+                    }))
+                })
+            ]);
+
+            targets.forEach(target => publishAppointmentEvent('cancelled', {
+                ...target,
+                ...getStatusUpdateData('CANCELLED', reason),
+                sequence: target.sequence + 1
+            }, user.organization.id));
+
+            sendAppointmentNotification('APPOINTMENT_CANCELLED', targets[0].id, {
+                seriesDates: targets.map(target => target.appointmentDate)
+            });
+            targets.forEach(target => offerFreedSlot(target, user.organization.id));
+
+            return res.json({
+                message: 'Appointments cancelled successfully',
+                cancelledCount: targets.length
+            });
+        }
+
         // Check if appointment can be cancelled
         if (appointment.appointmentDate <= new Date()) {
             return res.status(400).json({ error: 'Cannot cancel past appointments' });
         }
 
-        if (['COMPLETED', 'CANCELLED'].includes(appointment.status)) {
-            return res.status(400).json({ error: 'Appointment is already completed or cancelled' });
+        const transitionError = getTransitionError(appointment, 'CANCELLED', { reason });
+        if (transitionError) {
+            return res.status(400).json(transitionError);
         }
 
-        // Update status to CANCELLED
-        await prisma.appointment.update({
-            where: { id },
-            data: { status: 'CANCELLED' }
-        });
-
-        // TODO: Send cancellation notifications
-        // await sendAppointmentCancellation(appointment);
+        // Update status to CANCELLED and record it in the history
+        const [cancelledAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id },
+                data: getStatusUpdateData('CANCELLED', reason),
+                include: {
+                    resources: {
+                        select: resourceSelect
+                    }
+                }
+            }),
+            recordAppointmentEvent({
+                appointmentId: id,
+                type: 'STATUS_CHANGED',
+                fromStatus: appointment.status,
+                toStatus: 'CANCELLED',
+                reason,
+                actorId: userId
+            })
+        ]);
+
+        // Notify the patient and offer the freed slot to the waitlist in the background
+        sendAppointmentNotification('APPOINTMENT_CANCELLED', id);
+        offerFreedSlot(cancelledAppointment, user.organization.id);
+
+        publishAppointmentEvent('cancelled', cancelledAppointment, user.organization.id);
 
         res.json({ message: 'Appointment cancelled successfully' });
     } catch (error) {
@@ -523,10 +1167,273 @@ const deleteAppointment = async (req, res) => {
     }
 };
 
+// Find an appointment in the current user's organization (doctors see only their own)
+const findScopedAppointment = (id, user) => {
+    return prisma.appointment.findFirst({
+        where: {
+            id,
+            clinic: {
+                organizationId: user.organizationId
+            },
+            ...(user.role === 'DOCTOR' && { doctorId: user.id })
+        }
+    });
+};
+
+// PATCH /api/appointments/:id/status
+const updateAppointmentStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason } = req.body;
+
+        // 1. Find appointment in user's organization
+        const appointment = await findScopedAppointment(id, req.user);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        // 2. Check the change against the lifecycle
+        const transitionError = getTransitionError(appointment, status, { reason });
+        if (transitionError) {
+            return res.status(400).json(transitionError);
+        }
+
+        // 3. Update status and record it in the history
+        const [updatedAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id },
+                data: getStatusUpdateData(status, reason),
+                include: appointmentInclude
+            }),
+            recordAppointmentEvent({
+                appointmentId: id,
+                type: 'STATUS_CHANGED',
+                fromStatus: appointment.status,
+                toStatus: status,
+                reason,
+                actorId: req.user.id
+            }),
+            ...(status === 'NO_SHOW' ? [recordPatientNoShow(appointment.patientId)] : [])
+        ]);
+
+        publishAppointmentEvent(status === 'CANCELLED' ? 'cancelled' : 'updated', updatedAppointment, req.user.organizationId);
+
+        if (status === 'CANCELLED') {
+            sendAppointmentNotification('APPOINTMENT_CANCELLED', id);
+            offerFreedSlot(updatedAppointment, req.user.organizationId);
+        }
+
+        res.json({
+            appointment: updatedAppointment
+        });
+    } catch (error) {
+        console.error('Update appointment status error:', error);
+        res.status(500).json({ error: 'Failed to update appointment status' });
+    }
+};
+
+// POST /api/appointments/:id/deposit
+const recordAppointmentDeposit = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reference } = req.body;
+
+        // 1. Find appointment in user's organization
+        const appointment = await findScopedAppointment(id, req.user);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        // 2. Only appointments asked for a deposit take one, once
+        if (!appointment.depositAmount) {
+            return res.status(400).json({ error: 'This appointment does not require a deposit', code: 'DEPOSIT_NOT_REQUIRED' });
+        }
+
+        if (appointment.depositPaidAt) {
+            return res.status(400).json({ error: 'The deposit has already been recorded', code: 'DEPOSIT_ALREADY_PAID' });
+        }
+
+        if (!['SCHEDULED', 'CONFIRMED'].includes(appointment.status)) {
+            return res.status(400).json({ error: `Cannot take a deposit for a ${appointment.status.toLowerCase()} appointment` });
+        }
+
+        // 3. Record the payment; a scheduled appointment is confirmed by it
+        const confirming = appointment.status === 'SCHEDULED';
+        const reason = `Deposit of ${appointment.depositAmount} paid${reference ? ` (${reference})` : ''}`;
+
+        const [updatedAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id, depositPaidAt: null },
+                data: {
+                    depositPaidAt: new Date(),
+                    depositReference: reference,
+                    ...(confirming && getStatusUpdateData('CONFIRMED'))
+                },
+                include: appointmentInclude
+            }),
+            recordAppointmentEvent({
+                appointmentId: id,
+                type: confirming ? 'STATUS_CHANGED' : 'UPDATED',
+                actorId: req.user.id,
+                ...(confirming && { fromStatus: 'SCHEDULED', toStatus: 'CONFIRMED' }),
+                reason
+            })
+        ]);
+
+        publishAppointmentEvent('updated', updatedAppointment, req.user.organizationId);
+
+        res.json({
+            appointment: updatedAppointment
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(400).json({ error: 'The deposit has already been recorded', code: 'DEPOSIT_ALREADY_PAID' });
+        }
+
+        console.error('Record appointment deposit error:', error);
+        res.status(500).json({ error: 'Failed to record deposit' });
+    }
+};
+
+// Cancel or move a doctor's appointments over an absence (a dry run only reports the outcomes)
+const handleBulkChange = async (req, res, dryRun) => {
+    const { doctorId, startDate, action, targetDoctorId, searchDays, cancelUnmovable, appointmentIds, reason } = req.body;
+    const endDate = req.body.endDate || startDate;
+    const organizationId = req.user.organizationId;
+
+    // 1. Validate the range and the reason recorded on cancellations
+    if (endDate < startDate) {
+        return res.status(400).json({ error: 'End date must not be before start date' });
+    }
+
+    if (targetDoctorId && targetDoctorId === doctorId) {
+        return res.status(400).json({ error: 'Target doctor must be a different doctor' });
+    }
+
+    if (!dryRun && (action === 'CANCEL' || cancelUnmovable) && !reason) {
+        return res.status(400).json({ error: 'A reason is required to cancel an appointment', code: 'CANCELLATION_REASON_REQUIRED' });
+    }
+
+    // 2. Both doctors must belong to user's organization
+    const doctorIds = [doctorId, ...(action === 'REASSIGN' && targetDoctorId ? [targetDoctorId] : [])];
+    const doctors = await prisma.user.findMany({
+        where: {
+            id: { in: doctorIds },
+            organizationId,
+            role: 'DOCTOR'
+        },
+        select: {
+            id: true
+        }
+    });
+
+    if (doctors.length !== doctorIds.length) {
+        return res.status(400).json({ error: 'Invalid doctor selected' });
+    }
+
+    // 3. Plan, and unless previewing apply, each change
+    const report = await runBulkChange({
+        organizationId,
+        doctorId,
+        startDate,
+        endDate,
+        action,
+        targetDoctorId: action === 'REASSIGN' ? targetDoctorId : undefined,
+        searchDays,
+        cancelUnmovable,
+        appointmentIds
+    }, {
+        dryRun,
+        actorId: req.user.id,
+        reason
+    });
+
+    res.json({
+        dryRun,
+        action,
+        doctorId,
+        startDate,
+        endDate,
+        ...report
+    });
+};
+
+// POST /api/appointments/bulk/preview
+const previewBulkChange = async (req, res) => {
+    try {
+        await handleBulkChange(req, res, true);
+    } catch (error) {
+        console.error('Preview bulk appointment change error:', error);
+        res.status(500).json({ error: 'Failed to preview appointment changes' });
+    }
+};
+
+// POST /api/appointments/bulk
+const applyBulkChange = async (req, res) => {
+    try {
+        await handleBulkChange(req, res, false);
+    } catch (error) {
+        console.error('Bulk appointment change error:', error);
+        res.status(500).json({ error: 'Failed to change appointments' });
+    }
+};
+
+// GET /api/appointments/:id/history
+const getAppointmentHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Find appointment in user's organization
+        const appointment = await findScopedAppointment(id, req.user);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        // 2. Get events oldest first, with who made each change
+        const events = await prisma.appointmentEvent.findMany({
+            where: {
+                appointmentId: id
+            },
+            include: {
+                actor: {
+                    select: {
+                        id: true,
+                        name: true,
+                        role: true
+                    }
+                }
+            },
+            orderBy: {
+                createdAt: 'asc'
+            }
+        });
+
+        res.json({
+            appointmentId: id,
+            status: appointment.status,
+            events
+        });
+    } catch (error) {
+        console.error('Get appointment history error:', error);
+        res.status(500).json({ error: 'Failed to fetch appointment history' });
+    }
+};
+
 module.exports = {
     getAppointments,
+    getAvailableAppointmentSlots,
     createAppointment,
+    createAppointmentSeries,
+    getAppointmentSeries,
     getAppointmentById,
     updateAppointment,
+    updateAppointmentStatus,
+    recordAppointmentDeposit,
+    getAppointmentHistory,
+    previewBulkChange,
+    applyBulkChange,
     deleteAppointment
 }; 
\ No newline at end of file
@@ -1,8 +1,67 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const prisma = require('../lib/prisma');
 const { sendEmail } = require('../utils/email');
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    getDeviceInfo
+} = require('../utils/tokens');
+const {
+    generateTwoFactorSecret,
+    verifyTwoFactorCode,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    signChallengeToken,
+    completeChallenge,
+    verifyChallengeToken,
+    isTwoFactorRequired
+} = require('../utils/twoFactor');
+const {
+    getLoginBlock,
+    recordFailedLogin,
+    clearFailedLogins
+} = require('../utils/loginProtection');
+
+// Strip credentials and secrets before returning a user to the client
+const toSafeUser = (user) => {
+    const {
+        password,
+        twoFactorSecret,
+        twoFactorRecoveryCodes,
+        emailVerificationToken,
+        passwordResetToken,
+        passwordResetExpires,
+        ...safeUser
+    } = user;
+    return safeUser;
+};
+
+// Respond to a login attempt refused by lockout or progressive delay
+const sendLoginBlocked = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(block.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+        error: block.message,
+        code: block.code,
+        retryAfter: block.retryAfter
+    });
+};
+
+// Record a failed password/2FA attempt and build the matching response
+const handleFailedLogin = async (res, user, message) => {
+    const { locked } = await recordFailedLogin(user);
+
+    if (locked) {
+        return res.status(423).json({
+            error: 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.',
+            code: 'ACCOUNT_LOCKED'
+        });
+    }
+
+    return res.status(401).json({ error: message });
+};
 
 // POST /api/auth/signup
 const signup = async (req, res) => {
@@ -116,7 +175,8 @@ const login = async (req, res) => {
                 organization: {
                     select: {
                         id: true,
-                        name: true
+                        name: true,
+                        requireAdminTwoFactor: true
                     }
                 }
             }
@@ -131,30 +191,37 @@ const login = async (req, res) => {
             return res.status(401).json({ error: 'Please verify your email before logging in' });
         }
 
-        // 3. Compare password with hashed password
+        // 3. Refuse the attempt while the account is locked or throttled
+        const block = getLoginBlock(user);
+        if (block) {
+            return sendLoginBlocked(res, block);
+        }
+
+        // 4. Compare password with hashed password
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return handleFailedLogin(res, user, 'Invalid credentials');
         }
 
-        // 4. Generate JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email,
-                role: user.role,
-                organizationId: user.organizationId
-            },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        // 5. If 2FA is enabled, return a challenge instead of a session
+        // Failed attempts are only cleared once the second factor succeeds
+        if (user.twoFactorEnabled) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: await signChallengeToken(user)
+            });
+        }
+
+        await clearFailedLogins(user);
 
-        // 5. Return token and user info (exclude password)
-        const { password: _, ...userWithoutPassword } = user;
+        // 6. Create a session for this device and issue access + refresh tokens
+        const tokens = await createSession(user, getDeviceInfo(req));
 
+        // 7. Return tokens and user info (exclude password and secrets)
         res.json({
-            token,
-            user: userWithoutPassword
+            ...tokens,
+            user: toSafeUser(user),
+            twoFactorSetupRequired: isTwoFactorRequired(user)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -246,11 +313,18 @@ const resetPassword = async (req, res) => {
             data: {
                 password: hashedPassword,
                 passwordResetToken: null,
-                passwordResetExpires: null
+                passwordResetExpires: null,
+                failedLoginAttempts: 0,
+                lastFailedLoginAt: null,
+                lockedUntil: null,
+                unlockToken: null
             }
         });
 
-        // 6. Return success message
+        // 6. Sign out every device that was using the old password
+        await revokeAllSessions(user.id);
+
+        // 7. Return success message
         res.json({ message: 'Password reset successfully' });
     } catch (error) {
         console.error('Reset password error:', error);
@@ -307,11 +381,561 @@ const resendVerification = async (req, res) => {
     }
 };
 
+// POST /api/auth/refresh
+const refreshToken = async (req, res) => {
+    try {
+        const { refreshToken: presentedToken } = req.body;
+
+        // 1. Rotate the refresh token (invalidates the presented one)
+        const tokens = await rotateSession(presentedToken, getDeviceInfo(req));
+
+        // 2. Return the new token pair
+        res.json(tokens);
+    } catch (error) {
+        if (error.code) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// POST /api/auth/logout
+const logout = async (req, res) => {
+    try {
+        // 1. Revoke the session the access token belongs to
+        await revokeSession(req.user.sessionId);
+
+        // 2. Return success message
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// GET /api/auth/sessions
+const getSessions = async (req, res) => {
+    try {
+        // 1. Get all active sessions for the current user
+        const sessions = await prisma.session.findMany({
+            where: {
+                userId: req.user.id,
+                revokedAt: null,
+                expiresAt: {
+                    gt: new Date()
+                }
+            },
+            select: {
+                id: true,
+                deviceName: true,
+                userAgent: true,
+                ipAddress: true,
+                lastUsedAt: true,
+                expiresAt: true,
+                createdAt: true
+            },
+            orderBy: {
+                lastUsedAt: 'desc'
+            }
+        });
+
+        // 2. Flag the session making this request
+        res.json({
+            sessions: sessions.map(session => ({
+                ...session,
+                isCurrent: session.id === req.user.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+};
+
+// DELETE /api/auth/sessions/:sessionId
+const deleteSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        // 1. Check the session belongs to the current user
+        const session = await prisma.session.findFirst({
+            where: {
+                id: sessionId,
+                userId: req.user.id,
+                revokedAt: null
+            }
+        });
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        // 2. Revoke the session
+        await revokeSession(session.id);
+
+        // 3. Return success message
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+};
+
+// DELETE /api/auth/sessions
+const deleteOtherSessions = async (req, res) => {
+    try {
+        // 1. Revoke every session except the one making this request
+        const revokedCount = await revokeAllSessions(req.user.id, req.user.sessionId);
+
+        // 2. Return number of sessions revoked
+        res.json({
+            message: 'Other sessions revoked successfully',
+            revokedCount
+        });
+    } catch (error) {
+        console.error('Delete sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+};
+
+// POST /api/auth/unlock
+const unlockAccount = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Unlock token is required' });
+        }
+
+        // 1. Find user by unlock token
+        const user = await prisma.user.findUnique({
+            where: { unlockToken: token }
+        });
+
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired unlock token' });
+        }
+
+        // 2. Lift the lock and reset failed attempt tracking
+        await clearFailedLogins(user);
+
+        // 3. Return success message
+        res.json({ message: 'Account unlocked successfully. You can now login.' });
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(400).json({ error: 'Invalid or expired unlock token' });
+    }
+};
+
+// Find an invite that can still be accepted
+const findOpenInvite = async (token) => {
+    const invite = await prisma.invite.findUnique({
+        where: { token },
+        include: {
+            organization: {
+                select: {
+                    id: true,
+                    name: true,
+                    requireAdminTwoFactor: true
+                }
+            }
+        }
+    });
+
+    if (!invite) {
+        return { error: 'Invalid invitation token' };
+    }
+
+    if (invite.isUsed) {
+        return { error: 'Invitation has already been used' };
+    }
+
+    if (invite.revokedAt) {
+        return { error: 'Invitation has been revoked' };
+    }
+
+    if (invite.expiresAt < new Date()) {
+        return { error: 'Invitation has expired' };
+    }
+
+    return { invite };
+};
+
+// GET /api/auth/invites/:token
+const getInviteDetails = async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        // 1. Find a valid invite by token
+        const { invite, error } = await findOpenInvite(token);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // 2. Tell the client whether to show signup or login
+        const existingUser = await prisma.user.findUnique({
+            where: { email: invite.email },
+            select: { id: true }
+        });
+
+        // 3. Return invite details
+        res.json({
+            invite: {
+                email: invite.email,
+                role: invite.role,
+                expiresAt: invite.expiresAt,
+                organization: {
+                    id: invite.organization.id,
+                    name: invite.organization.name
+                }
+            },
+            accountExists: !!existingUser
+        });
+    } catch (error) {
+        console.error('Get invite details error:', error);
+        res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+};
+
+// POST /api/auth/accept-invite
+const acceptInvite = async (req, res) => {
+    try {
+        const { token, name, password } = req.body;
+
+        // 1. Find a valid invite by token
+        const { invite, error } = await findOpenInvite(token);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // 2. Existing accounts must log in and join instead
+        const existingUser = await prisma.user.findUnique({
+            where: { email: invite.email }
+        });
+
+        if (existingUser) {
+            return res.status(400).json({
+                error: 'An account with this email already exists. Please login and join the organization.',
+                code: 'ACCOUNT_EXISTS'
+            });
+        }
+
+        // 3. Hash password
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        // 4. Create the verified user in the organization and consume the invite atomically
+        // Receiving the invite email proves ownership of the address
+        const user = await prisma.$transaction(async (tx) => {
+            const consumed = await tx.invite.updateMany({
+                where: {
+                    id: invite.id,
+                    isUsed: false,
+                    revokedAt: null
+                },
+                data: { isUsed: true }
+            });
+
+            if (consumed.count === 0) {
+                return null;
+            }
+
+            return tx.user.create({
+                data: {
+                    email: invite.email,
+                    password: hashedPassword,
+                    name,
+                    role: invite.role,
+                    organizationId: invite.organizationId,
+                    isEmailVerified: true
+                },
+                include: {
+                    organization: {
+                        select: {
+                            id: true,
+                            name: true,
+                            requireAdminTwoFactor: true
+                        }
+                    }
+                }
+            });
+        });
+
+        if (!user) {
+            return res.status(400).json({ error: 'Invitation has already been used' });
+        }
+
+        // 5. Start a session for this device
+        const tokens = await createSession(user, getDeviceInfo(req));
+
+        // 6. Return tokens, user and organization
+        res.status(201).json({
+            ...tokens,
+            user: toSafeUser(user),
+            twoFactorSetupRequired: isTwoFactorRequired(user)
+        });
+    } catch (error) {
+        console.error('Accept invite error:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+};
+
+// POST /api/auth/2fa/verify
+const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        // 1. Validate the challenge token issued by login
+        const challenge = verifyChallengeToken(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token', code: 'INVALID_CHALLENGE' });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: challenge.userId },
+            include: {
+                organization: {
+                    select: {
+                        id: true,
+                        name: true,
+                        requireAdminTwoFactor: true
+                    }
+                }
+            }
+        });
+
+        if (!user || !user.twoFactorEnabled || !challenge.challengeId || user.twoFactorChallengeId !== challenge.challengeId) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token', code: 'INVALID_CHALLENGE' });
+        }
+
+        // 2. Refuse the attempt while the account is locked or throttled
+        const block = getLoginBlock(user);
+        if (block) {
+            return sendLoginBlocked(res, block);
+        }
+
+        // 3. Check the TOTP code, or consume a recovery code
+        if (recoveryCode) {
+            const remainingCodes = consumeRecoveryCode(user.twoFactorRecoveryCodes, recoveryCode);
+            if (!remainingCodes) {
+                return handleFailedLogin(res, user, 'Invalid recovery code');
+            }
+
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { twoFactorRecoveryCodes: remainingCodes }
+            });
+            user.twoFactorRecoveryCodes = remainingCodes;
+        } else if (!await verifyTwoFactorCode(user, code)) {
+            return handleFailedLogin(res, user, 'Invalid authentication code');
+        }
+
+        // A challenge completes one login (fails if a parallel request used it first)
+        if (!await completeChallenge(challenge)) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token', code: 'INVALID_CHALLENGE' });
+        }
+
+        await clearFailedLogins(user);
+
+        // 4. Create a session for this device and issue tokens
+        const tokens = await createSession(user, getDeviceInfo(req));
+
+        // 5. Return tokens and user info
+        res.json({
+            ...tokens,
+            user: toSafeUser(user),
+            recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+        });
+    } catch (error) {
+        console.error('Two-factor verification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// POST /api/auth/2fa/setup
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id }
+        });
+
+        // 1. Refuse to overwrite an active secret
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        // 2. Generate a new secret; it only takes effect once confirmed via /2fa/enable
+        const { secret, otpauthUrl, qrCode } = await generateTwoFactorSecret(user.email);
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                twoFactorSecret: secret,
+                twoFactorLastUsedStep: null
+            }
+        });
+
+        // 3. Return enrolment details for the authenticator app
+        res.json({
+            secret,
+            otpauthUrl,
+            qrCode
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+};
+
+// POST /api/auth/2fa/enable
+const enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id }
+        });
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.twoFactorSecret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        // 1. Confirm the user's authenticator app produces valid codes
+        if (!await verifyTwoFactorCode(user, code)) {
+            return res.status(400).json({ error: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' });
+        }
+
+        // 2. Enable 2FA and store hashed recovery codes
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                twoFactorEnabled: true,
+                twoFactorRecoveryCodes: hashes
+            }
+        });
+
+        // 3. Return recovery codes (shown only once)
+        res.json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+};
+
+// POST /api/auth/2fa/disable
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            include: {
+                organization: {
+                    select: {
+                        requireAdminTwoFactor: true
+                    }
+                }
+            }
+        });
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        // 1. Organization policy may forbid turning 2FA off
+        if (isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                error: 'Your organization requires two-factor authentication for admins',
+                code: 'TWO_FACTOR_ENFORCED'
+            });
+        }
+
+        // 2. Re-authenticate with password and a current code
+        const isValidPassword = await bcrypt.compare(password || '', user.password);
+        if (!isValidPassword || !await verifyTwoFactorCode(user, code)) {
+            return res.status(401).json({ error: 'Invalid password or authentication code' });
+        }
+
+        // 3. Disable 2FA and clear secrets
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                twoFactorEnabled: false,
+                twoFactorSecret: null,
+                twoFactorRecoveryCodes: [],
+                twoFactorLastUsedStep: null,
+                twoFactorChallengeId: null
+            }
+        });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+};
+
+// POST /api/auth/2fa/recovery-codes
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id }
+        });
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        // 1. Require a current code before replacing recovery codes
+        if (!await verifyTwoFactorCode(user, code)) {
+            return res.status(401).json({ error: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' });
+        }
+
+        // 2. Replace all recovery codes
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { twoFactorRecoveryCodes: hashes }
+        });
+
+        res.json({ recoveryCodes: codes });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+};
+
 module.exports = {
     signup,
     verifyEmail,
     login,
     forgotPassword,
     resetPassword,
-    resendVerification
+    resendVerification,
+    refreshToken,
+    logout,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    unlockAccount,
+    getInviteDetails,
+    acceptInvite,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
 }; 
\ No newline at end of file
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const { appointmentListInclude, buildAppointmentFilter } = require('../utils/appointmentQuery');
+const { buildCalendar, buildDoctorEvent } = require('../utils/calendar');
+
+// Window of appointments published in a feed
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+// Subscribed calendar apps are asked to refresh this often
+const FEED_REFRESH_INTERVAL = 'PT15M';
+
+// Subscription URL of a feed token
+const getFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+// GET /api/calendar/feed
+const getFeedStatus = async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { calendarFeedToken: true }
+        });
+
+        res.json({
+            enabled: Boolean(user?.calendarFeedToken),
+            url: user?.calendarFeedToken ? getFeedUrl(req, user.calendarFeedToken) : null
+        });
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to fetch calendar feed' });
+    }
+};
+
+// POST /api/calendar/feed
+const createFeed = async (req, res) => {
+    try {
+        // A new token replaces the old one, so leaked URLs stop working
+        const token = crypto.randomBytes(32).toString('hex');
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { calendarFeedToken: token }
+        });
+
+        res.status(201).json({
+            message: 'Calendar feed enabled',
+            url: getFeedUrl(req, token)
+        });
+    } catch (error) {
+        console.error('Create calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+};
+
+// DELETE /api/calendar/feed
+const disableFeed = async (req, res) => {
+    try {
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { calendarFeedToken: null }
+        });
+
+        res.json({ message: 'Calendar feed disabled' });
+    } catch (error) {
+        console.error('Disable calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to disable calendar feed' });
+    }
+};
+
+// GET /api/calendar/feed/:token
+const getFeed = async (req, res) => {
+    try {
+        // 1. Find the doctor by the secret in the URL
+        const token = req.params.token.replace(/\.ics$/, '');
+
+        const doctor = await prisma.user.findUnique({
+            where: { calendarFeedToken: token },
+            select: {
+                id: true,
+                name: true,
+                organizationId: true
+            }
+        });
+
+        if (!doctor || !doctor.organizationId) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        // 2. Same appointments the doctor sees in their list, within the feed window
+        const whereConditions = await buildAppointmentFilter({
+            organizationId: doctor.organizationId,
+            user: { id: doctor.id, role: 'DOCTOR' }
+        });
+
+        const now = Date.now();
+        const appointments = await prisma.appointment.findMany({
+            where: {
+                ...whereConditions,
+                status: { not: 'CANCELLED' },
+                appointmentDate: {
+                    gte: new Date(now - FEED_PAST_DAYS * 24 * 60 * 60 * 1000),
+                    lt: new Date(now + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000)
+                }
+            },
+            include: appointmentListInclude,
+            orderBy: {
+                appointmentDate: 'asc'
+            }
+        });
+
+        // 3. Respond with the calendar
+        const calendar = buildCalendar({
+            name: `${doctor.name || 'Doctor'} - Appointments`,
+            refreshInterval: FEED_REFRESH_INTERVAL,
+            events: appointments.map(buildDoctorEvent)
+        });
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="appointments.ics"',
+            'Cache-Control': 'private, no-cache'
+        });
+        res.send(calendar);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+};
+
+module.exports = {
+    getFeedStatus,
+    createFeed,
+    disableFeed,
+    getFeed
+};
@@ -1,4 +1,8 @@
 const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const { getClinicHours, hasOverlappingIntervals, timeToMinutes } = require('../utils/scheduling');
+const { getZonedDayRange, toZonedDateString } = require('../utils/timezone');
+const { RESOURCE_TYPES, MAX_UTILIZATION_DAYS, getResourceUtilization } = require('../utils/resources');
 
 // GET /api/clinics
 const getClinics = async (req, res) => {
@@ -49,7 +53,7 @@ const getClinics = async (req, res) => {
 // POST /api/clinics
 const createClinic = async (req, res) => {
     try {
-        const { name, address, phone } = req.body;
+        const { name, address, phone, publicBookingEnabled } = req.body;
         const userId = req.user.userId;
 
         // Get user's organization
@@ -70,6 +74,7 @@ const createClinic = async (req, res) => {
                 name,
                 address,
                 phone,
+                publicBookingEnabled,
                 organizationId: user.organization.id
             }
         });
@@ -185,7 +190,7 @@ const getClinicById = async (req, res) => {
 const updateClinic = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, address, phone } = req.body;
+        const { name, address, phone, publicBookingEnabled } = req.body;
         const userId = req.user.userId;
 
         // Get user's organization
@@ -219,7 +224,8 @@ const updateClinic = async (req, res) => {
             data: {
                 name,
                 address,
-                phone
+                phone,
+                publicBookingEnabled
             }
         });
 
@@ -298,10 +304,461 @@ const deleteClinic = async (req, res) => {
     }
 };
 
+// Find a clinic in the current user's organization
+const findOrganizationClinic = (clinicId, organizationId) => {
+    return prisma.clinic.findFirst({
+        where: {
+            id: clinicId,
+            organizationId
+        }
+    });
+};
+
+// GET /api/clinics/:id/hours
+const getClinicOperatingHours = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Return clinic hours, or the organization's working hours if none are set
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const { source, hours } = await getClinicHours(id, settings);
+
+        res.json({
+            source,
+            timezone: settings.timezone,
+            hours: hours.map(({ dayOfWeek, openTime, closeTime }) => ({ dayOfWeek, openTime, closeTime }))
+        });
+    } catch (error) {
+        console.error('Get clinic hours error:', error);
+        res.status(500).json({ error: 'Failed to fetch clinic hours' });
+    }
+};
+
+// PUT /api/clinics/:id/hours
+const updateClinicOperatingHours = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { hours } = req.body;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Validate intervals
+        if (hours.some(interval => timeToMinutes(interval.openTime) >= timeToMinutes(interval.closeTime))) {
+            return res.status(400).json({ error: 'Closing time must be after opening time' });
+        }
+
+        if (hasOverlappingIntervals(hours)) {
+            return res.status(400).json({ error: 'Opening hours on the same day must not overlap' });
+        }
+
+        // 3. Replace the weekly schedule (an empty list falls back to organization hours)
+        await prisma.$transaction([
+            prisma.clinicOperatingHours.deleteMany({
+                where: { clinicId: id }
+            }),
+            prisma.clinicOperatingHours.createMany({
+                data: hours.map(({ dayOfWeek, openTime, closeTime }) => ({
+                    clinicId: id,
+                    dayOfWeek,
+                    openTime,
+                    closeTime
+                }))
+            })
+        ]);
+
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const updated = await getClinicHours(id, settings);
+
+        res.json({
+            source: updated.source,
+            timezone: settings.timezone,
+            hours: updated.hours.map(({ dayOfWeek, openTime, closeTime }) => ({ dayOfWeek, openTime, closeTime }))
+        });
+    } catch (error) {
+        console.error('Update clinic hours error:', error);
+        res.status(500).json({ error: 'Failed to update clinic hours' });
+    }
+};
+
+// GET /api/clinics/:id/closures
+const getClinicClosures = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { startDate, endDate } = req.query;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Get closures overlapping the requested range (default: from today onwards)
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const fromDate = (startDate || toZonedDateString(new Date(), settings.timezone)).slice(0, 10);
+
+        const closures = await prisma.clinicClosure.findMany({
+            where: {
+                clinicId: id,
+                endDate: { gte: new Date(`${fromDate}T00:00:00.000Z`) },
+                ...(endDate && { startDate: { lte: new Date(`${endDate.slice(0, 10)}T00:00:00.000Z`) } })
+            },
+            orderBy: {
+                startDate: 'asc'
+            }
+        });
+
+        res.json({
+            closures
+        });
+    } catch (error) {
+        console.error('Get clinic closures error:', error);
+        res.status(500).json({ error: 'Failed to fetch clinic closures' });
+    }
+};
+
+// POST /api/clinics/:id/closures
+const createClinicClosure = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { startDate, endDate, reason } = req.body;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Single-day closures only need a start date
+        const lastDay = endDate || startDate;
+        if (lastDay < startDate) {
+            return res.status(400).json({ error: 'End date must not be before start date' });
+        }
+
+        // 3. Warn about appointments already booked on the closed days
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const { start } = getZonedDayRange(startDate, settings.timezone);
+        const { end } = getZonedDayRange(lastDay, settings.timezone);
+
+        const affectedAppointments = await prisma.appointment.count({
+            where: {
+                clinicId: id,
+                appointmentDate: {
+                    gte: start,
+                    lt: end
+                },
+                status: {
+                    in: ['SCHEDULED', 'CONFIRMED']
+                }
+            }
+        });
+
+        // 4. Create closure
+        const closure = await prisma.clinicClosure.create({
+            data: {
+                clinicId: id,
+                startDate: new Date(`${startDate}T00:00:00.000Z`),
+                endDate: new Date(`${lastDay}T00:00:00.000Z`),
+                reason,
+                createdBy: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            closure,
+            affectedAppointments
+        });
+    } catch (error) {
+        console.error('Create clinic closure error:', error);
+        res.status(500).json({ error: 'Failed to create clinic closure' });
+    }
+};
+
+// DELETE /api/clinics/:id/closures/:closureId
+const deleteClinicClosure = async (req, res) => {
+    try {
+        const { id, closureId } = req.params;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Delete closure
+        const result = await prisma.clinicClosure.deleteMany({
+            where: {
+                id: closureId,
+                clinicId: id
+            }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({ error: 'Closure not found' });
+        }
+
+        res.json({ message: 'Closure deleted successfully' });
+    } catch (error) {
+        console.error('Delete clinic closure error:', error);
+        res.status(500).json({ error: 'Failed to delete clinic closure' });
+    }
+};
+
+// GET /api/clinics/:id/resources
+const getClinicResources = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type, includeInactive } = req.query;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Get the clinic's rooms and equipment, active ones unless asked otherwise
+        const resources = await prisma.clinicResource.findMany({
+            where: {
+                clinicId: id,
+                ...(RESOURCE_TYPES.includes(type) && { type }),
+                ...(includeInactive !== 'true' && { isActive: true })
+            },
+            orderBy: [{ type: 'asc' }, { name: 'asc' }]
+        });
+
+        res.json({
+            resources
+        });
+    } catch (error) {
+        console.error('Get clinic resources error:', error);
+        res.status(500).json({ error: 'Failed to fetch clinic resources' });
+    }
+};
+
+// POST /api/clinics/:id/resources
+const createClinicResource = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, type, description } = req.body;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Check resource name is unique within the clinic
+        const existingResource = await prisma.clinicResource.findFirst({
+            where: {
+                clinicId: id,
+                name
+            }
+        });
+
+        if (existingResource) {
+            return res.status(400).json({ error: 'A resource with this name already exists in this clinic' });
+        }
+
+        // 3. Create resource
+        const resource = await prisma.clinicResource.create({
+            data: {
+                clinicId: id,
+                name,
+                type,
+                description
+            }
+        });
+
+        res.status(201).json({
+            resource
+        });
+    } catch (error) {
+        console.error('Create clinic resource error:', error);
+        res.status(500).json({ error: 'Failed to create clinic resource' });
+    }
+};
+
+// PUT /api/clinics/:id/resources/:resourceId
+const updateClinicResource = async (req, res) => {
+    try {
+        const { id, resourceId } = req.params;
+        const { name, type, description, isActive } = req.body;
+
+        // 1. Find resource in a clinic of user's organization
+        const existingResource = await prisma.clinicResource.findFirst({
+            where: {
+                id: resourceId,
+                clinicId: id,
+                clinic: {
+                    organizationId: req.user.organizationId
+                }
+            }
+        });
+
+        if (!existingResource) {
+            return res.status(404).json({ error: 'Resource not found' });
+        }
+
+        // 2. Check a renamed resource stays unique
+        if (name && name !== existingResource.name) {
+            const duplicateResource = await prisma.clinicResource.findFirst({
+                where: {
+                    clinicId: id,
+                    name
+                }
+            });
+
+            if (duplicateResource) {
+                return res.status(400).json({ error: 'A resource with this name already exists in this clinic' });
+            }
+        }
+
+        // 3. Update resource; booked appointments keep their reservations
+        const resource = await prisma.clinicResource.update({
+            where: { id: resourceId },
+            data: {
+                name,
+                type,
+                description,
+                isActive
+            }
+        });
+
+        res.json({
+            resource
+        });
+    } catch (error) {
+        console.error('Update clinic resource error:', error);
+        res.status(500).json({ error: 'Failed to update clinic resource' });
+    }
+};
+
+// DELETE /api/clinics/:id/resources/:resourceId
+const deleteClinicResource = async (req, res) => {
+    try {
+        const { id, resourceId } = req.params;
+
+        // 1. Find resource in a clinic of user's organization
+        const resource = await prisma.clinicResource.findFirst({
+            where: {
+                id: resourceId,
+                clinicId: id,
+                clinic: {
+                    organizationId: req.user.organizationId
+                }
+            },
+            include: {
+                _count: {
+                    select: {
+                        appointments: true
+                    }
+                }
+            }
+        });
+
+        if (!resource) {
+            return res.status(404).json({ error: 'Resource not found' });
+        }
+
+        // 2. Resources with appointments are deactivated so history and utilization keep them
+        if (resource._count.appointments > 0) {
+            await prisma.clinicResource.update({
+                where: { id: resourceId },
+                data: { isActive: false }
+            });
+
+            return res.json({ message: 'Resource is in use and has been deactivated' });
+        }
+
+        await prisma.clinicResource.delete({
+            where: { id: resourceId }
+        });
+
+        res.json({ message: 'Resource deleted successfully' });
+    } catch (error) {
+        console.error('Delete clinic resource error:', error);
+        res.status(500).json({ error: 'Failed to delete clinic resource' });
+    }
+};
+
+// GET /api/clinics/:id/resources/utilization
+const getClinicResourceUtilization = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type } = req.query;
+
+        // 1. Check clinic belongs to user's organization
+        const clinic = await findOrganizationClinic(id, req.user.organizationId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. Default to today; long ranges are refused
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const startDate = req.query.startDate || toZonedDateString(new Date(), settings.timezone);
+        const endDate = req.query.endDate || startDate;
+
+        if (endDate < startDate) {
+            return res.status(400).json({ error: 'End date must not be before start date' });
+        }
+
+        const days = (new Date(`${endDate}T00:00:00.000Z`) - new Date(`${startDate}T00:00:00.000Z`)) / (24 * 60 * 60 * 1000) + 1;
+        if (days > MAX_UTILIZATION_DAYS) {
+            return res.status(400).json({ error: `Utilization covers at most ${MAX_UTILIZATION_DAYS} days` });
+        }
+
+        // 3. Compare each resource's booked time with the clinic's opening hours
+        const utilization = await getResourceUtilization({
+            organizationId: req.user.organizationId,
+            clinicId: id,
+            startDate,
+            endDate,
+            type
+        });
+
+        res.json({
+            clinicId: id,
+            startDate,
+            endDate,
+            ...utilization
+        });
+    } catch (error) {
+        console.error('Get resource utilization error:', error);
+        res.status(500).json({ error: 'Failed to fetch resource utilization' });
+    }
+};
+
 module.exports = {
     getClinics,
     createClinic,
     getClinicById,
     updateClinic,
-    deleteClinic
+    deleteClinic,
+    getClinicOperatingHours,
+    updateClinicOperatingHours,
+    getClinicClosures,
+    createClinicClosure,
+    deleteClinicClosure,
+    getClinicResources,
+    createClinicResource,
+    updateClinicResource,
+    deleteClinicResource,
+    getClinicResourceUtilization
 }; 
\ No newline at end of file
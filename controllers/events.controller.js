@@ -0,0 +1,33 @@
+const prisma = require('../lib/prisma');
+const { subscribe } = require('../utils/realtime');
+
+// GET /api/events
+const streamEvents = async (req, res) => {
+    try {
+        const { clinic } = req.query;
+
+        // 1. Narrowing to a clinic requires the clinic to be in user's organization
+        if (clinic) {
+            const existingClinic = await prisma.clinic.findFirst({
+                where: {
+                    id: clinic,
+                    organizationId: req.user.organizationId
+                }
+            });
+
+            if (!existingClinic) {
+                return res.status(404).json({ error: 'Clinic not found' });
+            }
+        }
+
+        // 2. Keep the connection open and push organization events to it
+        subscribe(req, res, { clinicId: clinic });
+    } catch (error) {
+        console.error('Event stream error:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+};
+
+module.exports = {
+    streamEvents
+};
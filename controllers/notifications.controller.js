@@ -0,0 +1,95 @@
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const { MESSAGE_TEMPLATES, MESSAGE_TEMPLATE_VARIABLES } = require('../utils/notifications');
+
+// GET /api/notifications
+const getNotificationLogs = async (req, res) => {
+    try {
+        const { appointment, patient, channel, type, status, page = 1, limit = 20 } = req.query;
+
+        // 1. Filter the organization's delivery log (doctors see only their own appointments)
+        const where = {
+            organizationId: req.user.organizationId,
+            ...(appointment && { appointmentId: appointment }),
+            ...(patient && { patientId: patient }),
+            ...(channel && { channel }),
+            ...(type && { type }),
+            ...(status && { status }),
+            ...(req.user.role === 'DOCTOR' && { appointment: { doctorId: req.user.id } })
+        };
+
+        // 2. Newest first, with pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const take = parseInt(limit);
+
+        const [notifications, total] = await Promise.all([
+            prisma.notificationLog.findMany({
+                where,
+                include: {
+                    patient: {
+                        select: {
+                            id: true,
+                            name: true
+                        }
+                    },
+                    appointment: {
+                        select: {
+                            id: true,
+                            appointmentDate: true,
+                            status: true
+                        }
+                    }
+                },
+                orderBy: {
+                    createdAt: 'desc'
+                },
+                skip,
+                take
+            }),
+            prisma.notificationLog.count({ where })
+        ]);
+
+        res.json({
+            notifications,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Get notification logs error:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+};
+
+// GET /api/notifications/templates
+const getMessageTemplates = async (req, res) => {
+    try {
+        // 1. Combine the default texts with the organization's overrides
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const overrides = settings.messageTemplates || {};
+
+        const templates = Object.entries(MESSAGE_TEMPLATES).map(([type, defaultTemplate]) => ({
+            type,
+            template: overrides[type] || defaultTemplate,
+            defaultTemplate,
+            isCustom: !!overrides[type]
+        }));
+
+        res.json({
+            channels: settings.notificationChannels,
+            templates,
+            variables: MESSAGE_TEMPLATE_VARIABLES
+        });
+    } catch (error) {
+        console.error('Get message templates error:', error);
+        res.status(500).json({ error: 'Failed to fetch message templates' });
+    }
+};
+
+module.exports = {
+    getNotificationLogs,
+    getMessageTemplates
+};
@@ -1,6 +1,18 @@
+const { Prisma } = require('@prisma/client');
 const prisma = require('../lib/prisma');
 const { sendEmail } = require('../utils/email');
 const crypto = require('crypto');
+const { clearFailedLogins, isAccountLocked } = require('../utils/loginProtection');
+const { ROLES, isOrganizationManager } = require('../utils/permissions');
+const { DELETION_GRACE_DAYS, isFinalExportConfigured } = require('../utils/organizationDeletion');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+
+const OWNERSHIP_TRANSFER_EXPIRY_MS = 48 * 60 * 60 * 1000; // 48 hours
+
+// Organizations created before ownership existed have no owner; any admin acts as owner
+const isOrganizationOwner = (organization, user) => {
+    return organization.ownerId ? organization.ownerId === user.id : user.role === 'ADMIN';
+};
 
 // POST /api/organizations
 const createOrganization = async (req, res) => {
@@ -17,14 +29,15 @@ const createOrganization = async (req, res) => {
             return res.status(400).json({ error: 'User already belongs to an organization' });
         }
 
-        // 2. Create new organization with provided details
+        // 2. Create new organization with provided details (creator becomes owner)
         const organization = await prisma.organization.create({
             data: {
                 name,
                 address,
                 gstNumber,
                 contactEmail,
-                contactPhone
+                contactPhone,
+                ownerId: userId
             }
         });
 
@@ -135,7 +148,7 @@ const getMyOrganization = async (req, res) => {
 // PUT /api/organizations/me
 const updateMyOrganization = async (req, res) => {
     try {
-        const { name, address, gstNumber, contactEmail, contactPhone } = req.body;
+        const { name, address, gstNumber, contactEmail, contactPhone, requireAdminTwoFactor } = req.body;
         const userId = req.user.userId;
 
         // Get user's organization
@@ -158,7 +171,8 @@ const updateMyOrganization = async (req, res) => {
                 address,
                 gstNumber,
                 contactEmail,
-                contactPhone
+                contactPhone,
+                requireAdminTwoFactor
             }
         });
 
@@ -172,6 +186,172 @@ const updateMyOrganization = async (req, res) => {
     }
 };
 
+// GET /api/organizations/me/settings
+const getMySettings = async (req, res) => {
+    try {
+        // 1. Return saved settings or the defaults
+        const settings = await getOrganizationSettings(req.user.organizationId);
+
+        res.json({
+            settings
+        });
+    } catch (error) {
+        console.error('Get organization settings error:', error);
+        res.status(500).json({ error: 'Failed to fetch organization settings' });
+    }
+};
+
+// PUT /api/organizations/me/settings
+const updateMySettings = async (req, res) => {
+    try {
+        const {
+            timezone,
+            locale,
+            currency,
+            dateFormat,
+            workingDays,
+            workingHoursStart,
+            workingHoursEnd,
+            reminderOffsets,
+            notificationChannels,
+            messageTemplates,
+            noShowGraceMinutes,
+            noShowLimit,
+            noShowPolicy,
+            noShowDepositAmount,
+            confirmationDeadlineMinutes
+        } = req.body;
+
+        // 1. Check working hours still form a valid range after the update
+        const current = await getOrganizationSettings(req.user.organizationId);
+        const start = workingHoursStart || current.workingHoursStart;
+        const end = workingHoursEnd || current.workingHoursEnd;
+
+        if (start >= end) {
+            return res.status(400).json({ error: 'Working hours must end after they start' });
+        }
+
+        // 2. A deposit policy needs an amount to ask for
+        const policy = noShowPolicy || current.noShowPolicy;
+        const depositAmount = noShowDepositAmount !== undefined ? noShowDepositAmount : current.noShowDepositAmount;
+
+        if (policy === 'REQUIRE_DEPOSIT' && !depositAmount) {
+            return res.status(400).json({ error: 'A deposit amount is required for the REQUIRE_DEPOSIT no-show policy' });
+        }
+
+        const data = {
+            timezone,
+            locale,
+            currency,
+            dateFormat,
+            workingDays: workingDays ? [...new Set(workingDays)].sort((a, b) => a - b) : undefined,
+            workingHoursStart,
+            workingHoursEnd,
+            reminderOffsets: reminderOffsets ? [...new Set(reminderOffsets)].sort((a, b) => b - a) : undefined,
+            notificationChannels: notificationChannels ? [...new Set(notificationChannels)] : undefined,
+            messageTemplates: messageTemplates === null ? Prisma.DbNull : messageTemplates,
+            noShowGraceMinutes,
+            noShowLimit,
+            noShowPolicy,
+            noShowDepositAmount,
+            confirmationDeadlineMinutes
+        };
+
+        // 3. Create or update the organization's settings
+        const settings = await prisma.organizationSettings.upsert({
+            where: { organizationId: req.user.organizationId },
+            update: data,
+            create: {
+                organizationId: req.user.organizationId,
+                ...data
+            }
+        });
+
+        res.json({
+            settings
+        });
+    } catch (error) {
+        console.error('Update organization settings error:', error);
+        res.status(500).json({ error: 'Failed to update organization settings' });
+    }
+};
+
+const INVITE_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const INVITE_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+const MAX_BULK_INVITES = 50;
+
+// Derive an invite's lifecycle status from its flags
+const getInviteStatus = (invite) => {
+    if (invite.isUsed) return 'ACCEPTED';
+    if (invite.revokedAt) return 'REVOKED';
+    if (invite.expiresAt < new Date()) return 'EXPIRED';
+    return 'PENDING';
+};
+
+// Email the join link of an invite
+const sendInviteEmail = async (invite, organization, inviterName) => {
+    await sendEmail({
+        to: invite.email,
+        subject: `You're invited to join ${organization.name}`,
+        template: 'organization-invite',
+        data: {
+            organizationName: organization.name,
+            inviterName,
+            role: invite.role,
+            inviteToken: invite.token
+        }
+    });
+};
+
+// Check, create and email a single invite (shared by single and bulk invites)
+const createInvite = async ({ email, role, organization, inviter }) => {
+    // 1. Check if email is already registered or invited
+    const existingUser = await prisma.user.findUnique({
+        where: { email }
+    });
+
+    if (existingUser) {
+        return { error: 'User with this email already exists', code: 'USER_EXISTS' };
+    }
+
+    const existingInvite = await prisma.invite.findFirst({
+        where: {
+            email,
+            organizationId: organization.id,
+            isUsed: false,
+            revokedAt: null,
+            expiresAt: {
+                gt: new Date()
+            }
+        }
+    });
+
+    if (existingInvite) {
+        return {
+            error: 'Invitation already sent to this email. Resend or revoke the existing invitation instead.',
+            code: 'INVITE_PENDING',
+            inviteId: existingInvite.id
+        };
+    }
+
+    // 2. Create invite record with token and expiry (7 days)
+    const invite = await prisma.invite.create({
+        data: {
+            email,
+            token: crypto.randomBytes(32).toString('hex'),
+            role: role || 'DOCTOR',
+            organizationId: organization.id,
+            invitedBy: inviter.id,
+            expiresAt: new Date(Date.now() + INVITE_EXPIRY_MS)
+        }
+    });
+
+    // 3. Send invite email with join link
+    await sendInviteEmail(invite, organization, inviter.name);
+
+    return { invite };
+};
+
 // POST /api/organizations/invite
 const inviteUser = async (req, res) => {
     try {
@@ -190,64 +370,267 @@ const inviteUser = async (req, res) => {
             return res.status(404).json({ error: 'Organization not found' });
         }
 
-        // 1. Check if email is already registered or invited
-        const existingUser = await prisma.user.findUnique({
-            where: { email }
+        // 1. Create and send the invite
+        const result = await createInvite({
+            email,
+            role,
+            organization: user.organization,
+            inviter: user
+        });
+
+        if (result.error) {
+            return res.status(400).json({
+                error: result.error,
+                code: result.code,
+                inviteId: result.inviteId
+            });
+        }
+
+        // 2. Return success message
+        res.json({
+            message: 'Invitation sent successfully',
+            inviteId: result.invite.id
+        });
+    } catch (error) {
+        console.error('Invite user error:', error);
+        res.status(500).json({ error: 'Failed to send invitation' });
+    }
+};
+
+// POST /api/organizations/invites/bulk
+const bulkInviteUsers = async (req, res) => {
+    try {
+        const { invites } = req.body; // Array of { email, role }
+        const userId = req.user.userId;
+
+        // Get user's organization
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            include: {
+                organization: true
+            }
         });
 
-        if (existingUser) {
-            return res.status(400).json({ error: 'User with this email already exists' });
+        if (!user.organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        // 1. Validate the batch itself
+        if (!Array.isArray(invites) || invites.length === 0) {
+            return res.status(400).json({ error: 'No invites provided' });
         }
 
-        const existingInvite = await prisma.invite.findFirst({
+        if (invites.length > MAX_BULK_INVITES) {
+            return res.status(400).json({ error: `A maximum of ${MAX_BULK_INVITES} invites can be sent at once` });
+        }
+
+        // 2. Process each row independently and collect per-row results
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        const seenEmails = new Set();
+        const results = [];
+
+        for (const [index, row] of invites.entries()) {
+            const email = String(row?.email || '').trim().toLowerCase();
+            const role = row?.role || 'DOCTOR';
+
+            if (!emailRegex.test(email)) {
+                results.push({ row: index, email, role, status: 'FAILED', error: 'Invalid email address', code: 'INVALID_EMAIL' });
+                continue;
+            }
+
+            if (!ROLES.includes(role)) {
+                results.push({ row: index, email, role, status: 'FAILED', error: 'Invalid role specified', code: 'INVALID_ROLE' });
+                continue;
+            }
+
+            if (seenEmails.has(email)) {
+                results.push({ row: index, email, role, status: 'FAILED', error: 'Duplicate email in this batch', code: 'DUPLICATE_IN_BATCH' });
+                continue;
+            }
+            seenEmails.add(email);
+
+            try {
+                const result = await createInvite({
+                    email,
+                    role,
+                    organization: user.organization,
+                    inviter: user
+                });
+
+                if (result.error) {
+                    results.push({ row: index, email, role, status: 'FAILED', error: result.error, code: result.code, inviteId: result.inviteId });
+                } else {
+                    results.push({ row: index, email, role, status: 'SENT', inviteId: result.invite.id });
+                }
+            } catch (error) {
+                console.error('Bulk invite row error:', error);
+                results.push({ row: index, email, role, status: 'FAILED', error: 'Failed to send invitation', code: 'SEND_FAILED' });
+            }
+        }
+
+        // 3. Return summary with per-row results
+        res.json({
+            summary: {
+                total: invites.length,
+                sent: results.filter(r => r.status === 'SENT').length,
+                failed: results.filter(r => r.status === 'FAILED').length
+            },
+            results
+        });
+    } catch (error) {
+        console.error('Bulk invite error:', error);
+        res.status(500).json({ error: 'Failed to send invitations' });
+    }
+};
+
+// GET /api/organizations/invites
+const getInvites = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        // 1. Get all invites of the organization
+        const invites = await prisma.invite.findMany({
             where: {
-                email,
-                organizationId: user.organization.id,
-                isUsed: false,
-                expiresAt: {
-                    gt: new Date()
+                organizationId: req.user.organizationId
+            },
+            orderBy: {
+                createdAt: 'desc'
+            }
+        });
+
+        // 2. Resolve inviter names
+        const inviters = await prisma.user.findMany({
+            where: {
+                id: {
+                    in: [...new Set(invites.map(invite => invite.invitedBy))]
                 }
+            },
+            select: {
+                id: true,
+                name: true
+            }
+        });
+        const inviterNames = Object.fromEntries(inviters.map(inviter => [inviter.id, inviter.name]));
+
+        // 3. Derive status, filter and exclude tokens
+        const result = invites
+            .map(invite => ({
+                id: invite.id,
+                email: invite.email,
+                role: invite.role,
+                status: getInviteStatus(invite),
+                invitedBy: {
+                    id: invite.invitedBy,
+                    name: inviterNames[invite.invitedBy] || null
+                },
+                expiresAt: invite.expiresAt,
+                lastSentAt: invite.lastSentAt,
+                sendCount: invite.sendCount,
+                revokedAt: invite.revokedAt,
+                createdAt: invite.createdAt
+            }))
+            .filter(invite => !status || invite.status === status.toUpperCase());
+
+        // 4. Return invites list
+        res.json({
+            invites: result
+        });
+    } catch (error) {
+        console.error('Get invites error:', error);
+        res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+};
+
+// POST /api/organizations/invites/:inviteId/resend
+const resendInvite = async (req, res) => {
+    try {
+        const { inviteId } = req.params;
+
+        // 1. Find invite in user's organization
+        const invite = await prisma.invite.findFirst({
+            where: {
+                id: inviteId,
+                organizationId: req.user.organizationId
+            },
+            include: {
+                organization: true
             }
         });
 
-        if (existingInvite) {
-            return res.status(400).json({ error: 'Invitation already sent to this email' });
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite not found' });
         }
 
-        // 2. Generate invite token with expiry (7 days)
-        const token = crypto.randomBytes(32).toString('hex');
-        const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+        // 2. Only pending or expired invites can be resent
+        const status = getInviteStatus(invite);
+        if (status === 'ACCEPTED' || status === 'REVOKED') {
+            return res.status(400).json({ error: `Cannot resend an invitation that has been ${status.toLowerCase()}` });
+        }
+
+        if (Date.now() - invite.lastSentAt.getTime() < INVITE_RESEND_COOLDOWN_MS) {
+            return res.status(429).json({ error: 'Invitation was sent moments ago. Please wait before resending.' });
+        }
 
-        // 3. Create invite record in database
-        const invite = await prisma.invite.create({
+        // 3. Issue a fresh token and expiry (the old link stops working)
+        const updatedInvite = await prisma.invite.update({
+            where: { id: invite.id },
             data: {
-                email,
-                token,
-                role: role || 'DOCTOR',
-                organizationId: user.organization.id,
-                invitedBy: userId,
-                expiresAt
+                token: crypto.randomBytes(32).toString('hex'),
+                expiresAt: new Date(Date.now() + INVITE_EXPIRY_MS),
+                lastSentAt: new Date(),
+                sendCount: {
+                    increment: 1
+                }
             }
         });
 
-        // 4. Send invite email with join link
-        await sendEmail({
-            to: email,
-            subject: `You're invited to join ${user.organization.name}`,
-            template: 'organization-invite',
-            data: {
-                organizationName: user.organization.name,
-                inviterName: user.name,
-                role: role || 'DOCTOR',
-                inviteToken: token
+        // 4. Send invite email again
+        await sendInviteEmail(updatedInvite, invite.organization, req.user.name);
+
+        res.json({
+            message: 'Invitation resent successfully',
+            expiresAt: updatedInvite.expiresAt
+        });
+    } catch (error) {
+        console.error('Resend invite error:', error);
+        res.status(500).json({ error: 'Failed to resend invitation' });
+    }
+};
+
+// DELETE /api/organizations/invites/:inviteId
+const revokeInvite = async (req, res) => {
+    try {
+        const { inviteId } = req.params;
+
+        // 1. Find invite in user's organization
+        const invite = await prisma.invite.findFirst({
+            where: {
+                id: inviteId,
+                organizationId: req.user.organizationId
             }
         });
 
-        // 5. Return success message
-        res.json({ message: 'Invitation sent successfully' });
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        // 2. Accepted invites cannot be revoked (remove the user instead)
+        if (invite.isUsed) {
+            return res.status(400).json({ error: 'Invitation has already been accepted' });
+        }
+
+        // 3. Revoke invite so its link no longer works
+        if (!invite.revokedAt) {
+            await prisma.invite.update({
+                where: { id: invite.id },
+                data: { revokedAt: new Date() }
+            });
+        }
+
+        res.json({ message: 'Invitation revoked successfully' });
     } catch (error) {
-        console.error('Invite user error:', error);
-        res.status(500).json({ error: 'Failed to send invitation' });
+        console.error('Revoke invite error:', error);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
     }
 };
 
@@ -274,6 +657,10 @@ const joinOrganization = async (req, res) => {
             return res.status(400).json({ error: 'Invitation has already been used' });
         }
 
+        if (invite.revokedAt) {
+            return res.status(400).json({ error: 'Invitation has been revoked' });
+        }
+
         if (invite.expiresAt < new Date()) {
             return res.status(400).json({ error: 'Invitation has expired' });
         }
@@ -344,8 +731,16 @@ const getOrganizationUsers = async (req, res) => {
                 name: true,
                 email: true,
                 role: true,
+                customRole: {
+                    select: {
+                        id: true,
+                        name: true
+                    }
+                },
                 specialization: true,
                 isEmailVerified: true,
+                failedLoginAttempts: true,
+                lockedUntil: true,
                 createdAt: true,
                 _count: {
                     select: {
@@ -360,9 +755,13 @@ const getOrganizationUsers = async (req, res) => {
         });
 
         // 2. Exclude sensitive data (passwords, tokens)
-        // 3. Return users list
+        // 3. Flag accounts currently locked out by failed logins
+        // 4. Return users list
         res.json({
-            users
+            users: users.map(orgUser => ({
+                ...orgUser,
+                isLocked: isAccountLocked(orgUser)
+            }))
         });
     } catch (error) {
         console.error('Get organization users error:', error);
@@ -400,6 +799,10 @@ const removeUserFromOrganization = async (req, res) => {
             return res.status(404).json({ error: 'User not found in organization' });
         }
 
+        if (adminUser.organization.ownerId === targetUser.id) {
+            return res.status(400).json({ error: 'Cannot remove the organization owner. Transfer ownership first.' });
+        }
+
         // 2. Check if user is not the last admin
         if (targetUser.role === 'ADMIN') {
             const adminCount = await prisma.user.count({
@@ -414,13 +817,24 @@ const removeUserFromOrganization = async (req, res) => {
             }
         }
 
-        // 3. Remove user from organization (set organizationId to null)
-        await prisma.user.update({
-            where: { id: targetUserId },
-            data: {
-                organizationId: null
-            }
-        });
+        // 3. Remove user from organization (set organizationId to null) and cancel
+        // any ownership transfer still waiting for them
+        await prisma.$transaction([
+            prisma.user.update({
+                where: { id: targetUserId },
+                data: {
+                    organizationId: null
+                }
+            }),
+            prisma.ownershipTransfer.updateMany({
+                where: {
+                    toUserId: targetUserId,
+                    acceptedAt: null,
+                    cancelledAt: null
+                },
+                data: { cancelledAt: new Date() }
+            })
+        ]);
 
         // 4. Return success message
         res.json({ message: 'User removed from organization' });
@@ -430,12 +844,407 @@ const removeUserFromOrganization = async (req, res) => {
     }
 };
 
+// POST /api/organizations/users/:userId/unlock
+const unlockOrganizationUser = async (req, res) => {
+    try {
+        const { userId: targetUserId } = req.params;
+
+        // 1. Check if user exists and belongs to the organization
+        const targetUser = await prisma.user.findFirst({
+            where: {
+                id: targetUserId,
+                organizationId: req.user.organizationId
+            }
+        });
+
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found in organization' });
+        }
+
+        // 2. Lift the lock and reset failed attempt tracking
+        await clearFailedLogins(targetUser);
+
+        // 3. Return success message
+        res.json({ message: 'User account unlocked' });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({ error: 'Failed to unlock user' });
+    }
+};
+
+// PUT /api/organizations/users/:userId/role
+const updateUserRole = async (req, res) => {
+    try {
+        const { userId: targetUserId } = req.params;
+        const { role, customRoleId } = req.body;
+
+        // 1. Check if user exists and belongs to the organization
+        const targetUser = await prisma.user.findFirst({
+            where: {
+                id: targetUserId,
+                organizationId: req.user.organizationId
+            },
+            include: {
+                customRole: {
+                    select: {
+                        permissions: true
+                    }
+                }
+            }
+        });
+
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found in organization' });
+        }
+
+        // 2. Check a custom role belongs to the organization
+        let customRole = customRoleId === undefined ? targetUser.customRole : null;
+
+        if (customRoleId) {
+            customRole = await prisma.organizationRole.findFirst({
+                where: {
+                    id: customRoleId,
+                    organizationId: req.user.organizationId
+                }
+            });
+
+            if (!customRole) {
+                return res.status(400).json({ error: 'Invalid custom role selected' });
+            }
+        }
+
+        // 3. Check the owner and the last admin keep user and role management
+        // (a custom role replaces the built-in permissions, so it can demote an admin too)
+        const demotesAdmin = targetUser.role === 'ADMIN' && role && role !== 'ADMIN';
+        const losesManagement = isOrganizationManager(targetUser) &&
+            !isOrganizationManager({ role: role || targetUser.role, customRole });
+
+        if (demotesAdmin || losesManagement) {
+            const organization = await prisma.organization.findUnique({
+                where: { id: req.user.organizationId }
+            });
+
+            if (organization.ownerId === targetUser.id) {
+                return res.status(400).json({ error: 'Cannot change the role of the organization owner' });
+            }
+
+            const otherUsers = await prisma.user.findMany({
+                where: {
+                    organizationId: req.user.organizationId,
+                    id: { not: targetUser.id }
+                },
+                select: {
+                    role: true,
+                    customRole: {
+                        select: {
+                            permissions: true
+                        }
+                    }
+                }
+            });
+
+            if (!otherUsers.some(isOrganizationManager)) {
+                return res.status(400).json({ error: 'Cannot change the role of the last admin' });
+            }
+        }
+
+        // 4. Update built-in role and/or custom role (null clears the custom role)
+        const updatedUser = await prisma.user.update({
+            where: { id: targetUserId },
+            data: {
+                role,
+                customRoleId
+            },
+            select: {
+                id: true,
+                name: true,
+                email: true,
+                role: true,
+                customRole: {
+                    select: {
+                        id: true,
+                        name: true,
+                        permissions: true
+                    }
+                }
+            }
+        });
+
+        // 5. Return updated user
+        res.json({
+            user: updatedUser
+        });
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({ error: 'Failed to update user role' });
+    }
+};
+
+// POST /api/organizations/me/ownership-transfer
+const requestOwnershipTransfer = async (req, res) => {
+    try {
+        const { userId: targetUserId } = req.body;
+
+        const organization = await prisma.organization.findUnique({
+            where: { id: req.user.organizationId }
+        });
+
+        // 1. Only the owner can hand the organization over
+        if (!isOrganizationOwner(organization, req.user)) {
+            return res.status(403).json({ error: 'Only the organization owner can transfer ownership', code: 'OWNER_REQUIRED' });
+        }
+
+        // 2. Target must be another verified member
+        const targetUser = await prisma.user.findFirst({
+            where: {
+                id: targetUserId,
+                organizationId: organization.id,
+                isEmailVerified: true
+            }
+        });
+
+        if (!targetUser || targetUser.id === req.user.id) {
+            return res.status(400).json({ error: 'Invalid user selected' });
+        }
+
+        // 3. Replace any pending transfer with a new one
+        await prisma.ownershipTransfer.updateMany({
+            where: {
+                organizationId: organization.id,
+                acceptedAt: null,
+                cancelledAt: null
+            },
+            data: { cancelledAt: new Date() }
+        });
+
+        const transfer = await prisma.ownershipTransfer.create({
+            data: {
+                organizationId: organization.id,
+                fromUserId: req.user.id,
+                toUserId: targetUser.id,
+                token: crypto.randomBytes(32).toString('hex'),
+                expiresAt: new Date(Date.now() + OWNERSHIP_TRANSFER_EXPIRY_MS)
+            }
+        });
+
+        // 4. Ask the new owner to confirm by email
+        await sendEmail({
+            to: targetUser.email,
+            subject: `Confirm ownership of ${organization.name}`,
+            template: 'ownership-transfer',
+            data: {
+                name: targetUser.name,
+                fromName: req.user.name,
+                organizationName: organization.name,
+                transferToken: transfer.token
+            }
+        });
+
+        res.json({
+            message: 'Ownership transfer requested. The new owner must confirm via email.',
+            expiresAt: transfer.expiresAt
+        });
+    } catch (error) {
+        console.error('Request ownership transfer error:', error);
+        res.status(500).json({ error: 'Failed to request ownership transfer' });
+    }
+};
+
+// DELETE /api/organizations/me/ownership-transfer
+const cancelOwnershipTransfer = async (req, res) => {
+    try {
+        const organization = await prisma.organization.findUnique({
+            where: { id: req.user.organizationId }
+        });
+
+        if (!isOrganizationOwner(organization, req.user)) {
+            return res.status(403).json({ error: 'Only the organization owner can cancel a transfer', code: 'OWNER_REQUIRED' });
+        }
+
+        // 1. Cancel any pending transfer
+        const result = await prisma.ownershipTransfer.updateMany({
+            where: {
+                organizationId: organization.id,
+                acceptedAt: null,
+                cancelledAt: null
+            },
+            data: { cancelledAt: new Date() }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({ error: 'No pending ownership transfer' });
+        }
+
+        res.json({ message: 'Ownership transfer cancelled' });
+    } catch (error) {
+        console.error('Cancel ownership transfer error:', error);
+        res.status(500).json({ error: 'Failed to cancel ownership transfer' });
+    }
+};
+
+// POST /api/organizations/ownership-transfer/accept
+const acceptOwnershipTransfer = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        // 1. Find a pending transfer addressed to the current user
+        const transfer = await prisma.ownershipTransfer.findUnique({
+            where: { token: String(token || '') }
+        });
+
+        if (!transfer || transfer.toUserId !== req.user.id || transfer.organizationId !== req.user.organizationId) {
+            return res.status(400).json({ error: 'Invalid ownership transfer token' });
+        }
+
+        if (transfer.acceptedAt || transfer.cancelledAt || transfer.expiresAt < new Date()) {
+            return res.status(400).json({ error: 'Ownership transfer is no longer valid' });
+        }
+
+        // 2. Make the user owner (and admin) and close the transfer
+        await prisma.$transaction([
+            prisma.organization.update({
+                where: { id: transfer.organizationId },
+                data: { ownerId: req.user.id }
+            }),
+            prisma.user.update({
+                where: { id: req.user.id },
+                data: { role: 'ADMIN' }
+            }),
+            prisma.ownershipTransfer.update({
+                where: { id: transfer.id },
+                data: { acceptedAt: new Date() }
+            })
+        ]);
+
+        res.json({ message: 'You are now the owner of this organization' });
+    } catch (error) {
+        console.error('Accept ownership transfer error:', error);
+        res.status(500).json({ error: 'Failed to accept ownership transfer' });
+    }
+};
+
+// POST /api/organizations/me/deletion
+const scheduleOrganizationDeletion = async (req, res) => {
+    try {
+        const { confirmName } = req.body;
+
+        const organization = await prisma.organization.findUnique({
+            where: { id: req.user.organizationId },
+            include: {
+                users: {
+                    where: { role: 'ADMIN' },
+                    select: {
+                        email: true,
+                        name: true
+                    }
+                }
+            }
+        });
+
+        // 1. Only the owner can delete, and must type the organization name
+        if (!isOrganizationOwner(organization, req.user)) {
+            return res.status(403).json({ error: 'Only the organization owner can delete the organization', code: 'OWNER_REQUIRED' });
+        }
+
+        if (confirmName !== organization.name) {
+            return res.status(400).json({ error: 'Organization name confirmation does not match' });
+        }
+
+        if (organization.deletionScheduledAt) {
+            return res.status(400).json({ error: 'Organization deletion is already scheduled' });
+        }
+
+        // The final export must have somewhere to go before data can be scheduled for removal
+        if (!isFinalExportConfigured()) {
+            return res.status(503).json({
+                error: 'Organization deletion is unavailable until final export storage is configured',
+                code: 'EXPORT_STORAGE_NOT_CONFIGURED'
+            });
+        }
+
+        // 2. Schedule deletion after the grace period
+        const deletionScheduledAt = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+        await prisma.organization.update({
+            where: { id: organization.id },
+            data: {
+                deletionScheduledAt,
+                deletionRequestedBy: req.user.id
+            }
+        });
+
+        // 3. Warn every admin
+        await Promise.all(organization.users.map(admin => sendEmail({
+            to: admin.email,
+            subject: `${organization.name} is scheduled for deletion`,
+            template: 'organization-deletion-scheduled',
+            data: {
+                name: admin.name,
+                organizationName: organization.name,
+                deletionDate: deletionScheduledAt.toDateString()
+            }
+        }).catch(error => console.error('Failed to send deletion notice:', error))));
+
+        res.json({
+            message: 'Organization scheduled for deletion. A final export will be emailed to the owner before data is removed.',
+            deletionScheduledAt
+        });
+    } catch (error) {
+        console.error('Schedule organization deletion error:', error);
+        res.status(500).json({ error: 'Failed to schedule organization deletion' });
+    }
+};
+
+// DELETE /api/organizations/me/deletion
+const cancelOrganizationDeletion = async (req, res) => {
+    try {
+        const organization = await prisma.organization.findUnique({
+            where: { id: req.user.organizationId }
+        });
+
+        if (!isOrganizationOwner(organization, req.user)) {
+            return res.status(403).json({ error: 'Only the organization owner can cancel deletion', code: 'OWNER_REQUIRED' });
+        }
+
+        if (!organization.deletionScheduledAt) {
+            return res.status(400).json({ error: 'Organization deletion is not scheduled' });
+        }
+
+        // 1. Clear the scheduled deletion
+        await prisma.organization.update({
+            where: { id: organization.id },
+            data: {
+                deletionScheduledAt: null,
+                deletionRequestedBy: null
+            }
+        });
+
+        res.json({ message: 'Organization deletion cancelled' });
+    } catch (error) {
+        console.error('Cancel organization deletion error:', error);
+        res.status(500).json({ error: 'Failed to cancel organization deletion' });
+    }
+};
+
 module.exports = {
     createOrganization,
     getMyOrganization,
     updateMyOrganization,
+    getMySettings,
+    updateMySettings,
     inviteUser,
+    bulkInviteUsers,
+    getInvites,
+    resendInvite,
+    revokeInvite,
     joinOrganization,
     getOrganizationUsers,
-    removeUserFromOrganization
+    removeUserFromOrganization,
+    unlockOrganizationUser,
+    updateUserRole,
+    requestOwnershipTransfer,
+    cancelOwnershipTransfer,
+    acceptOwnershipTransfer,
+    scheduleOrganizationDeletion,
+    cancelOrganizationDeletion
 }; 
\ No newline at end of file
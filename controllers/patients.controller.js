@@ -157,7 +157,7 @@ const createPatient = async (req, res) => {
     try {
         const {
             name, phone, email, dateOfBirth, gender, address, clinicId,
-            emergencyContact, bloodGroup, allergies, chronicConditions
+            emergencyContact, bloodGroup, allergies, chronicConditions, notificationsOptOut
         } = req.body;
         const userId = req.user.userId;
 
@@ -231,7 +231,8 @@ const createPatient = async (req, res) => {
                 emergencyContact,
                 bloodGroup,
                 allergies,
-                chronicConditions
+                chronicConditions,
+                notificationsOptOut
             },
             include: {
                 clinic: {
@@ -272,9 +273,11 @@ const getPatientById = async (req, res) => {
 
         // 1. Find patient by ID
         // 2. Check if patient belongs to user's organization
-        // 3. Include EHR records, appointments, and clinic details
+        // 3. Include appointments, clinic details and (with ehr:read) EHR records
         // 4. Return comprehensive patient profile
 
+        const canReadEHR = req.user.permissions.includes('ehr:read');
+
         const patient = await prisma.patient.findFirst({
             where: {
                 id,
@@ -305,7 +308,7 @@ const getPatientById = async (req, res) => {
                         appointmentDate: 'desc'
                     }
                 },
-                ehrRecords: {
+                ehrRecords: canReadEHR && {
                     include: {
                         doctor: {
                             select: {
@@ -341,7 +344,7 @@ const updatePatient = async (req, res) => {
         const { id } = req.params;
         const {
             name, phone, email, dateOfBirth, gender, address, clinicId,
-            emergencyContact, bloodGroup, allergies, chronicConditions
+            emergencyContact, bloodGroup, allergies, chronicConditions, notificationsOptOut
         } = req.body;
         const userId = req.user.userId;
 
@@ -414,7 +417,8 @@ const updatePatient = async (req, res) => {
                 emergencyContact,
                 bloodGroup,
                 allergies,
-                chronicConditions
+                chronicConditions,
+                notificationsOptOut
             },
             include: {
                 clinic: {
@@ -503,6 +507,41 @@ const deletePatient = async (req, res) => {
     }
 };
 
+// POST /api/patients/:id/no-shows/reset
+const resetPatientNoShows = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Find patient in user's organization
+        const patient = await prisma.patient.findFirst({
+            where: {
+                id,
+                clinic: {
+                    organizationId: req.user.organizationId
+                }
+            }
+        });
+
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // 2. Clear the count so new bookings no longer fall under the no-show policy
+        const updatedPatient = await prisma.patient.update({
+            where: { id },
+            data: { noShowCount: 0 }
+        });
+
+        res.json({
+            message: 'No-show count reset',
+            patient: updatedPatient
+        });
+    } catch (error) {
+        console.error('Reset patient no-shows error:', error);
+        res.status(500).json({ error: 'Failed to reset no-show count' });
+    }
+};
+
 // POST /api/patients/bulk-import
 const bulkImportPatients = async (req, res) => {
     try {
@@ -642,5 +681,6 @@ module.exports = {
     getPatientById,
     updatePatient,
     deletePatient,
+    resetPatientNoShows,
     bulkImportPatients
 }; 
\ No newline at end of file
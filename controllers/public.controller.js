@@ -0,0 +1,617 @@
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const { toZonedDateString } = require('../utils/timezone');
+const { getAvailableSlots, checkAppointmentSlot } = require('../utils/scheduling');
+const { getTransitionError, getStatusUpdateData, recordAppointmentEvent, diffAppointment } = require('../utils/appointmentStatus');
+const { publishAppointmentEvent } = require('../utils/realtime');
+const { sendAppointmentNotification } = require('../utils/notifications');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { resourceSelect } = require('../utils/resources');
+const { getNoShowPolicy, getPolicyBookingData, getRescheduledConfirmBy } = require('../utils/noShows');
+const {
+    sendPhoneVerificationCode,
+    checkPhoneVerificationCode,
+    signBookingToken,
+    verifyBookingToken,
+    signManageToken,
+    verifyManageToken,
+    isManageTokenCurrent,
+    getManageUrl
+} = require('../utils/publicBooking');
+
+const publicClinicSelect = {
+    id: true,
+    name: true,
+    address: true,
+    phone: true,
+    organizationId: true
+};
+
+const managedAppointmentInclude = {
+    doctor: {
+        select: {
+            name: true,
+            specialization: true
+        }
+    },
+    clinic: {
+        select: publicClinicSelect
+    },
+    resources: {
+        select: resourceSelect
+    }
+};
+
+// Find a clinic that takes online bookings
+const findPublicClinic = (clinicId) => {
+    return prisma.clinic.findFirst({
+        where: {
+            id: clinicId,
+            publicBookingEnabled: true
+        },
+        select: publicClinicSelect
+    });
+};
+
+// Find a doctor of the organization who works at the clinic
+const findClinicDoctor = (doctorId, clinic) => {
+    return prisma.user.findFirst({
+        where: {
+            id: doctorId,
+            organizationId: clinic.organizationId,
+            role: 'DOCTOR',
+            doctorSchedules: {
+                some: {
+                    clinicId: clinic.id
+                }
+            }
+        },
+        select: {
+            id: true,
+            name: true,
+            specialization: true
+        }
+    });
+};
+
+// Find the free slot starting at a time; online bookings must match one of the doctor's slots
+const findBookableSlot = async ({ clinic, doctorId, start, resourceIds, excludeAppointmentIds }) => {
+    const { timezone } = await getOrganizationSettings(clinic.organizationId);
+    const { slots } = await getAvailableSlots({
+        organizationId: clinic.organizationId,
+        doctorId,
+        clinicId: clinic.id,
+        date: toZonedDateString(start, timezone),
+        resourceIds,
+        excludeAppointmentIds
+    });
+
+    return slots.find(slot => slot.start.getTime() === start.getTime()) || null;
+};
+
+// Find the appointment behind a manage link (links from before a reschedule no longer work)
+const findManagedAppointment = async (token) => {
+    const decoded = verifyManageToken(token);
+
+    if (!decoded) {
+        return null;
+    }
+
+    const appointment = await prisma.appointment.findUnique({
+        where: { id: decoded.appointmentId },
+        include: managedAppointmentInclude
+    });
+
+    return appointment && isManageTokenCurrent(decoded, appointment) ? appointment : null;
+};
+
+// Appointment fields shown to patients
+const toPublicAppointment = (appointment) => ({
+    id: appointment.id,
+    appointmentDate: appointment.appointmentDate,
+    duration: appointment.duration,
+    status: appointment.status,
+    confirmBy: appointment.confirmBy,
+    depositAmount: appointment.depositAmount,
+    depositPaid: Boolean(appointment.depositPaidAt),
+    doctor: appointment.doctor,
+    clinic: {
+        name: appointment.clinic.name,
+        address: appointment.clinic.address,
+        phone: appointment.clinic.phone
+    }
+});
+
+// GET /api/public/clinics/:clinicId/doctors
+const getPublicDoctors = async (req, res) => {
+    try {
+        // 1. Find clinic that takes online bookings
+        const clinic = await findPublicClinic(req.params.clinicId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 2. List doctors with a schedule at the clinic
+        const doctors = await prisma.user.findMany({
+            where: {
+                organizationId: clinic.organizationId,
+                role: 'DOCTOR',
+                doctorSchedules: {
+                    some: {
+                        clinicId: clinic.id
+                    }
+                }
+            },
+            select: {
+                id: true,
+                name: true,
+                specialization: true
+            },
+            orderBy: {
+                name: 'asc'
+            }
+        });
+
+        res.json({
+            clinic: {
+                id: clinic.id,
+                name: clinic.name,
+                address: clinic.address,
+                phone: clinic.phone
+            },
+            doctors
+        });
+    } catch (error) {
+        console.error('Get public doctors error:', error);
+        res.status(500).json({ error: 'Failed to fetch doctors' });
+    }
+};
+
+// GET /api/public/clinics/:clinicId/slots
+const getPublicSlots = async (req, res) => {
+    try {
+        const { doctor, date } = req.query;
+
+        // 1. Find clinic and doctor
+        const clinic = await findPublicClinic(req.params.clinicId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        if (!await findClinicDoctor(doctor, clinic)) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        // 2. List the doctor's free slots at the clinic in their usual slot length
+        const availability = await getAvailableSlots({
+            organizationId: clinic.organizationId,
+            doctorId: doctor,
+            clinicId: clinic.id,
+            date
+        });
+
+        res.json(availability);
+    } catch (error) {
+        console.error('Get public slots error:', error);
+        res.status(500).json({ error: 'Failed to fetch available slots' });
+    }
+};
+
+// POST /api/public/clinics/:clinicId/otp
+const requestBookingCode = async (req, res) => {
+    try {
+        const clinic = await findPublicClinic(req.params.clinicId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        const { verificationId, expiresAt } = await sendPhoneVerificationCode(req.body.phone, clinic);
+
+        res.status(201).json({
+            message: 'Verification code sent',
+            verificationId,
+            expiresAt
+        });
+    } catch (error) {
+        console.error('Request booking code error:', error);
+        res.status(500).json({ error: 'Failed to send verification code' });
+    }
+};
+
+// POST /api/public/clinics/:clinicId/otp/verify
+const verifyBookingCode = async (req, res) => {
+    try {
+        const { verificationId, code } = req.body;
+
+        const clinic = await findPublicClinic(req.params.clinicId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        // 1. Check the code
+        const result = await checkPhoneVerificationCode(verificationId, clinic.id, code);
+
+        if (result.error) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+
+        // 2. Tell the patient whether the organization already knows them
+        const patient = await prisma.patient.findFirst({
+            where: {
+                phone: result.phone,
+                clinic: {
+                    organizationId: clinic.organizationId
+                }
+            },
+            select: {
+                name: true
+            }
+        });
+
+        res.json({
+            bookingToken: signBookingToken(result.phone, clinic.id),
+            patient
+        });
+    } catch (error) {
+        console.error('Verify booking code error:', error);
+        res.status(500).json({ error: 'Failed to verify code' });
+    }
+};
+
+// POST /api/public/clinics/:clinicId/appointments
+const bookPublicAppointment = async (req, res) => {
+    try {
+        const { bookingToken, doctorId, appointmentDate, name, email } = req.body;
+
+        // 1. Find clinic and check the phone was verified for it
+        const clinic = await findPublicClinic(req.params.clinicId);
+
+        if (!clinic) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        const booking = verifyBookingToken(bookingToken);
+        if (!booking || booking.clinicId !== clinic.id) {
+            return res.status(401).json({ error: 'Phone verification has expired. Please verify again.', code: 'INVALID_BOOKING_TOKEN' });
+        }
+
+        // 2. The time must be one of the doctor's free slots
+        if (!await findClinicDoctor(doctorId, clinic)) {
+            return res.status(400).json({ error: 'Invalid doctor selected' });
+        }
+
+        const start = new Date(appointmentDate);
+        const slot = await findBookableSlot({ clinic, doctorId, start });
+
+        if (!slot) {
+            return res.status(400).json({ error: 'This time is not available. Please pick another slot.', code: 'SLOT_UNAVAILABLE' });
+        }
+
+        // 3. Match the patient by phone in the organization, or register them
+        let patient = await prisma.patient.findUnique({
+            where: { phone: booking.phone },
+            include: {
+                clinic: {
+                    select: {
+                        organizationId: true
+                    }
+                }
+            }
+        });
+
+        if (patient && patient.clinic.organizationId !== clinic.organizationId) {
+            return res.status(400).json({ error: 'This phone number cannot be used to book online. Please call the clinic.', code: 'PHONE_NOT_AVAILABLE' });
+        }
+
+        if (!patient) {
+            if (!name) {
+                return res.status(400).json({ error: 'Name is required for new patients', code: 'NAME_REQUIRED' });
+            }
+
+            patient = await prisma.patient.create({
+                data: {
+                    name,
+                    phone: booking.phone,
+                    email,
+                    clinicId: clinic.id
+                }
+            });
+        }
+
+        // 4. Check the patient is free too
+        const slotProblem = await checkAppointmentSlot({
+            organizationId: clinic.organizationId,
+            start,
+            duration: slot.duration,
+            doctorId,
+            patientId: patient.id,
+            clinicId: clinic.id
+        });
+
+        if (slotProblem) {
+            return res.status(400).json(slotProblem);
+        }
+
+        // 5. Create appointment (patients with repeated no-shows must confirm it in time)
+        const settings = await getOrganizationSettings(clinic.organizationId);
+        const noShowPolicy = await getNoShowPolicy(patient.id, settings);
+
+        const appointment = await prisma.appointment.create({
+            data: {
+                patientId: patient.id,
+                doctorId,
+                clinicId: clinic.id,
+                appointmentDate: start,
+                duration: slot.duration,
+                status: 'SCHEDULED',
+                ...getPolicyBookingData(noShowPolicy, start, settings),
+                events: {
+                    create: {
+                        type: 'CREATED',
+                        toStatus: 'SCHEDULED',
+                        reason: 'Booked online'
+                    }
+                }
+            },
+            include: managedAppointmentInclude
+        });
+
+        // 6. Confirm with a link to manage the booking, and update dashboards
+        const manageToken = signManageToken(appointment);
+        const manageUrl = getManageUrl(manageToken);
+        sendAppointmentNotification('APPOINTMENT_CONFIRMATION', appointment.id, { manageUrl });
+        publishAppointmentEvent('created', appointment, clinic.organizationId);
+
+        res.status(201).json({
+            appointment: toPublicAppointment(appointment),
+            manageToken,
+            manageUrl
+        });
+    } catch (error) {
+        console.error('Public booking error:', error);
+        res.status(500).json({ error: 'Failed to book appointment' });
+    }
+};
+
+// GET /api/public/appointments/:token
+const getManagedAppointment = async (req, res) => {
+    try {
+        const appointment = await findManagedAppointment(req.params.token);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Invalid or expired link', code: 'INVALID_MANAGE_TOKEN' });
+        }
+
+        res.json({
+            appointment: toPublicAppointment(appointment)
+        });
+    } catch (error) {
+        console.error('Get managed appointment error:', error);
+        res.status(500).json({ error: 'Failed to fetch appointment' });
+    }
+};
+
+// POST /api/public/appointments/:token/cancel
+const cancelManagedAppointment = async (req, res) => {
+    try {
+        const reason = req.body.reason || 'Cancelled by patient';
+
+        // 1. Find appointment behind the link
+        const appointment = await findManagedAppointment(req.params.token);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Invalid or expired link', code: 'INVALID_MANAGE_TOKEN' });
+        }
+
+        // 2. Check it can still be cancelled
+        if (appointment.appointmentDate <= new Date()) {
+            return res.status(400).json({ error: 'Cannot cancel past appointments' });
+        }
+
+        const transitionError = getTransitionError(appointment, 'CANCELLED', { reason });
+        if (transitionError) {
+            return res.status(400).json(transitionError);
+        }
+
+        // 3. Cancel and record it in the history
+        const [cancelledAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id: appointment.id },
+                data: getStatusUpdateData('CANCELLED', reason),
+                include: managedAppointmentInclude
+            }),
+            recordAppointmentEvent({
+                appointmentId: appointment.id,
+                type: 'STATUS_CHANGED',
+                fromStatus: appointment.status,
+                toStatus: 'CANCELLED',
+                reason
+            })
+        ]);
+
+        // 4. Notify the patient, offer the slot to the waitlist and update dashboards
+        sendAppointmentNotification('APPOINTMENT_CANCELLED', appointment.id);
+        offerFreedSlot(appointment, appointment.clinic.organizationId);
+        publishAppointmentEvent('cancelled', cancelledAppointment, appointment.clinic.organizationId);
+
+        res.json({
+            message: 'Appointment cancelled successfully',
+            appointment: toPublicAppointment(cancelledAppointment)
+        });
+    } catch (error) {
+        console.error('Cancel managed appointment error:', error);
+        res.status(500).json({ error: 'Failed to cancel appointment' });
+    }
+};
+
+// POST /api/public/appointments/:token/confirm
+const confirmManagedAppointment = async (req, res) => {
+    try {
+        // 1. Find appointment behind the link
+        const appointment = await findManagedAppointment(req.params.token);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Invalid or expired link', code: 'INVALID_MANAGE_TOKEN' });
+        }
+
+        if (appointment.status === 'CONFIRMED') {
+            return res.json({
+                appointment: toPublicAppointment(appointment)
+            });
+        }
+
+        // 2. Only upcoming, scheduled appointments can be confirmed (deposits are paid to the clinic first)
+        if (appointment.status !== 'SCHEDULED') {
+            return res.status(400).json({ error: `Cannot confirm a ${appointment.status.toLowerCase()} appointment` });
+        }
+
+        if (appointment.appointmentDate <= new Date()) {
+            return res.status(400).json({ error: 'Cannot confirm past appointments' });
+        }
+
+        const transitionError = getTransitionError(appointment, 'CONFIRMED');
+        if (transitionError) {
+            return res.status(400).json(transitionError);
+        }
+
+        // 3. Confirm and record it in the history
+        const reason = 'Confirmed by patient';
+        const [confirmedAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id: appointment.id, status: 'SCHEDULED' },
+                data: getStatusUpdateData('CONFIRMED'),
+                include: managedAppointmentInclude
+            }),
+            recordAppointmentEvent({
+                appointmentId: appointment.id,
+                type: 'STATUS_CHANGED',
+                fromStatus: appointment.status,
+                toStatus: 'CONFIRMED',
+                reason
+            })
+        ]);
+
+        publishAppointmentEvent('updated', confirmedAppointment, appointment.clinic.organizationId);
+
+        res.json({
+            appointment: toPublicAppointment(confirmedAppointment)
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(409).json({ error: 'The appointment changed meanwhile. Please reload it.' });
+        }
+
+        console.error('Confirm managed appointment error:', error);
+        res.status(500).json({ error: 'Failed to confirm appointment' });
+    }
+};
+
+// POST /api/public/appointments/:token/reschedule
+const rescheduleManagedAppointment = async (req, res) => {
+    try {
+        // 1. Find appointment behind the link
+        const appointment = await findManagedAppointment(req.params.token);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Invalid or expired link', code: 'INVALID_MANAGE_TOKEN' });
+        }
+
+        // 2. Only upcoming, active appointments can move
+        if (!['SCHEDULED', 'CONFIRMED'].includes(appointment.status)) {
+            return res.status(400).json({ error: `Cannot reschedule a ${appointment.status} appointment` });
+        }
+
+        if (appointment.appointmentDate <= new Date()) {
+            return res.status(400).json({ error: 'Cannot reschedule past appointments' });
+        }
+
+        // 3. The new time must be one of the doctor's free slots at the same clinic,
+        // with the rooms and equipment the appointment reserves also free
+        const start = new Date(req.body.appointmentDate);
+        const resourceIds = appointment.resources.map(resource => resource.id);
+        const slot = await findBookableSlot({
+            clinic: appointment.clinic,
+            doctorId: appointment.doctorId,
+            start,
+            resourceIds,
+            excludeAppointmentIds: [appointment.id]
+        });
+
+        if (!slot) {
+            return res.status(400).json({ error: 'This time is not available. Please pick another slot.', code: 'SLOT_UNAVAILABLE' });
+        }
+
+        const slotProblem = await checkAppointmentSlot({
+            organizationId: appointment.clinic.organizationId,
+            start,
+            duration: slot.duration,
+            doctorId: appointment.doctorId,
+            patientId: appointment.patientId,
+            clinicId: appointment.clinicId,
+            resourceIds,
+            excludeAppointmentIds: [appointment.id]
+        });
+
+        if (slotProblem) {
+            return res.status(400).json(slotProblem);
+        }
+
+        // 4. Move the appointment and record it in the history
+        const changes = diffAppointment(appointment, { appointmentDate: start, duration: slot.duration });
+        const settings = await getOrganizationSettings(appointment.clinic.organizationId);
+
+        const [updatedAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id: appointment.id },
+                data: {
+                    appointmentDate: start,
+                    duration: slot.duration,
+                    confirmBy: getRescheduledConfirmBy(appointment, start, settings),
+                    sequence: { increment: 1 }
+                },
+                include: managedAppointmentInclude
+            }),
+            recordAppointmentEvent({
+                appointmentId: appointment.id,
+                type: 'RESCHEDULED',
+                changes,
+                reason: 'Rescheduled by patient'
+            })
+        ]);
+
+        // 5. Notify the patient with a fresh link, offer the old slot to the waitlist and update dashboards
+        const manageToken = signManageToken(updatedAppointment);
+        const manageUrl = getManageUrl(manageToken);
+        sendAppointmentNotification('APPOINTMENT_RESCHEDULED', appointment.id, {
+            previousDate: appointment.appointmentDate,
+            manageUrl
+        });
+        offerFreedSlot(appointment, appointment.clinic.organizationId);
+        publishAppointmentEvent('updated', updatedAppointment, appointment.clinic.organizationId);
+
+        res.json({
+            appointment: toPublicAppointment(updatedAppointment),
+            manageToken,
+            manageUrl
+        });
+    } catch (error) {
+        console.error('Reschedule managed appointment error:', error);
+        res.status(500).json({ error: 'Failed to reschedule appointment' });
+    }
+};
+
+module.exports = {
+    getPublicDoctors,
+    getPublicSlots,
+    requestBookingCode,
+    verifyBookingCode,
+    bookPublicAppointment,
+    getManagedAppointment,
+    cancelManagedAppointment,
+    confirmManagedAppointment,
+    rescheduleManagedAppointment
+};
@@ -0,0 +1,370 @@
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const { toZonedDateString } = require('../utils/timezone');
+const { getBookingPartiesError } = require('../utils/scheduling');
+const { getTransitionError, getStatusUpdateData, recordAppointmentEvent } = require('../utils/appointmentStatus');
+const { publishQueueEvent } = require('../utils/realtime');
+
+const MAX_TOKEN_ATTEMPTS = 3;
+
+/**
+ * Allowed queue moves
+ * Skipped patients can rejoin the queue with their original token
+ */
+const QUEUE_TRANSITIONS = {
+    WAITING: ['IN_CONSULTATION', 'SKIPPED'],
+    IN_CONSULTATION: ['DONE'],
+    SKIPPED: ['WAITING'],
+    DONE: []
+};
+
+// Appointment status that follows each queue status
+const APPOINTMENT_STATUS_FOR_QUEUE = {
+    IN_CONSULTATION: 'IN_PROGRESS',
+    DONE: 'COMPLETED'
+};
+
+const queueEntryInclude = {
+    patient: {
+        select: {
+            id: true,
+            name: true,
+            phone: true
+        }
+    },
+    doctor: {
+        select: {
+            id: true,
+            name: true
+        }
+    },
+    appointment: {
+        select: {
+            id: true,
+            appointmentDate: true,
+            status: true
+        }
+    }
+};
+
+// Today's queue date in the organization's timezone, stored as a date-only value
+const getQueueDate = async (organizationId, date) => {
+    const { timezone } = await getOrganizationSettings(organizationId);
+    const day = date ? date.slice(0, 10) : toZonedDateString(new Date(), timezone);
+
+    return new Date(`${day}T00:00:00.000Z`);
+};
+
+// Prisma operations that move a linked appointment along with its queue entry
+const getAppointmentSyncOperations = (entry, queueStatus, actorId) => {
+    const toStatus = APPOINTMENT_STATUS_FOR_QUEUE[queueStatus];
+
+    if (!entry.appointment || !toStatus || getTransitionError(entry.appointment, toStatus)) {
+        return [];
+    }
+
+    return [
+        prisma.appointment.update({
+            where: { id: entry.appointment.id },
+            data: getStatusUpdateData(toStatus)
+        }),
+        recordAppointmentEvent({
+            appointmentId: entry.appointment.id,
+            type: 'STATUS_CHANGED',
+            fromStatus: entry.appointment.status,
+            toStatus,
+            actorId
+        })
+    ];
+};
+
+// Timestamps written when an entry enters a queue status
+const getQueueStatusData = (status) => {
+    return {
+        status,
+        ...(status === 'IN_CONSULTATION' && { calledAt: new Date() }),
+        ...(status === 'DONE' && { completedAt: new Date() })
+    };
+};
+
+// Create a queue entry with the next token of the day, retrying if another check-in took it first
+const issueToken = async (data) => {
+    for (let attempt = 1; ; attempt++) {
+        const { _max } = await prisma.queueEntry.aggregate({
+            where: {
+                clinicId: data.clinicId,
+                doctorId: data.doctorId,
+                queueDate: data.queueDate
+            },
+            _max: {
+                tokenNumber: true
+            }
+        });
+
+        try {
+            return await prisma.queueEntry.create({
+                data: {
+                    ...data,
+                    tokenNumber: (_max.tokenNumber || 0) + 1
+                },
+                include: queueEntryInclude
+            });
+        } catch (error) {
+            if (error.code !== 'P2002' || attempt >= MAX_TOKEN_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+// GET /api/queue
+const getQueue = async (req, res) => {
+    try {
+        const { clinic, doctor, date } = req.query;
+
+        // 1. Get the day's entries at a clinic in user's organization (doctors see only their own)
+        const queueDate = await getQueueDate(req.user.organizationId, date);
+
+        const entries = await prisma.queueEntry.findMany({
+            where: {
+                clinicId: clinic,
+                clinic: {
+                    organizationId: req.user.organizationId
+                },
+                queueDate,
+                ...(req.user.role === 'DOCTOR' ? { doctorId: req.user.id } : doctor && { doctorId: doctor })
+            },
+            include: queueEntryInclude,
+            orderBy: [{ doctorId: 'asc' }, { tokenNumber: 'asc' }]
+        });
+
+        // 2. Group by queue status, numbering waiting patients per doctor
+        const positions = {};
+        const waiting = entries
+            .filter(entry => entry.status === 'WAITING')
+            .map(entry => {
+                positions[entry.doctorId] = (positions[entry.doctorId] || 0) + 1;
+                return { ...entry, position: positions[entry.doctorId] };
+            });
+
+        res.json({
+            date: queueDate.toISOString().slice(0, 10),
+            clinicId: clinic,
+            waiting,
+            inConsultation: entries.filter(entry => entry.status === 'IN_CONSULTATION'),
+            done: entries.filter(entry => entry.status === 'DONE'),
+            skipped: entries.filter(entry => entry.status === 'SKIPPED')
+        });
+    } catch (error) {
+        console.error('Get queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch queue' });
+    }
+};
+
+// POST /api/queue/check-in
+const checkIn = async (req, res) => {
+    try {
+        const { appointmentId } = req.body;
+        const organizationId = req.user.organizationId;
+        const queueDate = await getQueueDate(organizationId);
+        let visit;
+
+        if (appointmentId) {
+            // 1a. Booked patients check in against today's active appointment
+            const appointment = await prisma.appointment.findFirst({
+                where: {
+                    id: appointmentId,
+                    clinic: {
+                        organizationId
+                    }
+                },
+                include: {
+                    queueEntry: true
+                }
+            });
+
+            if (!appointment) {
+                return res.status(404).json({ error: 'Appointment not found' });
+            }
+
+            if (appointment.queueEntry) {
+                return res.status(400).json({ error: 'Patient is already checked in for this appointment', code: 'ALREADY_CHECKED_IN' });
+            }
+
+            if (!['SCHEDULED', 'CONFIRMED'].includes(appointment.status)) {
+                return res.status(400).json({ error: `Cannot check in a ${appointment.status} appointment` });
+            }
+
+            const { timezone } = await getOrganizationSettings(organizationId);
+            if (toZonedDateString(appointment.appointmentDate, timezone) !== queueDate.toISOString().slice(0, 10)) {
+                return res.status(400).json({ error: 'Appointment is not scheduled for today', code: 'NOT_TODAY' });
+            }
+
+            visit = {
+                clinicId: appointment.clinicId,
+                doctorId: appointment.doctorId,
+                patientId: appointment.patientId,
+                appointmentId
+            };
+        } else {
+            // 1b. Walk-ins name the patient, doctor and clinic directly
+            const { patientId, doctorId, clinicId } = req.body;
+
+            const partiesError = await getBookingPartiesError({ patientId, doctorId, clinicId, organizationId });
+            if (partiesError) {
+                return res.status(400).json({ error: partiesError });
+            }
+
+            visit = { clinicId, doctorId, patientId };
+        }
+
+        // 2. Issue the next token for the doctor at the clinic today
+        const entry = await issueToken({
+            ...visit,
+            queueDate,
+            checkedInBy: req.user.id
+        });
+
+        publishQueueEvent('checked_in', entry, organizationId);
+
+        res.status(201).json({
+            entry
+        });
+    } catch (error) {
+        console.error('Check-in error:', error);
+        res.status(500).json({ error: 'Failed to check in patient' });
+    }
+};
+
+// POST /api/queue/call-next
+const callNext = async (req, res) => {
+    try {
+        const { clinicId } = req.body;
+        const doctorId = req.user.role === 'DOCTOR' ? req.user.id : req.body.doctorId;
+
+        if (!doctorId) {
+            return res.status(400).json({ error: 'Doctor is required' });
+        }
+
+        // 1. Find the doctor's current and next patient at the clinic today
+        const queueDate = await getQueueDate(req.user.organizationId);
+        const queueWhere = {
+            clinicId,
+            doctorId,
+            queueDate,
+            clinic: {
+                organizationId: req.user.organizationId
+            }
+        };
+
+        const [current, next] = await Promise.all([
+            prisma.queueEntry.findMany({
+                where: { ...queueWhere, status: 'IN_CONSULTATION' },
+                include: queueEntryInclude
+            }),
+            prisma.queueEntry.findFirst({
+                where: { ...queueWhere, status: 'WAITING' },
+                include: queueEntryInclude,
+                orderBy: {
+                    tokenNumber: 'asc'
+                }
+            })
+        ]);
+
+        if (current.length === 0 && !next) {
+            return res.status(404).json({ error: 'No patients waiting', code: 'QUEUE_EMPTY' });
+        }
+
+        // 2. Finish the current consultation and start the next one
+        const completeOperations = current.map(entry => prisma.queueEntry.update({
+            where: { id: entry.id },
+            data: getQueueStatusData('DONE'),
+            include: queueEntryInclude
+        }));
+
+        const callOperations = next ? [prisma.queueEntry.update({
+            where: { id: next.id },
+            data: getQueueStatusData('IN_CONSULTATION'),
+            include: queueEntryInclude
+        })] : [];
+
+        const syncOperations = [
+            ...current.flatMap(entry => getAppointmentSyncOperations(entry, 'DONE', req.user.id)),
+            ...(next ? getAppointmentSyncOperations(next, 'IN_CONSULTATION', req.user.id) : [])
+        ];
+
+        // Appointments move first so the returned entries show their new status
+        const results = await prisma.$transaction([...syncOperations, ...completeOperations, ...callOperations]);
+        const entries = results.slice(syncOperations.length);
+        entries.forEach(entry => publishQueueEvent('updated', entry, req.user.organizationId));
+
+        res.json({
+            completed: entries.slice(0, completeOperations.length),
+            called: next ? entries[completeOperations.length] : null
+        });
+    } catch (error) {
+        console.error('Call next error:', error);
+        res.status(500).json({ error: 'Failed to call next patient' });
+    }
+};
+
+// PATCH /api/queue/:id/status
+const updateQueueStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        // 1. Find entry in user's organization (doctors only manage their own queue)
+        const entry = await prisma.queueEntry.findFirst({
+            where: {
+                id,
+                clinic: {
+                    organizationId: req.user.organizationId
+                },
+                ...(req.user.role === 'DOCTOR' && { doctorId: req.user.id })
+            },
+            include: queueEntryInclude
+        });
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Queue entry not found' });
+        }
+
+        // 2. Check the move against the queue flow
+        const allowedStatuses = QUEUE_TRANSITIONS[entry.status];
+        if (!allowedStatuses.includes(status)) {
+            return res.status(400).json({
+                error: `Cannot change queue status from ${entry.status} to ${status}`,
+                code: 'INVALID_QUEUE_TRANSITION',
+                allowedStatuses
+            });
+        }
+
+        // 3. Update entry and its appointment together
+        const results = await prisma.$transaction([
+            ...getAppointmentSyncOperations(entry, status, req.user.id),
+            prisma.queueEntry.update({
+                where: { id },
+                data: getQueueStatusData(status),
+                include: queueEntryInclude
+            })
+        ]);
+
+        const updatedEntry = results[results.length - 1];
+        publishQueueEvent('updated', updatedEntry, req.user.organizationId);
+
+        res.json({
+            entry: updatedEntry
+        });
+    } catch (error) {
+        console.error('Update queue status error:', error);
+        res.status(500).json({ error: 'Failed to update queue status' });
+    }
+};
+
+module.exports = {
+    getQueue,
+    checkIn,
+    callNext,
+    updateQueueStatus
+};
@@ -0,0 +1,199 @@
+const prisma = require('../lib/prisma');
+const { ALL_PERMISSIONS, ROLES, ROLE_PERMISSIONS, isOrganizationManager } = require('../utils/permissions');
+
+// Check someone in the organization can still manage users and roles once a custom role
+// changes (permissions null means the role is deleted and members fall back to their built-in role)
+const keepsOrganizationManager = async (organizationId, roleId, permissions) => {
+    const users = await prisma.user.findMany({
+        where: { organizationId },
+        select: {
+            role: true,
+            customRoleId: true,
+            customRole: {
+                select: {
+                    permissions: true
+                }
+            }
+        }
+    });
+
+    return users.some(user => {
+        if (user.customRoleId !== roleId) {
+            return isOrganizationManager(user);
+        }
+
+        return isOrganizationManager({
+            role: user.role,
+            customRole: permissions ? { permissions } : null
+        });
+    });
+};
+
+// GET /api/roles
+const getRoles = async (req, res) => {
+    try {
+        // 1. Get the organization's custom roles with member counts
+        const customRoles = await prisma.organizationRole.findMany({
+            where: {
+                organizationId: req.user.organizationId
+            },
+            include: {
+                _count: {
+                    select: {
+                        users: true
+                    }
+                }
+            },
+            orderBy: {
+                name: 'asc'
+            }
+        });
+
+        // 2. Return built-in roles, custom roles and the permission catalogue
+        res.json({
+            permissions: ALL_PERMISSIONS,
+            builtInRoles: ROLES.map(role => ({
+                role,
+                permissions: ROLE_PERMISSIONS[role]
+            })),
+            customRoles
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+};
+
+// POST /api/roles
+const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+
+        // 1. Check role name is unique within the organization
+        const existingRole = await prisma.organizationRole.findFirst({
+            where: {
+                organizationId: req.user.organizationId,
+                name
+            }
+        });
+
+        if (existingRole) {
+            return res.status(400).json({ error: 'A role with this name already exists' });
+        }
+
+        // 2. Create custom role
+        const role = await prisma.organizationRole.create({
+            data: {
+                organizationId: req.user.organizationId,
+                name,
+                description,
+                permissions: [...new Set(permissions)]
+            }
+        });
+
+        // 3. Return created role
+        res.status(201).json({
+            role
+        });
+    } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({ error: 'Failed to create role' });
+    }
+};
+
+// PUT /api/roles/:id
+const updateRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, description, permissions } = req.body;
+
+        // 1. Find role in user's organization
+        const existingRole = await prisma.organizationRole.findFirst({
+            where: {
+                id,
+                organizationId: req.user.organizationId
+            }
+        });
+
+        if (!existingRole) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        // 2. Check a renamed role stays unique
+        if (name && name !== existingRole.name) {
+            const duplicateRole = await prisma.organizationRole.findFirst({
+                where: {
+                    organizationId: req.user.organizationId,
+                    name
+                }
+            });
+
+            if (duplicateRole) {
+                return res.status(400).json({ error: 'A role with this name already exists' });
+            }
+        }
+
+        // 3. Check the organization keeps someone who can manage users and roles
+        if (permissions && !await keepsOrganizationManager(req.user.organizationId, id, permissions)) {
+            return res.status(400).json({ error: 'Cannot remove user and role management from the last admin' });
+        }
+
+        // 4. Update role; members pick up new permissions on their next request
+        const role = await prisma.organizationRole.update({
+            where: { id },
+            data: {
+                name,
+                description,
+                permissions: permissions ? [...new Set(permissions)] : undefined
+            }
+        });
+
+        res.json({
+            role
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({ error: 'Failed to update role' });
+    }
+};
+
+// DELETE /api/roles/:id
+const deleteRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Find role in user's organization
+        const role = await prisma.organizationRole.findFirst({
+            where: {
+                id,
+                organizationId: req.user.organizationId
+            }
+        });
+
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        // 2. Check the organization keeps someone who can manage users and roles
+        if (!await keepsOrganizationManager(req.user.organizationId, id, null)) {
+            return res.status(400).json({ error: 'Cannot remove user and role management from the last admin' });
+        }
+
+        // 3. Delete role; members fall back to their built-in role's permissions
+        await prisma.organizationRole.delete({
+            where: { id }
+        });
+
+        res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({ error: 'Failed to delete role' });
+    }
+};
+
+module.exports = {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole
+};
\ No newline at end of file
@@ -0,0 +1,405 @@
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const { getZonedDayRange, toZonedDateString } = require('../utils/timezone');
+const { BLOCKING_STATUSES, timeToMinutes } = require('../utils/scheduling');
+
+const scheduleInclude = {
+    breaks: {
+        orderBy: {
+            startTime: 'asc'
+        }
+    },
+    doctor: {
+        select: {
+            id: true,
+            name: true,
+            specialization: true
+        }
+    },
+    clinic: {
+        select: {
+            id: true,
+            name: true
+        }
+    }
+};
+
+// Find a doctor in the current user's organization
+const findOrganizationDoctor = (doctorId, organizationId) => {
+    return prisma.user.findFirst({
+        where: {
+            id: doctorId,
+            organizationId,
+            role: 'DOCTOR'
+        }
+    });
+};
+
+// Check a shift's times and breaks, returning an error message or null
+const getShiftError = ({ startTime, endTime, breaks = [] }) => {
+    const shiftStart = timeToMinutes(startTime);
+    const shiftEnd = timeToMinutes(endTime);
+
+    if (shiftStart >= shiftEnd) {
+        return 'Shift must end after it starts';
+    }
+
+    const sortedBreaks = [...breaks].sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+
+    for (let index = 0; index < sortedBreaks.length; index++) {
+        const breakStart = timeToMinutes(sortedBreaks[index].startTime);
+        const breakEnd = timeToMinutes(sortedBreaks[index].endTime);
+
+        if (breakStart >= breakEnd || breakStart < shiftStart || breakEnd > shiftEnd) {
+            return 'Breaks must fall within the shift';
+        }
+
+        if (sortedBreaks[index + 1] && timeToMinutes(sortedBreaks[index + 1].startTime) < breakEnd) {
+            return 'Breaks must not overlap';
+        }
+    }
+
+    return null;
+};
+
+// Find another shift of the doctor on the same day that overlaps this one
+const findOverlappingShift = async ({ doctorId, dayOfWeek, startTime, endTime, excludeId }) => {
+    const shifts = await prisma.doctorSchedule.findMany({
+        where: {
+            doctorId,
+            dayOfWeek,
+            ...(excludeId && { id: { not: excludeId } })
+        }
+    });
+
+    return shifts.find(shift =>
+        timeToMinutes(startTime) < timeToMinutes(shift.endTime) && timeToMinutes(endTime) > timeToMinutes(shift.startTime)
+    );
+};
+
+// GET /api/schedules
+const getSchedules = async (req, res) => {
+    try {
+        const { doctor, clinic } = req.query;
+
+        // 1. Get shifts of doctors in user's organization (doctors see only their own)
+        const schedules = await prisma.doctorSchedule.findMany({
+            where: {
+                doctor: {
+                    organizationId: req.user.organizationId
+                },
+                ...(req.user.role === 'DOCTOR' ? { doctorId: req.user.id } : doctor && { doctorId: doctor }),
+                ...(clinic && { clinicId: clinic })
+            },
+            include: scheduleInclude,
+            orderBy: [{ dayOfWeek: 'asc' }, { startTime: 'asc' }]
+        });
+
+        res.json({
+            schedules
+        });
+    } catch (error) {
+        console.error('Get schedules error:', error);
+        res.status(500).json({ error: 'Failed to fetch schedules' });
+    }
+};
+
+// POST /api/schedules
+const createSchedule = async (req, res) => {
+    try {
+        const { doctorId, clinicId, dayOfWeek, startTime, endTime, slotDuration, breaks = [] } = req.body;
+
+        // 1. Validate doctor and clinic belong to organization
+        const doctor = await findOrganizationDoctor(doctorId, req.user.organizationId);
+
+        if (!doctor) {
+            return res.status(400).json({ error: 'Invalid doctor selected' });
+        }
+
+        const clinic = await prisma.clinic.findFirst({
+            where: {
+                id: clinicId,
+                organizationId: req.user.organizationId
+            }
+        });
+
+        if (!clinic) {
+            return res.status(400).json({ error: 'Invalid clinic selected' });
+        }
+
+        // 2. Validate shift times and breaks
+        const shiftError = getShiftError({ startTime, endTime, breaks });
+        if (shiftError) {
+            return res.status(400).json({ error: shiftError });
+        }
+
+        // 3. A doctor cannot work two overlapping shifts
+        const overlappingShift = await findOverlappingShift({ doctorId, dayOfWeek, startTime, endTime });
+        if (overlappingShift) {
+            return res.status(400).json({ error: 'Doctor already has a shift at this time', conflictingScheduleId: overlappingShift.id });
+        }
+
+        // 4. Create shift with its breaks
+        const schedule = await prisma.doctorSchedule.create({
+            data: {
+                doctorId,
+                clinicId,
+                dayOfWeek,
+                startTime,
+                endTime,
+                slotDuration,
+                breaks: {
+                    create: breaks.map(({ startTime, endTime, label }) => ({ startTime, endTime, label }))
+                }
+            },
+            include: scheduleInclude
+        });
+
+        res.status(201).json({
+            schedule
+        });
+    } catch (error) {
+        console.error('Create schedule error:', error);
+        res.status(500).json({ error: 'Failed to create schedule' });
+    }
+};
+
+// PUT /api/schedules/:id
+const updateSchedule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { clinicId, dayOfWeek, startTime, endTime, slotDuration, breaks } = req.body;
+
+        // 1. Find shift in user's organization
+        const existingSchedule = await prisma.doctorSchedule.findFirst({
+            where: {
+                id,
+                doctor: {
+                    organizationId: req.user.organizationId
+                }
+            },
+            include: {
+                breaks: true
+            }
+        });
+
+        if (!existingSchedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        if (clinicId) {
+            const clinic = await prisma.clinic.findFirst({
+                where: {
+                    id: clinicId,
+                    organizationId: req.user.organizationId
+                }
+            });
+
+            if (!clinic) {
+                return res.status(400).json({ error: 'Invalid clinic selected' });
+            }
+        }
+
+        // 2. Validate the shift as it will be after the update
+        const updated = {
+            doctorId: existingSchedule.doctorId,
+            dayOfWeek: dayOfWeek ?? existingSchedule.dayOfWeek,
+            startTime: startTime || existingSchedule.startTime,
+            endTime: endTime || existingSchedule.endTime,
+            breaks: breaks || existingSchedule.breaks
+        };
+
+        const shiftError = getShiftError(updated);
+        if (shiftError) {
+            return res.status(400).json({ error: shiftError });
+        }
+
+        const overlappingShift = await findOverlappingShift({ ...updated, excludeId: id });
+        if (overlappingShift) {
+            return res.status(400).json({ error: 'Doctor already has a shift at this time', conflictingScheduleId: overlappingShift.id });
+        }
+
+        // 3. Update shift, replacing breaks if given
+        const schedule = await prisma.doctorSchedule.update({
+            where: { id },
+            data: {
+                clinicId,
+                dayOfWeek,
+                startTime,
+                endTime,
+                slotDuration,
+                breaks: breaks ? {
+                    deleteMany: {},
+                    create: breaks.map(({ startTime, endTime, label }) => ({ startTime, endTime, label }))
+                } : undefined
+            },
+            include: scheduleInclude
+        });
+
+        res.json({
+            schedule
+        });
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+};
+
+// DELETE /api/schedules/:id
+const deleteSchedule = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Delete shift in user's organization
+        const result = await prisma.doctorSchedule.deleteMany({
+            where: {
+                id,
+                doctor: {
+                    organizationId: req.user.organizationId
+                }
+            }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        res.json({ message: 'Schedule deleted successfully' });
+    } catch (error) {
+        console.error('Delete schedule error:', error);
+        res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+};
+
+// GET /api/schedules/leaves
+const getLeaves = async (req, res) => {
+    try {
+        const { doctor, startDate, endDate } = req.query;
+
+        // 1. Get leaves overlapping the requested range (default: from today onwards)
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const fromDate = (startDate || toZonedDateString(new Date(), settings.timezone)).slice(0, 10);
+
+        const leaves = await prisma.doctorLeave.findMany({
+            where: {
+                doctor: {
+                    organizationId: req.user.organizationId
+                },
+                ...(req.user.role === 'DOCTOR' ? { doctorId: req.user.id } : doctor && { doctorId: doctor }),
+                endDate: { gte: new Date(`${fromDate}T00:00:00.000Z`) },
+                ...(endDate && { startDate: { lte: new Date(`${endDate.slice(0, 10)}T00:00:00.000Z`) } })
+            },
+            include: {
+                doctor: {
+                    select: {
+                        id: true,
+                        name: true
+                    }
+                }
+            },
+            orderBy: {
+                startDate: 'asc'
+            }
+        });
+
+        res.json({
+            leaves
+        });
+    } catch (error) {
+        console.error('Get leaves error:', error);
+        res.status(500).json({ error: 'Failed to fetch leaves' });
+    }
+};
+
+// POST /api/schedules/leaves
+const createLeave = async (req, res) => {
+    try {
+        const { doctorId, startDate, endDate, reason } = req.body;
+
+        // 1. Validate doctor belongs to organization
+        const doctor = await findOrganizationDoctor(doctorId, req.user.organizationId);
+
+        if (!doctor) {
+            return res.status(400).json({ error: 'Invalid doctor selected' });
+        }
+
+        // 2. Single-day leave only needs a start date
+        const lastDay = endDate || startDate;
+        if (lastDay < startDate) {
+            return res.status(400).json({ error: 'End date must not be before start date' });
+        }
+
+        // 3. Report appointments already booked during the leave
+        const settings = await getOrganizationSettings(req.user.organizationId);
+        const { start } = getZonedDayRange(startDate, settings.timezone);
+        const { end } = getZonedDayRange(lastDay, settings.timezone);
+
+        const affectedAppointments = await prisma.appointment.count({
+            where: {
+                doctorId,
+                appointmentDate: {
+                    gte: start,
+                    lt: end
+                },
+                status: {
+                    in: BLOCKING_STATUSES
+                }
+            }
+        });
+
+        // 4. Create leave
+        const leave = await prisma.doctorLeave.create({
+            data: {
+                doctorId,
+                startDate: new Date(`${startDate}T00:00:00.000Z`),
+                endDate: new Date(`${lastDay}T00:00:00.000Z`),
+                reason,
+                createdBy: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            leave,
+            affectedAppointments
+        });
+    } catch (error) {
+        console.error('Create leave error:', error);
+        res.status(500).json({ error: 'Failed to create leave' });
+    }
+};
+
+// DELETE /api/schedules/leaves/:id
+const deleteLeave = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Delete leave in user's organization
+        const result = await prisma.doctorLeave.deleteMany({
+            where: {
+                id,
+                doctor: {
+                    organizationId: req.user.organizationId
+                }
+            }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({ error: 'Leave not found' });
+        }
+
+        res.json({ message: 'Leave deleted successfully' });
+    } catch (error) {
+        console.error('Delete leave error:', error);
+        res.status(500).json({ error: 'Failed to delete leave' });
+    }
+};
+
+module.exports = {
+    getSchedules,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    getLeaves,
+    createLeave,
+    deleteLeave
+};
@@ -0,0 +1,102 @@
+const prisma = require('../lib/prisma');
+const { getJoinWindow, getJoinError, ensureMeeting, verifyJoinToken } = require('../utils/telemedicine');
+
+const joinAppointmentInclude = {
+    doctor: {
+        select: {
+            name: true
+        }
+    },
+    clinic: {
+        select: {
+            name: true
+        }
+    }
+};
+
+// Appointment details shown on the join page
+const toJoinDetails = (appointment) => ({
+    id: appointment.id,
+    appointmentDate: appointment.appointmentDate,
+    duration: appointment.duration,
+    doctorName: appointment.doctor.name,
+    clinicName: appointment.clinic.name,
+    ...getJoinWindow(appointment)
+});
+
+// GET /api/telemedicine/join/:token
+const joinAsPatient = async (req, res) => {
+    try {
+        // 1. Find the appointment of the join link
+        const payload = verifyJoinToken(req.params.token);
+
+        const appointment = payload && await prisma.appointment.findUnique({
+            where: { id: payload.appointmentId },
+            include: joinAppointmentInclude
+        });
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Invalid or expired link', code: 'INVALID_JOIN_TOKEN' });
+        }
+
+        // 2. The call only opens around the appointment time
+        const joinError = getJoinError(appointment);
+        if (joinError) {
+            return res.status(joinError.status).json({ ...joinError.body, appointment: toJoinDetails(appointment) });
+        }
+
+        // 3. Return the room
+        const { url } = await ensureMeeting(appointment);
+
+        res.json({
+            url,
+            appointment: toJoinDetails(appointment)
+        });
+    } catch (error) {
+        console.error('Patient join error:', error);
+        res.status(500).json({ error: 'Failed to join the call' });
+    }
+};
+
+// GET /api/telemedicine/appointments/:id/join
+const joinAsStaff = async (req, res) => {
+    try {
+        // 1. Find appointment in user's organization (doctors only join their own)
+        const appointment = await prisma.appointment.findFirst({
+            where: {
+                id: req.params.id,
+                clinic: {
+                    organizationId: req.user.organizationId
+                },
+                ...(req.user.role === 'DOCTOR' && { doctorId: req.user.id })
+            },
+            include: joinAppointmentInclude
+        });
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        // 2. Same window as the patient
+        const joinError = getJoinError(appointment);
+        if (joinError) {
+            return res.status(joinError.status).json({ ...joinError.body, appointment: toJoinDetails(appointment) });
+        }
+
+        // 3. Return the host link
+        const { hostUrl } = await ensureMeeting(appointment);
+
+        res.json({
+            url: hostUrl,
+            appointment: toJoinDetails(appointment)
+        });
+    } catch (error) {
+        console.error('Staff join error:', error);
+        res.status(500).json({ error: 'Failed to join the call' });
+    }
+};
+
+module.exports = {
+    joinAsPatient,
+    joinAsStaff
+};
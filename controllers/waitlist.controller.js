@@ -0,0 +1,457 @@
+const prisma = require('../lib/prisma');
+const { getBookingPartiesError, checkAppointmentSlot } = require('../utils/scheduling');
+const { offerSlot, getOfferSlot } = require('../utils/waitlist');
+const { publishAppointmentEvent } = require('../utils/realtime');
+const { sendAppointmentNotification } = require('../utils/notifications');
+const { getOrganizationSettings } = require('../utils/organizationSettings');
+const { getNoShowPolicy, getPolicyBookingData } = require('../utils/noShows');
+const { resourceSelect } = require('../utils/resources');
+
+// Offer fields shown to staff (the token is only sent to the patient)
+const offerSelect = {
+    id: true,
+    slotStart: true,
+    duration: true,
+    resources: {
+        select: resourceSelect
+    },
+    status: true,
+    expiresAt: true,
+    respondedAt: true,
+    sourceAppointmentId: true,
+    appointmentId: true,
+    createdAt: true
+};
+
+const waitlistEntryInclude = {
+    patient: {
+        select: {
+            id: true,
+            name: true,
+            phone: true
+        }
+    },
+    doctor: {
+        select: {
+            id: true,
+            name: true
+        }
+    },
+    clinic: {
+        select: {
+            id: true,
+            name: true
+        }
+    },
+    offers: {
+        select: offerSelect,
+        orderBy: {
+            createdAt: 'desc'
+        }
+    }
+};
+
+// Find an offer by the token sent to the patient
+const findOfferByToken = (token) => {
+    return prisma.waitlistOffer.findUnique({
+        where: { token },
+        include: {
+            waitlistEntry: {
+                include: {
+                    patient: {
+                        select: {
+                            name: true
+                        }
+                    },
+                    doctor: {
+                        select: {
+                            name: true
+                        }
+                    },
+                    clinic: {
+                        select: {
+                            name: true,
+                            address: true,
+                            phone: true,
+                            organizationId: true
+                        }
+                    }
+                }
+            },
+            resources: {
+                select: {
+                    id: true
+                }
+            }
+        }
+    });
+};
+
+// Error response for an offer that can no longer be answered, or null if it is open
+const getClosedOfferError = (offer) => {
+    if (!offer) {
+        return { status: 404, body: { error: 'Offer not found' } };
+    }
+
+    if (offer.status !== 'PENDING') {
+        return { status: 400, body: { error: `Offer is already ${offer.status.toLowerCase()}`, code: 'OFFER_CLOSED' } };
+    }
+
+    if (offer.expiresAt <= new Date()) {
+        return { status: 400, body: { error: 'Offer has expired', code: 'OFFER_EXPIRED' } };
+    }
+
+    return null;
+};
+
+// Pass a released slot on to the next patient in the background
+const offerSlotToNext = (offer) => {
+    offerSlot(getOfferSlot(offer, offer.waitlistEntry.clinic.organizationId))
+        .catch(error => console.error('Waitlist offer error:', error));
+};
+
+// GET /api/waitlist
+const getWaitlist = async (req, res) => {
+    try {
+        const { clinic, doctor, patient, status } = req.query;
+
+        // 1. Get entries in user's organization (doctors see only their own), active ones by default
+        const entries = await prisma.waitlistEntry.findMany({
+            where: {
+                clinic: {
+                    organizationId: req.user.organizationId
+                },
+                ...(clinic && { clinicId: clinic }),
+                ...(patient && { patientId: patient }),
+                ...(req.user.role === 'DOCTOR' ? { doctorId: req.user.id } : doctor && { doctorId: doctor }),
+                status: status || { in: ['WAITING', 'OFFERED'] }
+            },
+            include: waitlistEntryInclude,
+            orderBy: {
+                createdAt: 'asc'
+            }
+        });
+
+        res.json({
+            entries
+        });
+    } catch (error) {
+        console.error('Get waitlist error:', error);
+        res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+};
+
+// POST /api/waitlist
+const addToWaitlist = async (req, res) => {
+    try {
+        const {
+            patientId,
+            doctorId,
+            clinicId,
+            duration,
+            earliestDate,
+            latestDate,
+            preferredDays,
+            preferredStartTime,
+            preferredEndTime,
+            notes
+        } = req.body;
+
+        // 1. Patient, doctor and clinic must belong to user's organization
+        const partiesError = await getBookingPartiesError({ patientId, doctorId, clinicId, organizationId: req.user.organizationId });
+        if (partiesError) {
+            return res.status(400).json({ error: partiesError });
+        }
+
+        // 2. A patient waits once per doctor and clinic
+        const existingEntry = await prisma.waitlistEntry.findFirst({
+            where: {
+                patientId,
+                doctorId,
+                clinicId,
+                status: { in: ['WAITING', 'OFFERED'] }
+            }
+        });
+
+        if (existingEntry) {
+            return res.status(400).json({ error: 'Patient is already on this waitlist', code: 'ALREADY_WAITLISTED' });
+        }
+
+        // 3. Create entry
+        const entry = await prisma.waitlistEntry.create({
+            data: {
+                patientId,
+                doctorId,
+                clinicId,
+                duration,
+                earliestDate: earliestDate && new Date(`${earliestDate}T00:00:00.000Z`),
+                latestDate: latestDate && new Date(`${latestDate}T00:00:00.000Z`),
+                preferredDays,
+                preferredStartTime,
+                preferredEndTime,
+                notes,
+                createdBy: req.user.id
+            },
+            include: waitlistEntryInclude
+        });
+
+        res.status(201).json({
+            entry
+        });
+    } catch (error) {
+        console.error('Add to waitlist error:', error);
+        res.status(500).json({ error: 'Failed to add patient to waitlist' });
+    }
+};
+
+// DELETE /api/waitlist/:id
+const removeFromWaitlist = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Find active entry in user's organization
+        const entry = await prisma.waitlistEntry.findFirst({
+            where: {
+                id,
+                clinic: {
+                    organizationId: req.user.organizationId
+                },
+                ...(req.user.role === 'DOCTOR' && { doctorId: req.user.id })
+            },
+            include: {
+                clinic: {
+                    select: {
+                        organizationId: true
+                    }
+                },
+                offers: {
+                    where: {
+                        status: 'PENDING'
+                    },
+                    include: {
+                        resources: {
+                            select: {
+                                id: true
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
+        }
+
+        if (!['WAITING', 'OFFERED'].includes(entry.status)) {
+            return res.status(400).json({ error: `Cannot remove a ${entry.status} waitlist entry` });
+        }
+
+        // 2. Close the entry and withdraw any offer it holds
+        await prisma.$transaction([
+            prisma.waitlistOffer.updateMany({
+                where: {
+                    waitlistEntryId: id,
+                    status: 'PENDING'
+                },
+                data: {
+                    status: 'WITHDRAWN',
+                    respondedAt: new Date()
+                }
+            }),
+            prisma.waitlistEntry.update({
+                where: { id },
+                data: { status: 'CANCELLED' }
+            })
+        ]);
+
+        // 3. Offer withdrawn slots to the next patient
+        entry.offers.forEach(offer => offerSlotToNext({ ...offer, waitlistEntry: entry }));
+
+        res.json({ message: 'Patient removed from waitlist' });
+    } catch (error) {
+        console.error('Remove from waitlist error:', error);
+        res.status(500).json({ error: 'Failed to remove patient from waitlist' });
+    }
+};
+
+// GET /api/waitlist/offers/:token
+const getOffer = async (req, res) => {
+    try {
+        const offer = await findOfferByToken(req.params.token);
+
+        if (!offer) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+
+        const { patient, doctor, clinic } = offer.waitlistEntry;
+
+        res.json({
+            offer: {
+                status: offer.status === 'PENDING' && offer.expiresAt <= new Date() ? 'EXPIRED' : offer.status,
+                slotStart: offer.slotStart,
+                duration: offer.waitlistEntry.duration,
+                expiresAt: offer.expiresAt,
+                patientName: patient.name,
+                doctorName: doctor.name,
+                clinic: {
+                    name: clinic.name,
+                    address: clinic.address,
+                    phone: clinic.phone
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get waitlist offer error:', error);
+        res.status(500).json({ error: 'Failed to fetch offer' });
+    }
+};
+
+// POST /api/waitlist/offers/:token/accept
+const acceptOffer = async (req, res) => {
+    try {
+        // 1. Find the open offer
+        const offer = await findOfferByToken(req.params.token);
+
+        const closedError = getClosedOfferError(offer);
+        if (closedError) {
+            return res.status(closedError.status).json(closedError.body);
+        }
+
+        const entry = offer.waitlistEntry;
+        const organizationId = entry.clinic.organizationId;
+
+        // 2. Re-check the slot, ignoring the offer's own hold
+        const resourceIds = offer.resources.map(resource => resource.id);
+        const slotProblem = await checkAppointmentSlot({
+            organizationId,
+            start: offer.slotStart,
+            duration: entry.duration,
+            doctorId: offer.doctorId,
+            patientId: entry.patientId,
+            clinicId: offer.clinicId,
+            resourceIds,
+            excludeOfferIds: [offer.id]
+        });
+
+        if (slotProblem) {
+            return res.status(400).json(slotProblem);
+        }
+
+        // 3. Book the slot and close the offer and entry together (fails if the offer was answered meanwhile)
+        const settings = await getOrganizationSettings(organizationId);
+        const noShowPolicy = await getNoShowPolicy(entry.patientId, settings);
+
+        const [, appointment] = await prisma.$transaction([
+            prisma.waitlistOffer.update({
+                where: { id: offer.id, status: 'PENDING' },
+                data: {
+                    status: 'ACCEPTED',
+                    respondedAt: new Date()
+                }
+            }),
+            prisma.appointment.create({
+                data: {
+                    patientId: entry.patientId,
+                    doctorId: offer.doctorId,
+                    clinicId: offer.clinicId,
+                    appointmentDate: offer.slotStart,
+                    duration: entry.duration,
+                    resources: {
+                        connect: resourceIds.map(resourceId => ({ id: resourceId }))
+                    },
+                    notes: entry.notes,
+                    status: 'SCHEDULED',
+                    ...getPolicyBookingData(noShowPolicy, offer.slotStart, settings),
+                    events: {
+                        create: {
+                            type: 'CREATED',
+                            toStatus: 'SCHEDULED',
+                            reason: 'Booked from waitlist offer'
+                        }
+                    }
+                }
+            }),
+            prisma.waitlistEntry.update({
+                where: { id: entry.id },
+                data: { status: 'BOOKED' }
+            })
+        ]);
+
+        await prisma.waitlistOffer.update({
+            where: { id: offer.id },
+            data: { appointmentId: appointment.id }
+        });
+
+        // 4. Confirm to the patient and update dashboards in the background
+        sendAppointmentNotification('APPOINTMENT_CONFIRMATION', appointment.id);
+        publishAppointmentEvent('created', appointment, organizationId);
+
+        res.status(201).json({
+            message: 'Appointment booked',
+            appointment: {
+                id: appointment.id,
+                appointmentDate: appointment.appointmentDate,
+                duration: appointment.duration,
+                doctorName: entry.doctor.name,
+                clinicName: entry.clinic.name
+            }
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(400).json({ error: 'Offer is no longer open', code: 'OFFER_CLOSED' });
+        }
+
+        console.error('Accept waitlist offer error:', error);
+        res.status(500).json({ error: 'Failed to accept offer' });
+    }
+};
+
+// POST /api/waitlist/offers/:token/decline
+const declineOffer = async (req, res) => {
+    try {
+        // 1. Find the open offer
+        const offer = await findOfferByToken(req.params.token);
+
+        const closedError = getClosedOfferError(offer);
+        if (closedError) {
+            return res.status(closedError.status).json(closedError.body);
+        }
+
+        // 2. Release the slot; the patient keeps waiting for another one
+        await prisma.$transaction([
+            prisma.waitlistOffer.update({
+                where: { id: offer.id, status: 'PENDING' },
+                data: {
+                    status: 'DECLINED',
+                    respondedAt: new Date()
+                }
+            }),
+            prisma.waitlistEntry.update({
+                where: { id: offer.waitlistEntryId },
+                data: { status: 'WAITING' }
+            })
+        ]);
+
+        // 3. Offer the slot to the next patient
+        offerSlotToNext(offer);
+
+        res.json({ message: 'Offer declined' });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(400).json({ error: 'Offer is no longer open', code: 'OFFER_CLOSED' });
+        }
+
+        console.error('Decline waitlist offer error:', error);
+        res.status(500).json({ error: 'Failed to decline offer' });
+    }
+};
+
+module.exports = {
+    getWaitlist,
+    addToWaitlist,
+    removeFromWaitlist,
+    getOffer,
+    acceptOffer,
+    declineOffer
+};
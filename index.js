@@ -4,12 +4,21 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { registerJob, startScheduler } = require('./utils/scheduler');
+const { purgeScheduledOrganizations } = require('./utils/organizationDeletion');
+const { sendDueReminders } = require('./utils/notifications');
+const { expireWaitlistOffers } = require('./utils/waitlist');
+const { markNoShows, cancelUnconfirmedAppointments } = require('./utils/noShows');
 
 const app = express();
 
 // Middleware
 app.use(helmet());
 app.use(cors());
+// Keep access tokens given to the event stream and link tokens out of the request log
+morgan.token('url', (req) => (req.originalUrl || req.url)
+    .replace(/access_token=[^&]*/, 'access_token=[redacted]')
+    .replace(/(\/(?:waitlist\/offers|public\/appointments|calendar\/feed|telemedicine\/join)\/)[^/?]+/, '$1[redacted]'));
 app.use(morgan('combined'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -33,14 +42,31 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/api/auth', require('./routes/auth.route'));
 app.use('/api/organizations', require('./routes/organizations.route'));
+app.use('/api/roles', require('./routes/roles.route'));
 app.use('/api/clinics', require('./routes/clinics.route'));
 app.use('/api/addons', require('./routes/addons.route'));
 app.use('/api/patients', require('./routes/patients.route'));
 app.use('/api/appointments', require('./routes/appointments.route'));
+app.use('/api/appointment-types', require('./routes/appointmentTypes.route'));
+app.use('/api/schedules', require('./routes/schedules.route'));
+app.use('/api/queue', require('./routes/queue.route'));
+app.use('/api/waitlist', require('./routes/waitlist.route'));
+app.use('/api/public', require('./routes/public.route'));
+app.use('/api/calendar', require('./routes/calendar.route'));
+app.use('/api/telemedicine', require('./routes/telemedicine.route'));
+app.use('/api/events', require('./routes/events.route'));
+app.use('/api/notifications', require('./routes/notifications.route'));
 app.use('/api/ehr', require('./routes/ehr.route'));
 app.use('/api/analytics', require('./routes/analytics.route'));
 app.use('/api/backup', require('./routes/backup.route'));
 
+// Background jobs
+registerJob('purge-deleted-organizations', 60 * 60 * 1000, purgeScheduledOrganizations); // hourly
+registerJob('send-appointment-reminders', 5 * 60 * 1000, sendDueReminders); // every 5 minutes
+registerJob('expire-waitlist-offers', 60 * 1000, expireWaitlistOffers); // every minute
+registerJob('mark-no-shows', 5 * 60 * 1000, markNoShows); // every 5 minutes
+registerJob('cancel-unconfirmed-appointments', 5 * 60 * 1000, cancelUnconfirmedAppointments); // every 5 minutes
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error(err.stack);
@@ -57,6 +83,7 @@ app.listen(PORT, () => {
     console.log(`🚀 CogniCare Backend Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
     console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+    startScheduler();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,18 +1,49 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { getPermissionsForUser, hasPermissions } = require('../utils/permissions');
 
 const prisma = new PrismaClient();
 
 /**
- * Middleware to authenticate JWT token and attach user info to request
+ * Find the active (not revoked, not expired) session an access token belongs to
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Object|null>} - Session record or null
+ */
+const findActiveSession = async (decoded) => {
+    if (decoded.type !== 'access' || !decoded.sessionId) {
+        return null;
+    }
+
+    return prisma.session.findFirst({
+        where: {
+            id: decoded.sessionId,
+            userId: decoded.userId,
+            revokedAt: null,
+            expiresAt: {
+                gt: new Date()
+            }
+        }
+    });
+};
+
+/**
+ * Build a middleware that authenticates the JWT token and attaches user info to request
  * Verifies token, checks user exists, and adds user data to req.user
+ * @param {Object} options - Authentication options
+ * @param {boolean} options.allowTwoFactorSetup - Let users through whose organization requires
+ *   2FA they have not enabled yet (used by the 2FA enrolment endpoints)
+ * @param {boolean} options.allowNoOrganization - Let users through who do not belong to an
+ *   organization yet (used by create/join organization)
+ * @param {boolean} options.allowQueryToken - Also accept the token as an access_token query
+ *   parameter (used by the event stream, since EventSource cannot send headers)
  */
-const authenticateToken = async (req, res, next) => {
+const authenticate = (options = {}) => async (req, res, next) => {
     try {
         // 1. Extract token from Authorization header
         const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        const token = (authHeader && authHeader.split(' ')[1]) || // Bearer TOKEN
+            (options.allowQueryToken && req.query.access_token);
 
         if (!token) {
             return res.status(401).json({
@@ -24,14 +55,32 @@ const authenticateToken = async (req, res, next) => {
         // 2. Verify JWT token
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
 
-        // 3. Find user in database and verify they still exist
+        // 3. Check the session behind the token has not been revoked
+        const session = await findActiveSession(decoded);
+
+        if (!session) {
+            return res.status(401).json({
+                error: 'Session has been revoked or expired',
+                code: 'SESSION_REVOKED'
+            });
+        }
+
+        // 4. Find user in database and verify they still exist
         const user = await prisma.user.findUnique({
             where: { id: decoded.userId },
             include: {
+                customRole: {
+                    select: {
+                        id: true,
+                        name: true,
+                        permissions: true
+                    }
+                },
                 organization: {
                     select: {
                         id: true,
                         name: true,
+                        requireAdminTwoFactor: true,
                         clinics: {
                             select: {
                                 id: true,
@@ -50,7 +99,7 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // 4. Check if user's email is verified
+        // 5. Check if user's email is verified
         if (!user.isEmailVerified) {
             return res.status(403).json({
                 error: 'Email verification required',
@@ -58,21 +107,36 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // 5. Check if user belongs to an organization
-        if (!user.organizationId) {
+        // 6. Check if user belongs to an organization
+        if (!user.organizationId && !options.allowNoOrganization) {
             return res.status(403).json({
                 error: 'User must belong to an organization',
                 code: 'NO_ORGANIZATION'
             });
         }
 
-        // 6. Attach user info to request object
+        // 7. Enforce the organization's 2FA policy for admins
+        if (!options.allowTwoFactorSetup && user.role === 'ADMIN' &&
+            user.organization?.requireAdminTwoFactor && !user.twoFactorEnabled) {
+            return res.status(403).json({
+                error: 'Two-factor authentication must be enabled for this account',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        // 8. Attach user info to request object
         req.user = {
             id: user.id,
+            userId: user.id,
+            sessionId: session.id,
+            tokenExpiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null,
             email: user.email,
             role: user.role,
+            customRole: user.customRole,
+            permissions: getPermissionsForUser(user),
             name: user.name,
             specialization: user.specialization,
+            twoFactorEnabled: user.twoFactorEnabled,
             organizationId: user.organizationId,
             organization: user.organization,
             clinics: user.organization?.clinics || []
@@ -103,6 +167,28 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to authenticate JWT token and attach user info to request
+ */
+const authenticateToken = authenticate();
+
+/**
+ * Middleware for 2FA enrolment routes
+ * Same as authenticateToken but lets admins complete an organization-enforced 2FA setup
+ */
+const authenticateForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Middleware for routes used before a user has an organization (create/join), and for
+ * logout and session management, which every signed-in user must be able to reach
+ */
+const authenticateWithoutOrganization = authenticate({ allowNoOrganization: true, allowTwoFactorSetup: true });
+
+/**
+ * Middleware for the event stream, which also takes the token from ?access_token=
+ */
+const authenticateEventStream = authenticate({ allowQueryToken: true });
+
 /**
  * Middleware to check if user has admin role
  * Must be used after authenticateToken
@@ -147,6 +233,33 @@ const requireDoctor = (req, res, next) => {
     next();
 };
 
+/**
+ * Middleware to check if user has all of the given permissions
+ * Permissions come from the user's role or custom organization role
+ * Must be used after authenticateToken
+ * @param {...string} permissions - Required permissions, e.g. 'patients:write'
+ */
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                code: 'AUTH_REQUIRED'
+            });
+        }
+
+        if (!hasPermissions(req.user.permissions, permissions)) {
+            return res.status(403).json({
+                error: 'You do not have permission to perform this action',
+                code: 'PERMISSION_DENIED',
+                requiredPermissions: permissions
+            });
+        }
+
+        next();
+    };
+};
+
 /**
  * Middleware to check if organization has a specific add-on enabled
  * Must be used after authenticateToken
@@ -291,6 +404,12 @@ const optionalAuth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        const session = await findActiveSession(decoded);
+
+        if (!session) {
+            return next(); // Treat revoked sessions as anonymous
+        }
+
         const user = await prisma.user.findUnique({
             where: { id: decoded.userId },
             include: {
@@ -306,6 +425,8 @@ const optionalAuth = async (req, res, next) => {
         if (user && user.isEmailVerified) {
             req.user = {
                 id: user.id,
+                userId: user.id,
+                sessionId: session.id,
                 email: user.email,
                 role: user.role,
                 name: user.name,
@@ -323,8 +444,12 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
     authenticateToken,
+    authenticateForTwoFactorSetup,
+    authenticateWithoutOrganization,
+    authenticateEventStream,
     requireAdmin,
     requireDoctor,
+    requirePermission,
     checkAddOn,
     verifyClinicAccess,
     verifyPatientAccess,
@@ -0,0 +1,69 @@
+// middleware/rateLimit.js
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Build a rate limiter keyed by the email address in the request body
+ * Protects per-account endpoints (password reset, verification emails) regardless of client IP
+ * @param {Object} options - Limiter options
+ * @param {number} options.max - Requests allowed per window for one email
+ * @param {number} options.windowMs - Window length in milliseconds
+ */
+const emailRateLimit = ({ max, windowMs }) => rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => String(req.body?.email || req.ip).toLowerCase(),
+    handler: (req, res, next, options) => {
+        res.status(options.statusCode).json({
+            error: 'Too many requests for this email address. Please try again later.',
+            code: 'EMAIL_RATE_LIMITED'
+        });
+    }
+});
+
+/**
+ * Build a rate limiter keyed by the phone number in the request body
+ * Stops one number from being flooded with verification codes from many IPs
+ * @param {Object} options - Limiter options
+ * @param {number} options.max - Requests allowed per window for one phone number
+ * @param {number} options.windowMs - Window length in milliseconds
+ */
+const phoneRateLimit = ({ max, windowMs }) => rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => String(req.body?.phone || req.ip),
+    handler: (req, res, next, options) => {
+        res.status(options.statusCode).json({
+            error: 'Too many requests for this phone number. Please try again later.',
+            code: 'PHONE_RATE_LIMITED'
+        });
+    }
+});
+
+/**
+ * Build a per-IP rate limiter for unauthenticated endpoints
+ * @param {Object} options - Limiter options
+ * @param {number} options.max - Requests allowed per window for one IP
+ * @param {number} options.windowMs - Window length in milliseconds
+ */
+const ipRateLimit = ({ max, windowMs }) => rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+        res.status(options.statusCode).json({
+            error: 'Too many requests. Please try again later.',
+            code: 'RATE_LIMITED'
+        });
+    }
+});
+
+module.exports = {
+    emailRateLimit,
+    phoneRateLimit,
+    ipRateLimit
+};
\ No newline at end of file
@@ -1,5 +1,15 @@
 // middleware/validation.js
 const { body, param, query, validationResult } = require('express-validator');
+const { ALL_PERMISSIONS, ROLES } = require('../utils/permissions');
+const { DATE_FORMATS, MAX_REMINDER_OFFSET_MINUTES, MAX_REMINDERS } = require('../utils/organizationSettings');
+const { isValidTimezone } = require('../utils/timezone');
+const { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { APPOINTMENT_STATUSES } = require('../utils/appointmentStatus');
+const { NOTIFICATION_TYPES, MESSAGE_TEMPLATE_VARIABLES } = require('../utils/notifications');
+const { BULK_ACTIONS, MAX_SEARCH_DAYS } = require('../utils/bulkAppointments');
+const { APPOINTMENT_MODES } = require('../utils/telemedicine');
+const { RESOURCE_TYPES } = require('../utils/resources');
+const { NO_SHOW_POLICIES, MAX_NO_SHOW_GRACE_MINUTES } = require('../utils/noShows');
 
 /**
  * Middleware to handle validation errors
@@ -32,7 +42,7 @@ const validateSignup = [
         .withMessage('Name must be between 2 and 100 characters'),
     body('role')
         .optional()
-        .isIn(['ADMIN', 'DOCTOR', 'STAFF'])
+        .isIn(ROLES)
         .withMessage('Invalid role specified'),
     body('organizationId')
         .optional()
@@ -55,6 +65,64 @@ const validateLogin = [
     handleValidationErrors
 ];
 
+/**
+ * Validation for refresh token exchange
+ */
+const validateRefreshToken = [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for a TOTP code
+ */
+const validateTwoFactorCode = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Authentication code must be 6 digits'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for the second login step
+ */
+const validateTwoFactorLogin = [
+    body('challengeToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    body('code')
+        .if(body('recoveryCode').not().exists())
+        .matches(/^\d{6}$/)
+        .withMessage('Authentication code must be 6 digits'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .withMessage('Recovery code must be a string'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for accepting an invite as a new user
+ */
+const validateAcceptInvite = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Invitation token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long'),
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+    handleValidationErrors
+];
+
 /**
  * Validation for email operations
  */
@@ -92,6 +160,102 @@ const validateOrganization = [
         .optional()
         .matches(/^[6-9]\d{9}$/)
         .withMessage('Please provide a valid 10-digit Indian mobile number'),
+    body('requireAdminTwoFactor')
+        .optional()
+        .isBoolean()
+        .withMessage('requireAdminTwoFactor must be a boolean'),
+    handleValidationErrors
+];
+
+// "HH:mm" in 24-hour time
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Calendar date without time, "YYYY-MM-DD"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validation for organization settings
+ */
+const validateOrganizationSettings = [
+    body('timezone')
+        .optional()
+        .custom(value => isValidTimezone(value))
+        .withMessage('Please provide a valid IANA timezone (e.g. Asia/Kolkata)'),
+    body('locale')
+        .optional()
+        .matches(/^[a-z]{2,3}(-[A-Z]{2})?$/)
+        .withMessage('Please provide a valid locale (e.g. en-IN)'),
+    body('currency')
+        .optional()
+        .matches(/^[A-Z]{3}$/)
+        .withMessage('Currency must be a 3-letter ISO code (e.g. INR)'),
+    body('dateFormat')
+        .optional()
+        .isIn(DATE_FORMATS)
+        .withMessage(`Date format must be one of: ${DATE_FORMATS.join(', ')}`),
+    body('workingDays')
+        .optional()
+        .isArray({ min: 1, max: 7 })
+        .withMessage('Working days must be a non-empty array'),
+    body('workingDays.*')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Working days must be numbers from 0 (Sunday) to 6 (Saturday)')
+        .toInt(),
+    body(['workingHoursStart', 'workingHoursEnd'])
+        .optional()
+        .matches(TIME_PATTERN)
+        .withMessage('Working hours must be in HH:mm format'),
+    body('reminderOffsets')
+        .optional()
+        .isArray({ max: MAX_REMINDERS })
+        .withMessage(`Reminder offsets must be an array of at most ${MAX_REMINDERS} values`),
+    body('reminderOffsets.*')
+        .isInt({ min: 5, max: MAX_REMINDER_OFFSET_MINUTES })
+        .withMessage(`Reminder offsets must be between 5 and ${MAX_REMINDER_OFFSET_MINUTES} minutes`)
+        .toInt(),
+    body('notificationChannels')
+        .optional()
+        .isArray()
+        .withMessage('Notification channels must be an array'),
+    body('notificationChannels.*')
+        .isIn(['EMAIL', 'SMS', 'WHATSAPP'])
+        .withMessage('Notification channels must be EMAIL, SMS or WHATSAPP'),
+    body('messageTemplates')
+        .optional({ values: 'null' })
+        .isObject()
+        .withMessage('Message templates must be an object keyed by notification type')
+        .custom(templates => Object.entries(templates).every(([type, template]) =>
+            NOTIFICATION_TYPES.includes(type) && typeof template === 'string' && template.length <= 1000
+        ))
+        .withMessage(`Message templates must be texts of up to 1000 characters for: ${NOTIFICATION_TYPES.join(', ')}`)
+        .custom(templates => Object.values(templates).every(template =>
+            [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].every(([, name]) => MESSAGE_TEMPLATE_VARIABLES.includes(name))
+        ))
+        .withMessage(`Message templates can only use: ${MESSAGE_TEMPLATE_VARIABLES.map(name => `{{${name}}}`).join(', ')}`),
+    body('noShowGraceMinutes')
+        .optional({ values: 'null' })
+        .isInt({ min: 5, max: MAX_NO_SHOW_GRACE_MINUTES })
+        .withMessage(`No-show grace period must be between 5 and ${MAX_NO_SHOW_GRACE_MINUTES} minutes`)
+        .toInt(),
+    body('noShowLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 20 })
+        .withMessage('No-show limit must be between 1 and 20')
+        .toInt(),
+    body('noShowPolicy')
+        .optional()
+        .isIn(NO_SHOW_POLICIES)
+        .withMessage(`No-show policy must be one of: ${NO_SHOW_POLICIES.join(', ')}`),
+    body('noShowDepositAmount')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0.01 })
+        .withMessage('Deposit amount must be a positive number')
+        .toFloat(),
+    body('confirmationDeadlineMinutes')
+        .optional()
+        .isInt({ min: 60, max: 10080 })
+        .withMessage('Confirmation deadline must be between 60 and 10080 minutes')
+        .toInt(),
     handleValidationErrors
 ];
 
@@ -110,6 +274,215 @@ const validateClinic = [
     body('phone')
         .matches(/^[6-9]\d{9}$/)
         .withMessage('Please provide a valid 10-digit Indian mobile number'),
+    body('publicBookingEnabled')
+        .optional()
+        .isBoolean()
+        .withMessage('Public booking must be true or false')
+        .toBoolean(),
+    handleValidationErrors
+];
+
+/**
+ * Validation for clinic weekly opening hours
+ */
+const validateClinicHours = [
+    body('hours')
+        .isArray({ max: 50 })
+        .withMessage('Hours must be an array'),
+    body('hours.*.dayOfWeek')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Day of week must be a number from 0 (Sunday) to 6 (Saturday)')
+        .toInt(),
+    body(['hours.*.openTime', 'hours.*.closeTime'])
+        .matches(TIME_PATTERN)
+        .withMessage('Opening hours must be in HH:mm format'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for clinic closures and holidays
+ */
+const validateClinicClosure = [
+    body('startDate')
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Start date must be a date (YYYY-MM-DD)'),
+    body('endDate')
+        .optional()
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('End date must be a date (YYYY-MM-DD)'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason must not exceed 200 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for clinic room/equipment creation/update
+ */
+const validateClinicResource = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Resource name must be between 1 and 50 characters'),
+    body('type')
+        .optional()
+        .isIn(RESOURCE_TYPES)
+        .withMessage(`Type must be one of: ${RESOURCE_TYPES.join(', ')}`),
+    body('description')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must not exceed 200 characters'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+        .toBoolean(),
+    handleValidationErrors
+];
+
+/**
+ * Validation for the daily utilization report of clinic resources
+ */
+const validateResourceUtilization = [
+    query(['startDate', 'endDate'])
+        .optional()
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Dates must be dates (YYYY-MM-DD)'),
+    query('type')
+        .optional()
+        .isIn(RESOURCE_TYPES)
+        .withMessage(`Type must be one of: ${RESOURCE_TYPES.join(', ')}`),
+    handleValidationErrors
+];
+
+// Shift fields shared by schedule creation and update
+const scheduleShiftRules = [
+    body('slotDuration')
+        .optional()
+        .isInt({ min: 5, max: 240 })
+        .withMessage('Slot duration must be between 5 and 240 minutes')
+        .toInt(),
+    body('breaks')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Breaks must be an array'),
+    body(['breaks.*.startTime', 'breaks.*.endTime'])
+        .matches(TIME_PATTERN)
+        .withMessage('Break times must be in HH:mm format'),
+    body('breaks.*.label')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Break label must not exceed 50 characters')
+];
+
+/**
+ * Validation for doctor schedule creation
+ */
+const validateSchedule = [
+    body('doctorId')
+        .isString()
+        .notEmpty()
+        .withMessage('Doctor ID is required'),
+    body('clinicId')
+        .isString()
+        .notEmpty()
+        .withMessage('Clinic ID is required'),
+    body('dayOfWeek')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Day of week must be a number from 0 (Sunday) to 6 (Saturday)')
+        .toInt(),
+    body(['startTime', 'endTime'])
+        .matches(TIME_PATTERN)
+        .withMessage('Shift times must be in HH:mm format'),
+    ...scheduleShiftRules,
+    handleValidationErrors
+];
+
+/**
+ * Validation for doctor schedule update
+ */
+const validateScheduleUpdate = [
+    body('clinicId')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid clinic ID'),
+    body('dayOfWeek')
+        .optional()
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Day of week must be a number from 0 (Sunday) to 6 (Saturday)')
+        .toInt(),
+    body(['startTime', 'endTime'])
+        .optional()
+        .matches(TIME_PATTERN)
+        .withMessage('Shift times must be in HH:mm format'),
+    ...scheduleShiftRules,
+    handleValidationErrors
+];
+
+/**
+ * Validation for doctor leave
+ */
+const validateLeave = [
+    body('doctorId')
+        .isString()
+        .notEmpty()
+        .withMessage('Doctor ID is required'),
+    body('startDate')
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Start date must be a date (YYYY-MM-DD)'),
+    body('endDate')
+        .optional()
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('End date must be a date (YYYY-MM-DD)'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason must not exceed 200 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for free-slot search
+ */
+const validateSlotSearch = [
+    query('doctor')
+        .isString()
+        .notEmpty()
+        .withMessage('Doctor is required'),
+    query('date')
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Date must be a date (YYYY-MM-DD)'),
+    query('clinic')
+        .optional()
+        .isString(),
+    query('duration')
+        .optional()
+        .isInt({ min: 5, max: 240 })
+        .withMessage('Duration must be between 5 and 240 minutes')
+        .toInt(),
+    query('appointmentType')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid appointment type'),
+    query('resources')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Resources must be a comma-separated list of resource IDs')
+        .customSanitizer(value => value.split(',').map(id => id.trim()).filter(Boolean)),
     handleValidationErrors
 ];
 
@@ -161,6 +534,11 @@ const validatePatient = [
         .optional()
         .isArray()
         .withMessage('Chronic conditions must be an array'),
+    body('notificationsOptOut')
+        .optional()
+        .isBoolean()
+        .withMessage('Notifications opt-out must be true or false')
+        .toBoolean(),
     handleValidationErrors
 ];
 
@@ -194,6 +572,23 @@ const validateAppointment = [
         .optional()
         .isInt({ min: 15, max: 480 })
         .withMessage('Duration must be between 15 and 480 minutes'),
+    body('appointmentTypeId')
+        .optional({ values: 'null' })
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid appointment type ID'),
+    body('mode')
+        .optional()
+        .isIn(APPOINTMENT_MODES)
+        .withMessage(`Mode must be one of: ${APPOINTMENT_MODES.join(', ')}`),
+    body('resourceIds')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Resource IDs must be an array of at most 10 IDs'),
+    body('resourceIds.*')
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid resource ID'),
     body('notes')
         .optional()
         .trim()
@@ -202,6 +597,393 @@ const validateAppointment = [
     handleValidationErrors
 ];
 
+/**
+ * Validation for appointment type creation/update
+ */
+const validateAppointmentType = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Appointment type name must be between 2 and 50 characters'),
+    body('duration')
+        .optional()
+        .isInt({ min: 15, max: 480 })
+        .withMessage('Duration must be between 15 and 480 minutes')
+        .toInt(),
+    body('fee')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Fee must be a positive amount')
+        .toFloat(),
+    body('color')
+        .optional({ values: 'null' })
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Colour must be a hex colour such as #4F46E5'),
+    body('instructions')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Instructions must not exceed 1000 characters'),
+    body('doctorIds')
+        .optional()
+        .isArray()
+        .withMessage('Doctor IDs must be an array'),
+    body('doctorIds.*')
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid doctor ID'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+        .toBoolean(),
+    handleValidationErrors
+];
+
+/**
+ * Validation for cancelling or moving a doctor's appointments in bulk
+ */
+const validateBulkChange = [
+    body('doctorId')
+        .isString()
+        .notEmpty()
+        .withMessage('Doctor ID is required'),
+    body('startDate')
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Start date must be a date (YYYY-MM-DD)'),
+    body('endDate')
+        .optional()
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('End date must be a date (YYYY-MM-DD)'),
+    body('action')
+        .isIn(BULK_ACTIONS)
+        .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+    body('targetDoctorId')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid target doctor ID'),
+    body('searchDays')
+        .optional()
+        .isInt({ min: 1, max: MAX_SEARCH_DAYS })
+        .withMessage(`Search days must be between 1 and ${MAX_SEARCH_DAYS}`)
+        .toInt(),
+    body('cancelUnmovable')
+        .optional()
+        .isBoolean()
+        .withMessage('cancelUnmovable must be a boolean')
+        .toBoolean(),
+    body('appointmentIds')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Appointment IDs must be a non-empty array'),
+    body('appointmentIds.*')
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid appointment ID'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Reason must be between 1 and 500 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for the recurrence rule of an appointment series
+ */
+const validateRecurrence = [
+    body('recurrence.frequency')
+        .isIn(RECURRENCE_FREQUENCIES)
+        .withMessage(`Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`),
+    body('recurrence.interval')
+        .optional()
+        .isInt({ min: 1, max: 52 })
+        .withMessage('Interval must be between 1 and 52')
+        .toInt(),
+    body('recurrence.count')
+        .optional()
+        .isInt({ min: 2, max: MAX_OCCURRENCES })
+        .withMessage(`Count must be between 2 and ${MAX_OCCURRENCES}`)
+        .toInt(),
+    body('recurrence.until')
+        .optional()
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Until must be a date (YYYY-MM-DD)'),
+    body('recurrence')
+        .custom(recurrence => !!(recurrence && (recurrence.count || recurrence.until)))
+        .withMessage('Recurrence needs a count or an until date'),
+    body('skipConflicts')
+        .optional()
+        .isBoolean()
+        .withMessage('skipConflicts must be a boolean')
+        .toBoolean(),
+    handleValidationErrors
+];
+
+/**
+ * Validation for the scope of an edit to a series appointment
+ */
+const validateSeriesScope = [
+    query('scope')
+        .optional()
+        .isIn(['this', 'following', 'series'])
+        .withMessage('Scope must be one of: this, following, series'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for an appointment status change
+ */
+const validateStatusChange = [
+    body('status')
+        .isIn(APPOINTMENT_STATUSES)
+        .withMessage(`Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}`),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Reason must be between 1 and 500 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for recording an appointment deposit
+ */
+const validateDeposit = [
+    body('reference')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Payment reference must be between 1 and 100 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for checking a patient into the queue
+ * Booked patients give their appointment; walk-ins give patient, doctor and clinic
+ */
+const validateCheckIn = [
+    body('appointmentId')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Invalid appointment ID'),
+    body(['patientId', 'doctorId', 'clinicId'])
+        .if(body('appointmentId').not().exists())
+        .isString()
+        .notEmpty()
+        .withMessage('Patient, doctor and clinic are required for walk-ins'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for reading a clinic's queue
+ */
+const validateQueueQuery = [
+    query('clinic')
+        .isString()
+        .notEmpty()
+        .withMessage('Clinic is required'),
+    query('doctor')
+        .optional()
+        .isString(),
+    query('date')
+        .optional()
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Date must be a date (YYYY-MM-DD)'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for calling the next patient
+ */
+const validateCallNext = [
+    body('clinicId')
+        .isString()
+        .notEmpty()
+        .withMessage('Clinic ID is required'),
+    body('doctorId')
+        .optional()
+        .isString(),
+    handleValidationErrors
+];
+
+/**
+ * Validation for a queue status change
+ */
+const validateQueueStatus = [
+    body('status')
+        .isIn(['WAITING', 'IN_CONSULTATION', 'DONE', 'SKIPPED'])
+        .withMessage('Status must be one of: WAITING, IN_CONSULTATION, DONE, SKIPPED'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for adding a patient to a waitlist
+ * Preferences are in the organization's timezone; leaving them out means any time
+ */
+const validateWaitlistEntry = [
+    body(['patientId', 'doctorId', 'clinicId'])
+        .isString()
+        .notEmpty()
+        .withMessage('Patient, doctor and clinic are required'),
+    body('duration')
+        .optional()
+        .isInt({ min: 5, max: 240 })
+        .withMessage('Duration must be between 5 and 240 minutes'),
+    body(['earliestDate', 'latestDate'])
+        .optional()
+        .matches(DATE_PATTERN)
+        .isISO8601()
+        .withMessage('Earliest and latest dates must be dates (YYYY-MM-DD)'),
+    body('latestDate')
+        .optional()
+        .custom((value, { req }) => !req.body.earliestDate || value >= req.body.earliestDate)
+        .withMessage('Latest date must not be before earliest date'),
+    body('preferredDays')
+        .optional()
+        .isArray({ max: 7 })
+        .withMessage('Preferred days must be an array'),
+    body('preferredDays.*')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Preferred days must be between 0 (Sunday) and 6 (Saturday)'),
+    body(['preferredStartTime', 'preferredEndTime'])
+        .optional()
+        .matches(TIME_PATTERN)
+        .withMessage('Preferred times must be in HH:mm format'),
+    body('preferredEndTime')
+        .optional()
+        .custom((value, { req }) => !req.body.preferredStartTime || value > req.body.preferredStartTime)
+        .withMessage('Preferred end time must be after preferred start time'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes must not exceed 500 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for listing waitlist entries
+ */
+const validateWaitlistQuery = [
+    query(['clinic', 'doctor', 'patient'])
+        .optional()
+        .isString(),
+    query('status')
+        .optional()
+        .isIn(['WAITING', 'OFFERED', 'BOOKED', 'CANCELLED', 'EXPIRED'])
+        .withMessage('Status must be one of: WAITING, OFFERED, BOOKED, CANCELLED, EXPIRED'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for filtering the notification delivery log
+ */
+const validateNotificationQuery = [
+    query('channel')
+        .optional()
+        .isIn(['EMAIL', 'SMS', 'WHATSAPP'])
+        .withMessage('Channel must be one of: EMAIL, SMS, WHATSAPP'),
+    query('type')
+        .optional()
+        .isIn(NOTIFICATION_TYPES)
+        .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+    query('status')
+        .optional()
+        .isIn(['SENT', 'FAILED', 'SKIPPED'])
+        .withMessage('Status must be one of: SENT, FAILED, SKIPPED'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive number'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for requesting a booking code by SMS
+ */
+const validateOtpRequest = [
+    body('phone')
+        .matches(/^[6-9]\d{9}$/)
+        .withMessage('Please provide a valid 10-digit Indian mobile number'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for checking a booking code
+ */
+const validateOtpVerification = [
+    body('verificationId')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification ID is required'),
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for booking online
+ * Name is only needed for patients the clinic does not know yet
+ */
+const validatePublicBooking = [
+    body('bookingToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Booking token is required'),
+    body('doctorId')
+        .isString()
+        .notEmpty()
+        .withMessage('Doctor ID is required'),
+    body('appointmentDate')
+        .isISO8601()
+        .withMessage('Please provide a valid appointment date'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+    body('email')
+        .optional()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for rescheduling through a manage link
+ */
+const validatePublicReschedule = [
+    body('appointmentDate')
+        .isISO8601()
+        .withMessage('Please provide a valid appointment date'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for cancelling through a manage link
+ */
+const validatePublicCancellation = [
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Reason must be between 1 and 500 characters'),
+    handleValidationErrors
+];
+
 /**
  * Validation for EHR record creation/update
  */
@@ -259,8 +1041,67 @@ const validateInvite = [
         .normalizeEmail()
         .withMessage('Please provide a valid email address'),
     body('role')
-        .isIn(['ADMIN', 'DOCTOR', 'STAFF'])
+        .isIn(ROLES)
+        .withMessage('Invalid role specified'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for custom organization roles
+ */
+const validateRole = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Role name must be between 2 and 50 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description must not exceed 500 characters'),
+    body('permissions')
+        .isArray()
+        .withMessage('Permissions must be an array'),
+    body('permissions.*')
+        .isIn(ALL_PERMISSIONS)
+        .withMessage('Unknown permission'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for assigning a role to a user
+ */
+const validateRoleAssignment = [
+    body('role')
+        .optional()
+        .isIn(ROLES)
         .withMessage('Invalid role specified'),
+    body('customRoleId')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('Invalid custom role ID'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for ownership transfer
+ */
+const validateOwnershipTransfer = [
+    body('userId')
+        .isString()
+        .notEmpty()
+        .withMessage('User ID is required'),
+    handleValidationErrors
+];
+
+/**
+ * Validation for organization deletion
+ */
+const validateOrganizationDeletion = [
+    body('confirmName')
+        .isString()
+        .notEmpty()
+        .withMessage('Type the organization name to confirm deletion'),
     handleValidationErrors
 ];
 
@@ -308,14 +1149,49 @@ module.exports = {
     handleValidationErrors,
     validateSignup,
     validateLogin,
+    validateRefreshToken,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validateAcceptInvite,
     validateEmail,
     validateOrganization,
+    validateOrganizationSettings,
     validateClinic,
+    validateClinicHours,
+    validateClinicClosure,
+    validateClinicResource,
+    validateResourceUtilization,
+    validateSchedule,
+    validateScheduleUpdate,
+    validateLeave,
+    validateSlotSearch,
     validatePatient,
     validatePhone,
     validateAppointment,
+    validateAppointmentType,
+    validateBulkChange,
+    validateRecurrence,
+    validateSeriesScope,
+    validateStatusChange,
+    validateDeposit,
+    validateCheckIn,
+    validateQueueQuery,
+    validateCallNext,
+    validateQueueStatus,
+    validateWaitlistEntry,
+    validateWaitlistQuery,
+    validateNotificationQuery,
+    validateOtpRequest,
+    validateOtpVerification,
+    validatePublicBooking,
+    validatePublicReschedule,
+    validatePublicCancellation,
     validateEHRRecord,
     validateInvite,
+    validateRole,
+    validateRoleAssignment,
+    validateOwnershipTransfer,
+    validateOrganizationDeletion,
     validatePagination,
     validateDateRange,
     validateUUID
@@ -1,6 +1,6 @@
 // routes/addons.js
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
     getAddons,
     getOrganizationAddons,
@@ -17,7 +17,7 @@ router.get('/', authenticateToken, getAddons);
 router.get('/organization', authenticateToken, getOrganizationAddons);
 
 // POST /api/addons/subscribe
-router.post('/subscribe', authenticateToken, requireAdmin, subscribeToAddons);
+router.post('/subscribe', authenticateToken, requirePermission('billing:manage'), subscribeToAddons);
 
 // POST /api/addons/razorpay-webhook
 router.post('/razorpay-webhook', handleRazorpayWebhook);
@@ -1,6 +1,6 @@
 // routes/analytics.js
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
     getDashboardAnalytics,
     getAppointmentAnalytics,
@@ -10,12 +10,12 @@ const {
 const router = express.Router();
 
 // GET /api/analytics/dashboard
-router.get('/dashboard', authenticateToken, requireAdmin, getDashboardAnalytics);
+router.get('/dashboard', authenticateToken, requirePermission('analytics:read'), getDashboardAnalytics);
 
 // GET /api/analytics/appointments
-router.get('/appointments', authenticateToken, requireAdmin, getAppointmentAnalytics);
+router.get('/appointments', authenticateToken, requirePermission('analytics:read'), getAppointmentAnalytics);
 
 // GET /api/analytics/patients
-router.get('/patients', authenticateToken, requireAdmin, getPatientAnalytics);
+router.get('/patients', authenticateToken, requirePermission('analytics:read'), getPatientAnalytics);
 
 module.exports = router;
\ No newline at end of file
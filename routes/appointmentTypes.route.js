@@ -0,0 +1,30 @@
+// routes/appointmentTypes.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateAppointmentType } = require('../middleware/validation');
+const {
+    getAppointmentTypes,
+    getAppointmentTypeById,
+    createAppointmentType,
+    updateAppointmentType,
+    deleteAppointmentType
+} = require('../controllers/appointmentTypes.controller');
+
+const router = express.Router();
+
+// GET /api/appointment-types
+router.get('/', authenticateToken, requirePermission('appointments:read'), getAppointmentTypes);
+
+// GET /api/appointment-types/:id
+router.get('/:id', authenticateToken, requirePermission('appointments:read'), getAppointmentTypeById);
+
+// POST /api/appointment-types
+router.post('/', authenticateToken, requirePermission('schedules:manage'), validateAppointmentType, createAppointmentType);
+
+// PUT /api/appointment-types/:id
+router.put('/:id', authenticateToken, requirePermission('schedules:manage'), validateAppointmentType, updateAppointmentType);
+
+// DELETE /api/appointment-types/:id
+router.delete('/:id', authenticateToken, requirePermission('schedules:manage'), deleteAppointmentType);
+
+module.exports = router;
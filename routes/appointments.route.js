@@ -1,30 +1,62 @@
 // routes/appointments.js
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { validateAppointment } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateAppointment, validateSlotSearch, validateRecurrence, validateSeriesScope, validateStatusChange, validateDeposit, validateBulkChange } = require('../middleware/validation');
 const {
     getAppointments,
+    getAvailableAppointmentSlots,
     createAppointment,
+    createAppointmentSeries,
+    getAppointmentSeries,
     getAppointmentById,
     updateAppointment,
+    updateAppointmentStatus,
+    recordAppointmentDeposit,
+    getAppointmentHistory,
+    previewBulkChange,
+    applyBulkChange,
     deleteAppointment
 } = require('../controllers/appointments.controller');
 
 const router = express.Router();
 
 // GET /api/appointments
-router.get('/', authenticateToken, getAppointments);
+router.get('/', authenticateToken, requirePermission('appointments:read'), getAppointments);
 
 // POST /api/appointments
-router.post('/', authenticateToken, validateAppointment, createAppointment);
+router.post('/', authenticateToken, requirePermission('appointments:write'), validateAppointment, createAppointment);
+
+// GET /api/appointments/slots
+router.get('/slots', authenticateToken, requirePermission('appointments:read'), validateSlotSearch, getAvailableAppointmentSlots);
+
+// POST /api/appointments/series
+router.post('/series', authenticateToken, requirePermission('appointments:write'), validateAppointment, validateRecurrence, createAppointmentSeries);
+
+// POST /api/appointments/bulk/preview
+router.post('/bulk/preview', authenticateToken, requirePermission('schedules:manage'), validateBulkChange, previewBulkChange);
+
+// POST /api/appointments/bulk
+router.post('/bulk', authenticateToken, requirePermission('schedules:manage'), validateBulkChange, applyBulkChange);
+
+// GET /api/appointments/series/:seriesId
+router.get('/series/:seriesId', authenticateToken, requirePermission('appointments:read'), getAppointmentSeries);
+
+// GET /api/appointments/:id/history
+router.get('/:id/history', authenticateToken, requirePermission('appointments:read'), getAppointmentHistory);
+
+// PATCH /api/appointments/:id/status
+router.patch('/:id/status', authenticateToken, requirePermission('appointments:write'), validateStatusChange, updateAppointmentStatus);
+
+// POST /api/appointments/:id/deposit
+router.post('/:id/deposit', authenticateToken, requirePermission('appointments:write'), validateDeposit, recordAppointmentDeposit);
 
 // GET /api/appointments/:id
-router.get('/:id', authenticateToken, getAppointmentById);
+router.get('/:id', authenticateToken, requirePermission('appointments:read'), getAppointmentById);
 
 // PUT /api/appointments/:id
-router.put('/:id', authenticateToken, validateAppointment, updateAppointment);
+router.put('/:id', authenticateToken, requirePermission('appointments:write'), validateSeriesScope, validateAppointment, updateAppointment);
 
 // DELETE /api/appointments/:id
-router.delete('/:id', authenticateToken, deleteAppointment);
+router.delete('/:id', authenticateToken, requirePermission('appointments:write'), validateSeriesScope, deleteAppointment);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,44 @@
 // routes/auth.js
 const express = require('express');
-const { validateSignup, validateLogin, validateEmail } = require('../middleware/validation');
+const { authenticateToken, authenticateForTwoFactorSetup, authenticateWithoutOrganization } = require('../middleware/auth');
+const { emailRateLimit } = require('../middleware/rateLimit');
+const {
+    validateSignup,
+    validateLogin,
+    validateEmail,
+    validateRefreshToken,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validateAcceptInvite
+} = require('../middleware/validation');
 const {
     signup,
     verifyEmail,
     login,
     forgotPassword,
     resetPassword,
-    resendVerification
+    resendVerification,
+    refreshToken,
+    logout,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    unlockAccount,
+    getInviteDetails,
+    acceptInvite,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
 } = require('../controllers/auth.controller');
 
 const router = express.Router();
 
+// Per-email throttling for endpoints that send mail
+const passwordResetLimiter = emailRateLimit({ max: 3, windowMs: 60 * 60 * 1000 }); // 3 per hour
+const verificationEmailLimiter = emailRateLimit({ max: 3, windowMs: 60 * 60 * 1000 }); // 3 per hour
+
 // POST /api/auth/signup
 router.post('/signup', validateSignup, signup);
 
@@ -22,12 +49,51 @@ router.post('/verify-email', validateEmail, verifyEmail);
 router.post('/login', validateLogin, login);
 
 // POST /api/auth/forgot-password
-router.post('/forgot-password', validateEmail, forgotPassword);
+router.post('/forgot-password', validateEmail, passwordResetLimiter, forgotPassword);
 
 // POST /api/auth/reset-password
 router.post('/reset-password', resetPassword);
 
 // POST /api/auth/resend-verification
-router.post('/resend-verification', validateEmail, resendVerification);
+router.post('/resend-verification', validateEmail, verificationEmailLimiter, resendVerification);
+
+// POST /api/auth/unlock
+router.post('/unlock', unlockAccount);
+
+// GET /api/auth/invites/:token
+router.get('/invites/:token', getInviteDetails);
+
+// POST /api/auth/accept-invite
+router.post('/accept-invite', validateAcceptInvite, acceptInvite);
+
+// POST /api/auth/refresh
+router.post('/refresh', validateRefreshToken, refreshToken);
+
+// POST /api/auth/logout
+router.post('/logout', authenticateWithoutOrganization, logout);
+
+// GET /api/auth/sessions
+router.get('/sessions', authenticateWithoutOrganization, getSessions);
+
+// DELETE /api/auth/sessions
+router.delete('/sessions', authenticateWithoutOrganization, deleteOtherSessions);
+
+// DELETE /api/auth/sessions/:sessionId
+router.delete('/sessions/:sessionId', authenticateWithoutOrganization, deleteSession);
+
+// POST /api/auth/2fa/verify
+router.post('/2fa/verify', validateTwoFactorLogin, verifyTwoFactorLogin);
+
+// POST /api/auth/2fa/setup
+router.post('/2fa/setup', authenticateForTwoFactorSetup, setupTwoFactor);
+
+// POST /api/auth/2fa/enable
+router.post('/2fa/enable', authenticateForTwoFactorSetup, validateTwoFactorCode, enableTwoFactor);
+
+// POST /api/auth/2fa/disable
+router.post('/2fa/disable', authenticateToken, validateTwoFactorCode, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 // routes/backup.js
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
     getLatestCloudBackup,
     triggerCloudBackup,
@@ -12,18 +12,18 @@ const {
 const router = express.Router();
 
 // GET /api/backup/cloud/latest
-router.get('/cloud/latest', authenticateToken, requireAdmin, getLatestCloudBackup);
+router.get('/cloud/latest', authenticateToken, requirePermission('backup:manage'), getLatestCloudBackup);
 
 // POST /api/backup/cloud/trigger
-router.post('/cloud/trigger', authenticateToken, requireAdmin, triggerCloudBackup);
+router.post('/cloud/trigger', authenticateToken, requirePermission('backup:manage'), triggerCloudBackup);
 
 // GET /api/backup/local
-router.get('/local', authenticateToken, requireAdmin, downloadLocalBackup);
+router.get('/local', authenticateToken, requirePermission('backup:manage'), downloadLocalBackup);
 
 // POST /api/backup/restore
-router.post('/restore', authenticateToken, requireAdmin, restoreBackup);
+router.post('/restore', authenticateToken, requirePermission('backup:manage'), restoreBackup);
 
 // GET /api/backup/history
-router.get('/history', authenticateToken, requireAdmin, getBackupHistory);
+router.get('/history', authenticateToken, requirePermission('backup:manage'), getBackupHistory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+// routes/calendar.js
+const express = require('express');
+const { authenticateToken, requireDoctor } = require('../middleware/auth');
+const {
+    getFeedStatus,
+    createFeed,
+    disableFeed,
+    getFeed
+} = require('../controllers/calendar.controller');
+
+const router = express.Router();
+
+// GET /api/calendar/feed
+router.get('/feed', authenticateToken, requireDoctor, getFeedStatus);
+
+// POST /api/calendar/feed
+router.post('/feed', authenticateToken, requireDoctor, createFeed);
+
+// DELETE /api/calendar/feed
+router.delete('/feed', authenticateToken, requireDoctor, disableFeed);
+
+// Subscription URL used by calendar apps (the token authorizes the request)
+// GET /api/calendar/feed/:token
+router.get('/feed/:token', getFeed);
+
+module.exports = router;
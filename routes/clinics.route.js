@@ -1,30 +1,77 @@
 // routes/clinics.js
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateClinic } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+    validateClinic,
+    validateClinicHours,
+    validateClinicClosure,
+    validateClinicResource,
+    validateResourceUtilization,
+    validateDateRange
+} = require('../middleware/validation');
 const {
     getClinics,
     createClinic,
     getClinicById,
     updateClinic,
-    deleteClinic
+    deleteClinic,
+    getClinicOperatingHours,
+    updateClinicOperatingHours,
+    getClinicClosures,
+    createClinicClosure,
+    deleteClinicClosure,
+    getClinicResources,
+    createClinicResource,
+    updateClinicResource,
+    deleteClinicResource,
+    getClinicResourceUtilization
 } = require('../controllers/clinics.controller');
 
 const router = express.Router();
 
 // GET /api/clinics
-router.get('/', authenticateToken, getClinics);
+router.get('/', authenticateToken, requirePermission('clinics:read'), getClinics);
 
 // POST /api/clinics
-router.post('/', authenticateToken, requireAdmin, validateClinic, createClinic);
+router.post('/', authenticateToken, requirePermission('clinics:manage'), validateClinic, createClinic);
 
 // GET /api/clinics/:id
-router.get('/:id', authenticateToken, getClinicById);
+router.get('/:id', authenticateToken, requirePermission('clinics:read'), getClinicById);
 
 // PUT /api/clinics/:id
-router.put('/:id', authenticateToken, requireAdmin, validateClinic, updateClinic);
+router.put('/:id', authenticateToken, requirePermission('clinics:manage'), validateClinic, updateClinic);
 
 // DELETE /api/clinics/:id
-router.delete('/:id', authenticateToken, requireAdmin, deleteClinic);
+router.delete('/:id', authenticateToken, requirePermission('clinics:manage'), deleteClinic);
+
+// GET /api/clinics/:id/hours
+router.get('/:id/hours', authenticateToken, requirePermission('clinics:read'), getClinicOperatingHours);
+
+// PUT /api/clinics/:id/hours
+router.put('/:id/hours', authenticateToken, requirePermission('clinics:manage'), validateClinicHours, updateClinicOperatingHours);
+
+// GET /api/clinics/:id/closures
+router.get('/:id/closures', authenticateToken, requirePermission('clinics:read'), validateDateRange, getClinicClosures);
+
+// POST /api/clinics/:id/closures
+router.post('/:id/closures', authenticateToken, requirePermission('clinics:manage'), validateClinicClosure, createClinicClosure);
+
+// DELETE /api/clinics/:id/closures/:closureId
+router.delete('/:id/closures/:closureId', authenticateToken, requirePermission('clinics:manage'), deleteClinicClosure);
+
+// GET /api/clinics/:id/resources
+router.get('/:id/resources', authenticateToken, requirePermission('clinics:read'), getClinicResources);
+
+// GET /api/clinics/:id/resources/utilization
+router.get('/:id/resources/utilization', authenticateToken, requirePermission('clinics:read'), validateResourceUtilization, getClinicResourceUtilization);
+
+// POST /api/clinics/:id/resources
+router.post('/:id/resources', authenticateToken, requirePermission('clinics:manage'), validateClinicResource, createClinicResource);
+
+// PUT /api/clinics/:id/resources/:resourceId
+router.put('/:id/resources/:resourceId', authenticateToken, requirePermission('clinics:manage'), validateClinicResource, updateClinicResource);
+
+// DELETE /api/clinics/:id/resources/:resourceId
+router.delete('/:id/resources/:resourceId', authenticateToken, requirePermission('clinics:manage'), deleteClinicResource);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 // routes/ehr.js
 const express = require('express');
-const { authenticateToken, checkAddOn } = require('../middleware/auth');
+const { authenticateToken, requirePermission, checkAddOn } = require('../middleware/auth');
 const { validateEHRRecord } = require('../middleware/validation');
 const {
     getPatientEHRRecords,
@@ -15,24 +15,24 @@ const {
 const router = express.Router();
 
 // POST /api/ehr
-router.post('/', authenticateToken, checkAddOn('AI Scribe'), validateEHRRecord, createEHRRecord);
+router.post('/', authenticateToken, requirePermission('ehr:write'), checkAddOn('AI Scribe'), validateEHRRecord, createEHRRecord);
 
 // POST /api/ehr/voice-to-text
-router.post('/voice-to-text', authenticateToken, checkAddOn('AI Scribe'), voiceToText);
+router.post('/voice-to-text', authenticateToken, requirePermission('ehr:write'), checkAddOn('AI Scribe'), voiceToText);
 
 // POST /api/ehr/ocr
-router.post('/ocr', authenticateToken, checkAddOn('AI Scribe'), extractTextFromImage);
+router.post('/ocr', authenticateToken, requirePermission('ehr:write'), checkAddOn('AI Scribe'), extractTextFromImage);
 
 // POST /api/ehr/ai-summary
-router.post('/ai-summary', authenticateToken, checkAddOn('AI Scribe'), generateSummary);
+router.post('/ai-summary', authenticateToken, requirePermission('ehr:write'), checkAddOn('AI Scribe'), generateSummary);
 
 // GET /api/ehr/patient/:patientId
-router.get('/patient/:patientId', authenticateToken, getPatientEHRRecords);
+router.get('/patient/:patientId', authenticateToken, requirePermission('ehr:read'), getPatientEHRRecords);
 
 // GET /api/ehr/:id
-router.get('/:id', authenticateToken, getEHRRecordById);
+router.get('/:id', authenticateToken, requirePermission('ehr:read'), getEHRRecordById);
 
 // PUT /api/ehr/:id
-router.put('/:id', authenticateToken, checkAddOn('AI Scribe'), validateEHRRecord, updateEHRRecord);
+router.put('/:id', authenticateToken, requirePermission('ehr:write'), checkAddOn('AI Scribe'), validateEHRRecord, updateEHRRecord);
 
 module.exports = router;
\ No newline at end of file
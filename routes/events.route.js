@@ -0,0 +1,11 @@
+// routes/events.js
+const express = require('express');
+const { authenticateEventStream, requirePermission } = require('../middleware/auth');
+const { streamEvents } = require('../controllers/events.controller');
+
+const router = express.Router();
+
+// GET /api/events
+router.get('/', authenticateEventStream, requirePermission('appointments:read'), streamEvents);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/notifications.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateNotificationQuery } = require('../middleware/validation');
+const { getNotificationLogs, getMessageTemplates } = require('../controllers/notifications.controller');
+
+const router = express.Router();
+
+// GET /api/notifications
+router.get('/', authenticateToken, requirePermission('appointments:read'), validateNotificationQuery, getNotificationLogs);
+
+// GET /api/notifications/templates
+router.get('/templates', authenticateToken, requirePermission('appointments:read'), getMessageTemplates);
+
+module.exports = router;
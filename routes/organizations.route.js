@@ -1,38 +1,90 @@
 // routes/organizations.js
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateOrganization, validateInvite } = require('../middleware/validation');
+const { authenticateToken, authenticateWithoutOrganization, requirePermission } = require('../middleware/auth');
+const { validateOrganization, validateInvite, validateRoleAssignment, validateOwnershipTransfer, validateOrganizationDeletion, validateOrganizationSettings } = require('../middleware/validation');
 const {
     createOrganization,
     getMyOrganization,
     updateMyOrganization,
+    getMySettings,
+    updateMySettings,
     inviteUser,
+    bulkInviteUsers,
+    getInvites,
+    resendInvite,
+    revokeInvite,
     joinOrganization,
     getOrganizationUsers,
-    removeUserFromOrganization
+    removeUserFromOrganization,
+    unlockOrganizationUser,
+    updateUserRole,
+    requestOwnershipTransfer,
+    cancelOwnershipTransfer,
+    acceptOwnershipTransfer,
+    scheduleOrganizationDeletion,
+    cancelOrganizationDeletion
 } = require('../controllers/organizations.controller');
 
 const router = express.Router();
 
 // POST /api/organizations
-router.post('/', authenticateToken, validateOrganization, createOrganization);
+router.post('/', authenticateWithoutOrganization, validateOrganization, createOrganization);
 
 // GET /api/organizations/me
 router.get('/me', authenticateToken, getMyOrganization);
 
 // PUT /api/organizations/me
-router.put('/me', authenticateToken, requireAdmin, validateOrganization, updateMyOrganization);
+router.put('/me', authenticateToken, requirePermission('organization:manage'), validateOrganization, updateMyOrganization);
+
+// GET /api/organizations/me/settings
+router.get('/me/settings', authenticateToken, getMySettings);
+
+// PUT /api/organizations/me/settings
+router.put('/me/settings', authenticateToken, requirePermission('organization:manage'), validateOrganizationSettings, updateMySettings);
+
+// POST /api/organizations/me/ownership-transfer
+router.post('/me/ownership-transfer', authenticateToken, requirePermission('organization:manage'), validateOwnershipTransfer, requestOwnershipTransfer);
+
+// DELETE /api/organizations/me/ownership-transfer
+router.delete('/me/ownership-transfer', authenticateToken, requirePermission('organization:manage'), cancelOwnershipTransfer);
+
+// POST /api/organizations/ownership-transfer/accept
+router.post('/ownership-transfer/accept', authenticateToken, acceptOwnershipTransfer);
+
+// POST /api/organizations/me/deletion
+router.post('/me/deletion', authenticateToken, requirePermission('organization:manage'), validateOrganizationDeletion, scheduleOrganizationDeletion);
+
+// DELETE /api/organizations/me/deletion
+router.delete('/me/deletion', authenticateToken, requirePermission('organization:manage'), cancelOrganizationDeletion);
 
 // POST /api/organizations/invite
-router.post('/invite', authenticateToken, requireAdmin, validateInvite, inviteUser);
+router.post('/invite', authenticateToken, requirePermission('users:manage'), validateInvite, inviteUser);
+
+// GET /api/organizations/invites
+router.get('/invites', authenticateToken, requirePermission('users:manage'), getInvites);
+
+// POST /api/organizations/invites/bulk
+router.post('/invites/bulk', authenticateToken, requirePermission('users:manage'), bulkInviteUsers);
+
+// POST /api/organizations/invites/:inviteId/resend
+router.post('/invites/:inviteId/resend', authenticateToken, requirePermission('users:manage'), resendInvite);
+
+// DELETE /api/organizations/invites/:inviteId
+router.delete('/invites/:inviteId', authenticateToken, requirePermission('users:manage'), revokeInvite);
 
 // POST /api/organizations/join/:token
-router.post('/join/:token', authenticateToken, joinOrganization);
+router.post('/join/:token', authenticateWithoutOrganization, joinOrganization);
 
 // GET /api/organizations/users
-router.get('/users', authenticateToken, getOrganizationUsers);
+router.get('/users', authenticateToken, requirePermission('users:read'), getOrganizationUsers);
 
 // DELETE /api/organizations/users/:userId
-router.delete('/users/:userId', authenticateToken, requireAdmin, removeUserFromOrganization);
+router.delete('/users/:userId', authenticateToken, requirePermission('users:manage'), removeUserFromOrganization);
+
+// POST /api/organizations/users/:userId/unlock
+router.post('/users/:userId/unlock', authenticateToken, requirePermission('users:manage'), unlockOrganizationUser);
+
+// PUT /api/organizations/users/:userId/role
+router.put('/users/:userId/role', authenticateToken, requirePermission('roles:manage'), validateRoleAssignment, updateUserRole);
 
 module.exports = router;
\ No newline at end of file
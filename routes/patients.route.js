@@ -1,6 +1,6 @@
 // routes/patients.js
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { validatePatient, validatePhone } = require('../middleware/validation');
 const {
     getPatients,
@@ -9,30 +9,34 @@ const {
     getPatientById,
     updatePatient,
     deletePatient,
+    resetPatientNoShows,
     bulkImportPatients
 } = require('../controllers/patients.controller');
 
 const router = express.Router();
 
 // GET /api/patients
-router.get('/', authenticateToken, getPatients);
+router.get('/', authenticateToken, requirePermission('patients:read'), getPatients);
 
 // GET /api/patients/search-by-phone/:phone
-router.get('/search-by-phone/:phone', authenticateToken, searchPatientByPhone);
+router.get('/search-by-phone/:phone', authenticateToken, requirePermission('patients:read'), searchPatientByPhone);
 
 // POST /api/patients
-router.post('/', authenticateToken, validatePatient, createPatient);
+router.post('/', authenticateToken, requirePermission('patients:write'), validatePatient, createPatient);
 
 // GET /api/patients/:id
-router.get('/:id', authenticateToken, getPatientById);
+router.get('/:id', authenticateToken, requirePermission('patients:read'), getPatientById);
 
 // PUT /api/patients/:id
-router.put('/:id', authenticateToken, validatePatient, updatePatient);
+router.put('/:id', authenticateToken, requirePermission('patients:write'), validatePatient, updatePatient);
 
 // DELETE /api/patients/:id
-router.delete('/:id', authenticateToken, deletePatient);
+router.delete('/:id', authenticateToken, requirePermission('patients:delete'), deletePatient);
+
+// POST /api/patients/:id/no-shows/reset
+router.post('/:id/no-shows/reset', authenticateToken, requirePermission('patients:write'), resetPatientNoShows);
 
 // POST /api/patients/bulk-import
-router.post('/bulk-import', authenticateToken, bulkImportPatients);
+router.post('/bulk-import', authenticateToken, requirePermission('patients:write'), bulkImportPatients);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,62 @@
+// routes/public.js
+const express = require('express');
+const { phoneRateLimit, ipRateLimit } = require('../middleware/rateLimit');
+const {
+    validateSlotSearch,
+    validateOtpRequest,
+    validateOtpVerification,
+    validatePublicBooking,
+    validatePublicReschedule,
+    validatePublicCancellation
+} = require('../middleware/validation');
+const {
+    getPublicDoctors,
+    getPublicSlots,
+    requestBookingCode,
+    verifyBookingCode,
+    bookPublicAppointment,
+    getManagedAppointment,
+    cancelManagedAppointment,
+    confirmManagedAppointment,
+    rescheduleManagedAppointment
+} = require('../controllers/public.controller');
+
+const router = express.Router();
+
+// No authentication: patients verify their phone by SMS code, and manage
+// bookings through the signed link they receive
+
+// Throttling on top of the global API limit
+const codePhoneLimiter = phoneRateLimit({ max: 3, windowMs: 15 * 60 * 1000 }); // 3 per 15 minutes per phone
+const codeLimiter = ipRateLimit({ max: 10, windowMs: 60 * 60 * 1000 }); // 10 per hour per IP
+const verifyLimiter = ipRateLimit({ max: 20, windowMs: 60 * 60 * 1000 }); // 20 per hour per IP
+const bookingLimiter = ipRateLimit({ max: 10, windowMs: 60 * 60 * 1000 }); // 10 per hour per IP
+
+// GET /api/public/clinics/:clinicId/doctors
+router.get('/clinics/:clinicId/doctors', getPublicDoctors);
+
+// GET /api/public/clinics/:clinicId/slots
+router.get('/clinics/:clinicId/slots', validateSlotSearch, getPublicSlots);
+
+// POST /api/public/clinics/:clinicId/otp
+router.post('/clinics/:clinicId/otp', codeLimiter, validateOtpRequest, codePhoneLimiter, requestBookingCode);
+
+// POST /api/public/clinics/:clinicId/otp/verify
+router.post('/clinics/:clinicId/otp/verify', verifyLimiter, validateOtpVerification, verifyBookingCode);
+
+// POST /api/public/clinics/:clinicId/appointments
+router.post('/clinics/:clinicId/appointments', bookingLimiter, validatePublicBooking, bookPublicAppointment);
+
+// GET /api/public/appointments/:token
+router.get('/appointments/:token', getManagedAppointment);
+
+// POST /api/public/appointments/:token/cancel
+router.post('/appointments/:token/cancel', bookingLimiter, validatePublicCancellation, cancelManagedAppointment);
+
+// POST /api/public/appointments/:token/confirm
+router.post('/appointments/:token/confirm', bookingLimiter, confirmManagedAppointment);
+
+// POST /api/public/appointments/:token/reschedule
+router.post('/appointments/:token/reschedule', bookingLimiter, validatePublicReschedule, rescheduleManagedAppointment);
+
+module.exports = router;
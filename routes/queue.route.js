@@ -0,0 +1,26 @@
+// routes/queue.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateCheckIn, validateQueueQuery, validateCallNext, validateQueueStatus } = require('../middleware/validation');
+const {
+    getQueue,
+    checkIn,
+    callNext,
+    updateQueueStatus
+} = require('../controllers/queue.controller');
+
+const router = express.Router();
+
+// GET /api/queue
+router.get('/', authenticateToken, requirePermission('appointments:read'), validateQueueQuery, getQueue);
+
+// POST /api/queue/check-in
+router.post('/check-in', authenticateToken, requirePermission('appointments:write'), validateCheckIn, checkIn);
+
+// POST /api/queue/call-next
+router.post('/call-next', authenticateToken, requirePermission('appointments:write'), validateCallNext, callNext);
+
+// PATCH /api/queue/:id/status
+router.patch('/:id/status', authenticateToken, requirePermission('appointments:write'), validateQueueStatus, updateQueueStatus);
+
+module.exports = router;
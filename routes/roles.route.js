@@ -0,0 +1,26 @@
+// routes/roles.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateRole } = require('../middleware/validation');
+const {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole
+} = require('../controllers/roles.controller');
+
+const router = express.Router();
+
+// GET /api/roles
+router.get('/', authenticateToken, requirePermission('users:read'), getRoles);
+
+// POST /api/roles
+router.post('/', authenticateToken, requirePermission('roles:manage'), validateRole, createRole);
+
+// PUT /api/roles/:id
+router.put('/:id', authenticateToken, requirePermission('roles:manage'), validateRole, updateRole);
+
+// DELETE /api/roles/:id
+router.delete('/:id', authenticateToken, requirePermission('roles:manage'), deleteRole);
+
+module.exports = router;
\ No newline at end of file
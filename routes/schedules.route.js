@@ -0,0 +1,38 @@
+// routes/schedules.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateSchedule, validateScheduleUpdate, validateLeave, validateDateRange } = require('../middleware/validation');
+const {
+    getSchedules,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    getLeaves,
+    createLeave,
+    deleteLeave
+} = require('../controllers/schedules.controller');
+
+const router = express.Router();
+
+// GET /api/schedules
+router.get('/', authenticateToken, requirePermission('appointments:read'), getSchedules);
+
+// POST /api/schedules
+router.post('/', authenticateToken, requirePermission('schedules:manage'), validateSchedule, createSchedule);
+
+// GET /api/schedules/leaves
+router.get('/leaves', authenticateToken, requirePermission('appointments:read'), validateDateRange, getLeaves);
+
+// POST /api/schedules/leaves
+router.post('/leaves', authenticateToken, requirePermission('schedules:manage'), validateLeave, createLeave);
+
+// DELETE /api/schedules/leaves/:id
+router.delete('/leaves/:id', authenticateToken, requirePermission('schedules:manage'), deleteLeave);
+
+// PUT /api/schedules/:id
+router.put('/:id', authenticateToken, requirePermission('schedules:manage'), validateScheduleUpdate, updateSchedule);
+
+// DELETE /api/schedules/:id
+router.delete('/:id', authenticateToken, requirePermission('schedules:manage'), deleteSchedule);
+
+module.exports = router;
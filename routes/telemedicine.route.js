@@ -0,0 +1,15 @@
+// routes/telemedicine.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { joinAsPatient, joinAsStaff } = require('../controllers/telemedicine.controller');
+
+const router = express.Router();
+
+// Join link sent to patients (the token authorizes the request)
+// GET /api/telemedicine/join/:token
+router.get('/join/:token', joinAsPatient);
+
+// GET /api/telemedicine/appointments/:id/join
+router.get('/appointments/:id/join', authenticateToken, requirePermission('appointments:read'), joinAsStaff);
+
+module.exports = router;
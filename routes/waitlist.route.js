@@ -0,0 +1,35 @@
+// routes/waitlist.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateWaitlistEntry, validateWaitlistQuery } = require('../middleware/validation');
+const {
+    getWaitlist,
+    addToWaitlist,
+    removeFromWaitlist,
+    getOffer,
+    acceptOffer,
+    declineOffer
+} = require('../controllers/waitlist.controller');
+
+const router = express.Router();
+
+// Offer links sent to patients (the token authorizes the request)
+// GET /api/waitlist/offers/:token
+router.get('/offers/:token', getOffer);
+
+// POST /api/waitlist/offers/:token/accept
+router.post('/offers/:token/accept', acceptOffer);
+
+// POST /api/waitlist/offers/:token/decline
+router.post('/offers/:token/decline', declineOffer);
+
+// GET /api/waitlist
+router.get('/', authenticateToken, requirePermission('appointments:read'), validateWaitlistQuery, getWaitlist);
+
+// POST /api/waitlist
+router.post('/', authenticateToken, requirePermission('appointments:write'), validateWaitlistEntry, addToWaitlist);
+
+// DELETE /api/waitlist/:id
+router.delete('/:id', authenticateToken, requirePermission('appointments:write'), removeFromWaitlist);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// utils/appointmentQuery.js
+const { getOrganizationSettings } = require('./organizationSettings');
+const { parseDateOnly, getZonedDayRange } = require('./timezone');
+const { appointmentTypeSelect } = require('./appointmentTypes');
+const { resourceSelect } = require('./resources');
+
+// Related records returned with appointment lists
+const appointmentListInclude = {
+    patient: {
+        select: {
+            id: true,
+            name: true,
+            phone: true,
+            email: true
+        }
+    },
+    doctor: {
+        select: {
+            id: true,
+            name: true,
+            specialization: true
+        }
+    },
+    clinic: {
+        select: {
+            id: true,
+            name: true,
+            address: true
+        }
+    },
+    appointmentType: {
+        select: appointmentTypeSelect
+    },
+    resources: {
+        select: resourceSelect
+    }
+};
+
+/**
+ * Build the filter of an appointment list
+ * Appointments are limited to the organization, and doctors only see their own
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {Object} params.user - User listing appointments: { id, role }
+ * @param {string} [params.date] - Calendar day ("YYYY-MM-DD" in the organization's timezone) or a timestamp starting a 24-hour range
+ * @param {string} [params.doctor] - Doctor ID
+ * @param {string} [params.clinic] - Clinic ID
+ * @param {string} [params.status] - Appointment status
+ * @returns {Promise<Object>} - Prisma where conditions
+ */
+const buildAppointmentFilter = async ({ organizationId, user, date, doctor, clinic, status }) => {
+    const whereConditions = {
+        clinic: {
+            organizationId
+        }
+    };
+
+    // Apply role-based filtering
+    if (user.role === 'DOCTOR') {
+        whereConditions.doctorId = user.id;
+    }
+
+    // Filter by date (a calendar day in the organization's timezone)
+    if (date) {
+        let startDate = new Date(date);
+        let endDate = new Date(date);
+        endDate.setDate(endDate.getDate() + 1);
+
+        if (parseDateOnly(date)) {
+            const { timezone } = await getOrganizationSettings(organizationId);
+            ({ start: startDate, end: endDate } = getZonedDayRange(date, timezone));
+        }
+
+        whereConditions.appointmentDate = {
+            gte: startDate,
+            lt: endDate
+        };
+    }
+
+    // Filter by doctor
+    if (doctor) {
+        whereConditions.doctorId = doctor;
+    }
+
+    // Filter by clinic
+    if (clinic) {
+        whereConditions.clinicId = clinic;
+    }
+
+    // Filter by status
+    if (status) {
+        whereConditions.status = status;
+    }
+
+    return whereConditions;
+};
+
+module.exports = {
+    appointmentListInclude,
+    buildAppointmentFilter
+};
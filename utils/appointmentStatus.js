@@ -0,0 +1,143 @@
+// utils/appointmentStatus.js
+const prisma = require('../lib/prisma');
+
+const APPOINTMENT_STATUSES = ['SCHEDULED', 'CONFIRMED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'NO_SHOW'];
+
+/**
+ * Allowed lifecycle moves
+ * SCHEDULED → CONFIRMED → IN_PROGRESS → COMPLETED, with CANCELLED and NO_SHOW as
+ * the other ways out of a booking. Walk-ins may start without being confirmed.
+ * COMPLETED, CANCELLED and NO_SHOW are final.
+ */
+const STATUS_TRANSITIONS = {
+    SCHEDULED: ['CONFIRMED', 'IN_PROGRESS', 'CANCELLED', 'NO_SHOW'],
+    CONFIRMED: ['IN_PROGRESS', 'CANCELLED', 'NO_SHOW'],
+    IN_PROGRESS: ['COMPLETED'],
+    COMPLETED: [],
+    CANCELLED: [],
+    NO_SHOW: []
+};
+
+/**
+ * Check a status change against the lifecycle
+ * @param {Object} appointment - Appointment with status, appointmentDate and deposit fields
+ * @param {string} toStatus - Requested status
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Cancellation reason
+ * @returns {Object|null} - { code, error, allowedStatuses } or null if the change is allowed
+ */
+const getTransitionError = (appointment, toStatus, { reason } = {}) => {
+    const allowedStatuses = STATUS_TRANSITIONS[appointment.status] || [];
+
+    if (!allowedStatuses.includes(toStatus)) {
+        return {
+            code: 'INVALID_STATUS_TRANSITION',
+            error: `Cannot change appointment status from ${appointment.status} to ${toStatus}`,
+            allowedStatuses
+        };
+    }
+
+    if (toStatus === 'CANCELLED' && !reason) {
+        return {
+            code: 'CANCELLATION_REASON_REQUIRED',
+            error: 'A reason is required to cancel an appointment'
+        };
+    }
+
+    if (toStatus === 'CONFIRMED' && appointment.depositAmount && !appointment.depositPaidAt) {
+        return {
+            code: 'DEPOSIT_REQUIRED',
+            error: 'The deposit for this appointment must be paid before it is confirmed',
+            depositAmount: appointment.depositAmount
+        };
+    }
+
+    if (toStatus === 'NO_SHOW' && appointment.appointmentDate > new Date()) {
+        return {
+            code: 'INVALID_STATUS_TRANSITION',
+            error: 'Cannot mark an appointment as no-show before its start time',
+            allowedStatuses
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Build the appointment fields written alongside a status change
+ * The calendar sequence is bumped so calendar apps pick up the change.
+ * @param {string} toStatus - New status
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Object} - Prisma update data
+ */
+const getStatusUpdateData = (toStatus, reason) => {
+    return {
+        status: toStatus,
+        sequence: { increment: 1 },
+        ...(toStatus === 'CANCELLED' && {
+            cancellationReason: reason,
+            cancelledAt: new Date()
+        })
+    };
+};
+
+/**
+ * Record an entry in an appointment's history
+ * Returns the Prisma promise so it can be passed to $transaction
+ * @param {Object} event
+ * @param {string} event.appointmentId - Appointment ID
+ * @param {string} event.type - CREATED, STATUS_CHANGED, RESCHEDULED or UPDATED
+ * @param {string} [event.actorId] - User who made the change
+ * @param {string} [event.fromStatus] - Previous status
+ * @param {string} [event.toStatus] - New status
+ * @param {Object} [event.changes] - { field: { from, to } }
+ * @param {string} [event.reason] - Reason given for the change
+ * @returns {Promise<Object>}
+ */
+const recordAppointmentEvent = ({ appointmentId, type, actorId, fromStatus, toStatus, changes, reason }) => {
+    return prisma.appointmentEvent.create({
+        data: {
+            appointmentId,
+            type,
+            actorId,
+            fromStatus,
+            toStatus,
+            changes,
+            reason
+        }
+    });
+};
+
+/**
+ * Compare an appointment with an update and list the fields that change
+ * @param {Object} appointment - Current appointment
+ * @param {Object} updates - New values (undefined values are ignored)
+ * @returns {Object} - { field: { from, to } }
+ */
+const diffAppointment = (appointment, updates) => {
+    const changes = {};
+
+    Object.entries(updates).forEach(([field, value]) => {
+        if (value === undefined) {
+            return;
+        }
+
+        const current = appointment[field] instanceof Date ? appointment[field].toISOString() : appointment[field] ?? null;
+        const next = value instanceof Date ? value.toISOString() : value;
+
+        if (current !== next) {
+            changes[field] = { from: current, to: next };
+        }
+    });
+
+    return changes;
+};
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    STATUS_TRANSITIONS,
+    getTransitionError,
+    getStatusUpdateData,
+    recordAppointmentEvent,
+    diffAppointment
+};
@@ -0,0 +1,61 @@
+// utils/appointmentTypes.js
+const prisma = require('../lib/prisma');
+
+// Appointment type fields returned with appointments
+const appointmentTypeSelect = {
+    id: true,
+    name: true,
+    color: true
+};
+
+/**
+ * Check whether a doctor offers an appointment type
+ * Types without a doctor list are offered by every doctor
+ * @param {Object} appointmentType - Appointment type with doctors ({ id })
+ * @param {string} doctorId - Doctor user ID
+ * @returns {boolean}
+ */
+const isOfferedByDoctor = (appointmentType, doctorId) => {
+    return appointmentType.doctors.length === 0 || appointmentType.doctors.some(doctor => doctor.id === doctorId);
+};
+
+/**
+ * Find an appointment type a doctor can be booked for
+ * @param {Object} params
+ * @param {string} params.appointmentTypeId - Appointment type ID
+ * @param {string} params.organizationId - Organization ID
+ * @param {string} [params.doctorId] - Doctor being booked
+ * @param {boolean} [params.allowInactive] - Accept deactivated types (e.g. one an appointment already has)
+ * @returns {Promise<Object>} - { appointmentType }, or { error, code } describing the problem
+ */
+const resolveAppointmentType = async ({ appointmentTypeId, organizationId, doctorId, allowInactive = false }) => {
+    const appointmentType = await prisma.appointmentType.findFirst({
+        where: {
+            id: appointmentTypeId,
+            organizationId
+        },
+        include: {
+            doctors: {
+                select: {
+                    id: true
+                }
+            }
+        }
+    });
+
+    if (!appointmentType || (!appointmentType.isActive && !allowInactive)) {
+        return { error: 'Invalid appointment type selected', code: 'INVALID_APPOINTMENT_TYPE' };
+    }
+
+    if (doctorId && !isOfferedByDoctor(appointmentType, doctorId)) {
+        return { error: `The selected doctor does not offer ${appointmentType.name} appointments`, code: 'APPOINTMENT_TYPE_NOT_OFFERED' };
+    }
+
+    return { appointmentType };
+};
+
+module.exports = {
+    appointmentTypeSelect,
+    isOfferedByDoctor,
+    resolveAppointmentType
+};
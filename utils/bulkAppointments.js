@@ -0,0 +1,369 @@
+// utils/bulkAppointments.js
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('./organizationSettings');
+const { getZonedDayRange, toZonedDateString } = require('./timezone');
+const { getAvailableSlots, checkAppointmentSlot } = require('./scheduling');
+const { isOfferedByDoctor } = require('./appointmentTypes');
+const { getStatusUpdateData, recordAppointmentEvent, diffAppointment } = require('./appointmentStatus');
+const { publishAppointmentEvent } = require('./realtime');
+const { sendAppointmentNotification } = require('./notifications');
+const { getRescheduledConfirmBy } = require('./noShows');
+const { getResourceChange } = require('./resources');
+
+// Only bookings that have not started are changed
+const BULK_STATUSES = ['SCHEDULED', 'CONFIRMED'];
+
+const BULK_ACTIONS = ['CANCEL', 'REASSIGN'];
+
+// Days searched for a free slot when an appointment cannot keep its time
+const DEFAULT_SEARCH_DAYS = 7;
+const MAX_SEARCH_DAYS = 30;
+
+// Calendar date a number of days after another ("YYYY-MM-DD")
+const addDays = (date, days) => {
+    const day = new Date(`${date}T00:00:00.000Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Active upcoming appointments of a doctor between two calendar dates
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {string} params.doctorId - Doctor user ID
+ * @param {string} params.startDate - First day ("YYYY-MM-DD" in the organization's timezone)
+ * @param {string} params.endDate - Last day, inclusive
+ * @param {string} params.timezone - Organization's IANA timezone
+ * @param {string[]} [params.appointmentIds] - Only these appointments
+ * @returns {Promise<Object[]>} - Appointments with patient, appointment type and resources
+ */
+const findAffectedAppointments = ({ organizationId, doctorId, startDate, endDate, timezone, appointmentIds }) => {
+    const { start } = getZonedDayRange(startDate, timezone);
+    const { end } = getZonedDayRange(endDate, timezone);
+
+    return prisma.appointment.findMany({
+        where: {
+            doctorId,
+            clinic: {
+                organizationId
+            },
+            status: {
+                in: BULK_STATUSES
+            },
+            appointmentDate: {
+                gte: new Date(Math.max(start.getTime(), Date.now())),
+                lt: end
+            },
+            ...(appointmentIds && { id: { in: appointmentIds } })
+        },
+        include: {
+            patient: {
+                select: {
+                    id: true,
+                    name: true
+                }
+            },
+            appointmentType: {
+                include: {
+                    doctors: {
+                        select: {
+                            id: true
+                        }
+                    }
+                }
+            },
+            resources: {
+                select: {
+                    id: true,
+                    type: true
+                }
+            }
+        },
+        orderBy: {
+            appointmentDate: 'asc'
+        }
+    });
+};
+
+/**
+ * Find the first free slot for an appointment with a doctor, preferring its current time
+ * The resources the moved appointment reserves must be free too. Slots claimed by
+ * earlier moves in the same batch are skipped.
+ * @param {Object} params
+ * @param {Object} params.appointment - Appointment being moved
+ * @param {string} params.organizationId - Organization ID
+ * @param {string} params.doctorId - Doctor taking the appointment
+ * @param {string[]} params.resourceIds - Rooms and equipment the moved appointment reserves
+ * @param {string} params.firstDate - First day searched ("YYYY-MM-DD")
+ * @param {number} params.searchDays - Number of days searched
+ * @param {Object[]} params.claimed - Planned bookings: [{ doctorId, patientId, resourceIds, start, end }]
+ * @returns {Promise<Object|null>} - Slot ({ start, end }) or null
+ */
+const findFreeSlot = async ({ appointment, organizationId, doctorId, resourceIds, firstDate, searchDays, claimed }) => {
+    const originalStart = appointment.appointmentDate.getTime();
+
+    for (let offset = 0; offset < searchDays; offset++) {
+        const { slots } = await getAvailableSlots({
+            organizationId,
+            doctorId,
+            clinicId: appointment.clinicId,
+            date: addDays(firstDate, offset),
+            duration: appointment.duration,
+            resourceIds,
+            excludeAppointmentIds: [appointment.id]
+        });
+
+        const ordered = [
+            ...slots.filter(slot => slot.start.getTime() === originalStart),
+            ...slots.filter(slot => slot.start.getTime() !== originalStart)
+        ];
+
+        for (const slot of ordered) {
+            const taken = claimed.some(claim =>
+                (claim.doctorId === doctorId || claim.patientId === appointment.patientId || claim.resourceIds.some(id => resourceIds.includes(id))) &&
+                slot.start < claim.end && slot.end > claim.start
+            );
+            if (taken) continue;
+
+            // The patient must be free too
+            const problem = await checkAppointmentSlot({
+                organizationId,
+                start: slot.start,
+                duration: appointment.duration,
+                doctorId,
+                patientId: appointment.patientId,
+                clinicId: appointment.clinicId,
+                resourceIds,
+                excludeAppointmentIds: [appointment.id]
+            });
+
+            if (!problem) {
+                return slot;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Decide what happens to each affected appointment, without changing anything
+ * CANCEL cancels every appointment. REASSIGN moves each one to the target doctor
+ * (at the same time when they are free, otherwise their next free slot at the same clinic),
+ * or to the same doctor's first free slot after the absence when no target is given.
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {string} params.doctorId - Absent doctor
+ * @param {string} params.startDate - First day of the absence ("YYYY-MM-DD")
+ * @param {string} params.endDate - Last day of the absence, inclusive
+ * @param {string} params.action - CANCEL or REASSIGN
+ * @param {string} [params.targetDoctorId] - Doctor taking over the appointments
+ * @param {number} [params.searchDays] - Days searched for a free slot
+ * @param {boolean} [params.cancelUnmovable] - Cancel appointments that cannot be moved instead of leaving them
+ * @param {string[]} [params.appointmentIds] - Only these appointments
+ * @returns {Promise<Object[]>} - [{ appointment, outcome, doctorId, start, resourceIds, code, error }]
+ */
+const planBulkChange = async ({ organizationId, doctorId, startDate, endDate, action, targetDoctorId, searchDays = DEFAULT_SEARCH_DAYS, cancelUnmovable = false, appointmentIds }) => {
+    const { timezone } = await getOrganizationSettings(organizationId);
+    const appointments = await findAffectedAppointments({ organizationId, doctorId, startDate, endDate, timezone, appointmentIds });
+
+    if (action === 'CANCEL') {
+        return appointments.map(appointment => ({ appointment, outcome: 'CANCELLED' }));
+    }
+
+    const newDoctorId = targetDoctorId || doctorId;
+    const claimed = [];
+    const plan = [];
+
+    for (const appointment of appointments) {
+        let unmovable = null;
+
+        if (appointment.appointmentType && !isOfferedByDoctor(appointment.appointmentType, newDoctorId)) {
+            unmovable = { code: 'APPOINTMENT_TYPE_NOT_OFFERED', error: `The new doctor does not offer ${appointment.appointmentType.name} appointments` };
+        } else {
+            // Rooms belong to the absent doctor's booking, so another doctor keeps only the equipment
+            const resourceIds = appointment.resources
+                .filter(resource => newDoctorId === appointment.doctorId || resource.type !== 'ROOM')
+                .map(resource => resource.id);
+            const slot = await findFreeSlot({
+                appointment,
+                organizationId,
+                doctorId: newDoctorId,
+                resourceIds,
+                firstDate: targetDoctorId ? toZonedDateString(appointment.appointmentDate, timezone) : addDays(endDate, 1),
+                searchDays: Math.min(searchDays, MAX_SEARCH_DAYS),
+                claimed
+            });
+
+            if (slot) {
+                claimed.push({
+                    doctorId: newDoctorId,
+                    patientId: appointment.patientId,
+                    resourceIds,
+                    start: slot.start,
+                    end: slot.end
+                });
+                plan.push({ appointment, outcome: 'MOVED', doctorId: newDoctorId, start: slot.start, resourceIds });
+                continue;
+            }
+
+            unmovable = { code: 'NO_FREE_SLOT', error: `No free slot in the next ${searchDays} days` };
+        }
+
+        plan.push({ appointment, outcome: cancelUnmovable ? 'CANCELLED' : 'UNCHANGED', ...unmovable });
+    }
+
+    return plan;
+};
+
+/**
+ * Carry out one planned change, re-checking the new slot first
+ * @param {Object} item - Plan entry from planBulkChange
+ * @param {Object} context - { organizationId, actorId, reason }
+ * @returns {Promise<Object>} - Plan entry with its final outcome
+ */
+const applyPlannedChange = async (item, { organizationId, actorId, reason }) => {
+    const { appointment } = item;
+
+    if (item.outcome === 'CANCELLED') {
+        const [updatedAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id: appointment.id, status: { in: BULK_STATUSES } },
+                data: getStatusUpdateData('CANCELLED', reason)
+            }),
+            recordAppointmentEvent({
+                appointmentId: appointment.id,
+                type: 'STATUS_CHANGED',
+                actorId,
+                fromStatus: appointment.status,
+                toStatus: 'CANCELLED',
+                reason
+            })
+        ]);
+
+        // The doctor is away, so the freed slot is not offered to the waitlist
+        sendAppointmentNotification('APPOINTMENT_CANCELLED', appointment.id);
+        publishAppointmentEvent('cancelled', updatedAppointment, organizationId);
+        return item;
+    }
+
+    if (item.outcome === 'MOVED') {
+        const problem = await checkAppointmentSlot({
+            organizationId,
+            start: item.start,
+            duration: appointment.duration,
+            doctorId: item.doctorId,
+            patientId: appointment.patientId,
+            clinicId: appointment.clinicId,
+            resourceIds: item.resourceIds,
+            excludeAppointmentIds: [appointment.id]
+        });
+
+        if (problem) {
+            return { ...item, outcome: 'FAILED', code: problem.code, error: problem.error };
+        }
+
+        const changes = diffAppointment(appointment, { doctorId: item.doctorId, appointmentDate: item.start });
+        const resourceChange = getResourceChange(appointment.resources.map(resource => resource.id), item.resourceIds);
+        if (resourceChange) {
+            changes.resourceIds = resourceChange;
+        }
+
+        const confirmBy = changes.appointmentDate
+            ? getRescheduledConfirmBy(appointment, item.start, await getOrganizationSettings(organizationId))
+            : undefined;
+
+        const [updatedAppointment] = await prisma.$transaction([
+            prisma.appointment.update({
+                where: { id: appointment.id, status: { in: BULK_STATUSES } },
+                data: {
+                    doctorId: item.doctorId,
+                    appointmentDate: item.start,
+                    resources: resourceChange ? { set: resourceChange.to.map(resourceId => ({ id: resourceId })) } : undefined,
+                    confirmBy,
+                    sequence: { increment: 1 }
+                }
+            }),
+            recordAppointmentEvent({
+                appointmentId: appointment.id,
+                type: changes.appointmentDate ? 'RESCHEDULED' : 'UPDATED',
+                actorId,
+                changes,
+                reason
+            })
+        ]);
+
+        sendAppointmentNotification('APPOINTMENT_RESCHEDULED', appointment.id, changes.appointmentDate ? { previousDate: appointment.appointmentDate } : {});
+        publishAppointmentEvent('updated', updatedAppointment, organizationId);
+    }
+
+    return item;
+};
+
+// Per-appointment outcome returned to the client
+const toOutcome = (item) => ({
+    appointmentId: item.appointment.id,
+    patient: item.appointment.patient,
+    clinicId: item.appointment.clinicId,
+    appointmentDate: item.appointment.appointmentDate,
+    duration: item.appointment.duration,
+    outcome: item.outcome,
+    ...(item.outcome === 'MOVED' && {
+        newDoctorId: item.doctorId,
+        newAppointmentDate: item.start,
+        newResourceIds: item.resourceIds
+    }),
+    ...(item.code && { code: item.code, error: item.error })
+});
+
+/**
+ * Cancel or move a doctor's appointments over an absence
+ * Changes are applied one appointment at a time; one that fails does not stop the others.
+ * @param {Object} params - Same as planBulkChange
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would happen
+ * @param {string} [options.actorId] - User making the change
+ * @param {string} [options.reason] - Reason recorded in each appointment's history (required to cancel)
+ * @returns {Promise<Object>} - { summary, results } with one outcome per appointment
+ */
+const runBulkChange = async (params, { dryRun, actorId, reason }) => {
+    const plan = await planBulkChange(params);
+    const results = [];
+
+    for (const item of plan) {
+        if (dryRun) {
+            results.push(toOutcome(item));
+            continue;
+        }
+
+        try {
+            results.push(toOutcome(await applyPlannedChange(item, { organizationId: params.organizationId, actorId, reason })));
+        } catch (error) {
+            if (error.code !== 'P2025') {
+                console.error('Bulk appointment change error:', error);
+            }
+
+            results.push(toOutcome({
+                ...item,
+                outcome: 'FAILED',
+                code: error.code === 'P2025' ? 'APPOINTMENT_CHANGED' : 'UPDATE_FAILED',
+                error: error.code === 'P2025' ? 'Appointment was changed by someone else' : 'Failed to update appointment'
+            }));
+        }
+    }
+
+    const summary = { total: results.length, cancelled: 0, moved: 0, unchanged: 0, failed: 0 };
+    results.forEach(result => {
+        summary[result.outcome.toLowerCase()]++;
+    });
+
+    return { summary, results };
+};
+
+module.exports = {
+    BULK_ACTIONS,
+    MAX_SEARCH_DAYS,
+    findAffectedAppointments,
+    planBulkChange,
+    runBulkChange
+};
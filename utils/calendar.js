@@ -0,0 +1,199 @@
+// utils/calendar.js
+
+const { getJoinUrl } = require('./telemedicine');
+
+const PRODUCT_ID = '-//CogniCare//Appointments//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'cognicare';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} - e.g. "20240120T043000Z"
+ */
+const formatIcsDate = (date) => {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+const escapeIcsText = (value) => {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+// Quote a parameter value such as CN (quotes are not allowed inside)
+const quoteIcsParam = (value) => `"${String(value ?? '').replace(/"/g, '')}"`;
+
+/**
+ * Fold a content line to at most 75 octets per line, as RFC 5545 requires
+ * Continuation lines start with a space; multi-byte characters are never split
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+
+        current += char;
+        octets += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Stable UID of an appointment's calendar event
+ * Calendar apps match updates and cancellations to the event by UID and SEQUENCE
+ * @param {Object} appointment - Appointment with id
+ * @returns {string}
+ */
+const getAppointmentUid = (appointment) => `appointment-${appointment.id}@${UID_DOMAIN}`;
+
+/**
+ * Build the VEVENT of an appointment
+ * @param {Object} appointment - Appointment with id, appointmentDate, duration, status and sequence
+ * @param {Object} details
+ * @param {string} details.summary - Event title
+ * @param {string} [details.location] - Event location
+ * @param {string} [details.description] - Event notes
+ * @param {Object} [details.organizer] - { name, email }
+ * @param {Object} [details.attendee] - { name, email }
+ * @returns {string[]} - Content lines
+ */
+const buildAppointmentEvent = (appointment, { summary, location, description, organizer, attendee }) => {
+    const end = new Date(appointment.appointmentDate.getTime() + appointment.duration * 60 * 1000);
+    const cancelled = ['CANCELLED', 'NO_SHOW'].includes(appointment.status);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${getAppointmentUid(appointment)}`,
+        `SEQUENCE:${appointment.sequence || 0}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(appointment.appointmentDate)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+        ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+        ...(organizer?.email ? [`ORGANIZER;CN=${quoteIcsParam(organizer.name)}:mailto:${organizer.email}`] : []),
+        ...(attendee?.email ? [`ATTENDEE;CN=${quoteIcsParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${attendee.email}`] : []),
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Wrap events in a calendar object
+ * @param {Object} calendar
+ * @param {string[][]} calendar.events - Content lines of each event
+ * @param {string} [calendar.method] - PUBLISH (feeds), REQUEST (invitations) or CANCEL
+ * @param {string} [calendar.name] - Calendar name shown by subscribing apps
+ * @param {string} [calendar.refreshInterval] - Suggested feed refresh, e.g. "PT15M"
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ events, method = 'PUBLISH', name, refreshInterval }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        ...(name ? [`X-WR-CALNAME:${escapeIcsText(name)}`] : []),
+        ...(refreshInterval ? [`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`] : []),
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+// Names of the rooms an appointment reserves (its ROOM resources)
+const formatRooms = (appointment) => {
+    return (appointment.resources || [])
+        .filter(resource => resource.type === 'ROOM')
+        .map(resource => resource.name)
+        .join(', ');
+};
+
+// Where the appointment takes place: the clinic's name and address, or the call
+const formatLocation = (appointment) => {
+    if (appointment.mode === 'VIDEO') return 'Video call';
+    if (appointment.mode === 'PHONE') return 'Phone call';
+    return [appointment.clinic.name, appointment.clinic.address].filter(Boolean).join(', ');
+};
+
+/**
+ * Calendar event of an appointment as the patient sees it
+ * @param {Object} appointment - Appointment with patient (name, email), doctor (name), clinic (name, address, phone),
+ * resources (name, type) and optional appointmentType (name, instructions)
+ * @param {Object} [organizer] - { name, email } sending the invitation
+ * @returns {string[]} - Content lines
+ */
+const buildPatientEvent = (appointment, organizer) => {
+    const { patient, doctor, clinic, appointmentType } = appointment;
+    const active = !['CANCELLED', 'NO_SHOW'].includes(appointment.status);
+
+    return buildAppointmentEvent(appointment, {
+        summary: `${appointmentType?.name || 'Appointment'} with ${doctor.name}`,
+        location: formatLocation(appointment),
+        description: [
+            appointmentType?.instructions,
+            appointment.mode === 'VIDEO' && active && `Join the video call: ${getJoinUrl(appointment)}`,
+            appointment.mode === 'PHONE' && patient.phone && `The doctor will call you on ${patient.phone}`,
+            formatRooms(appointment) && `Room: ${formatRooms(appointment)}`,
+            clinic.phone && `To change or cancel, call ${clinic.phone}`
+        ].filter(Boolean).join('\n'),
+        organizer,
+        attendee: patient.email && { name: patient.name, email: patient.email }
+    });
+};
+
+/**
+ * Calendar event of an appointment as the doctor sees it in their feed
+ * @param {Object} appointment - Appointment with patient (name, phone), clinic (name, address), resources (name, type)
+ * and optional appointmentType (name)
+ * @returns {string[]} - Content lines
+ */
+const buildDoctorEvent = (appointment) => {
+    const { patient, appointmentType } = appointment;
+
+    return buildAppointmentEvent(appointment, {
+        summary: appointmentType ? `${patient.name} (${appointmentType.name})` : patient.name,
+        location: formatLocation(appointment),
+        description: [
+            `Status: ${appointment.status}`,
+            formatRooms(appointment) && `Room: ${formatRooms(appointment)}`,
+            patient.phone && `Phone: ${patient.phone}`
+        ].filter(Boolean).join('\n')
+    });
+};
+
+module.exports = {
+    formatIcsDate,
+    escapeIcsText,
+    foldIcsLine,
+    getAppointmentUid,
+    buildAppointmentEvent,
+    buildCalendar,
+    buildPatientEvent,
+    buildDoctorEvent
+};
@@ -19,8 +19,9 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.subject - Email subject
  * @param {string} options.template - Template name
  * @param {Object} options.data - Template data
+ * @param {Object} [options.icalEvent] - Calendar invitation: { method, filename, content }
  */
-const sendEmail = async ({ to, subject, template, data }) => {
+const sendEmail = async ({ to, subject, template, data, icalEvent }) => {
     try {
         // Get template content based on template name
         const templateContent = getEmailTemplate(template, data);
@@ -29,7 +30,8 @@ const sendEmail = async ({ to, subject, template, data }) => {
             from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'dummy-email@example.com',
             to,
             subject,
-            html: templateContent
+            html: templateContent,
+            ...(icalEvent && { icalEvent })
         };
 
         // For development, just log the email instead of actually sending
@@ -52,6 +54,50 @@ const sendEmail = async ({ to, subject, template, data }) => {
     }
 };
 
+/**
+ * Clinic address and phone shown in appointment emails
+ * @param {Object} data - Template data
+ * @returns {string} - HTML content
+ */
+const appointmentClinicDetails = (data) => {
+    return `
+        ${data.mode === 'VIDEO' || data.mode === 'PHONE' ? `<p>${data.clinicName}</p>` : `<p>${data.clinicName}<br>${data.clinicAddress || ''}</p>`}
+        ${data.joinUrl ? `<p><a href="${data.joinUrl}">Join Video Call</a></p>` : ''}
+        ${data.visitDetails ? `<p>${data.visitDetails}</p>` : ''}
+        ${data.confirmationDetails ? `<p><strong>${data.confirmationDetails}</strong></p>` : ''}
+        ${data.manageUrl ? `<p><a href="${data.manageUrl}">Reschedule or Cancel</a></p>` : ''}
+        ${data.clinicPhone ? `<p>To change or cancel, call the clinic on ${data.clinicPhone}.</p>` : ''}
+    `;
+};
+
+/**
+ * Appointment type and preparation instructions shown in appointment emails
+ * @param {Object} data - Template data
+ * @returns {string} - HTML content
+ */
+const appointmentPreparation = (data) => {
+    return `
+        ${data.appointmentType ? `<p>Appointment type: ${data.appointmentType}</p>` : ''}
+        ${data.instructions ? `<p><strong>How to prepare:</strong> ${data.instructions}</p>` : ''}
+    `;
+};
+
+/**
+ * List of the affected visits of a recurring series
+ * @param {string[]} [times] - Formatted start times
+ * @returns {string} - HTML content
+ */
+const appointmentSeriesList = (times) => {
+    if (!times || times.length < 2) {
+        return '';
+    }
+
+    return `
+        <p>This applies to ${times.length} visits:</p>
+        <ul>${times.map(time => `<li>${time}</li>`).join('')}</ul>
+    `;
+};
+
 /**
  * Get email template content
  * @param {string} template - Template name
@@ -98,6 +144,97 @@ const getEmailTemplate = (template, data) => {
                 <p>This invitation will expire in 7 days.</p>
             `;
 
+        case 'account-unlock':
+            return `
+                <h2>Your Account Has Been Locked</h2>
+                <p>Hi ${data.name},</p>
+                <p>We locked your account after several failed login attempts.</p>
+                <p>It will unlock automatically in ${data.lockoutMinutes} minutes, or you can unlock it now:</p>
+                <a href="${frontendUrl}/unlock-account?token=${data.unlockToken}">
+                    Unlock Account
+                </a>
+                <p>If these attempts weren't you, reset your password after unlocking.</p>
+            `;
+
+        case 'ownership-transfer':
+            return `
+                <h2>Confirm Ownership of ${data.organizationName}</h2>
+                <p>Hi ${data.name},</p>
+                <p>${data.fromName} wants to make you the owner of ${data.organizationName}.</p>
+                <p>As owner you will be able to delete the organization and transfer ownership again.</p>
+                <a href="${frontendUrl}/accept-ownership?token=${data.transferToken}">
+                    Accept Ownership
+                </a>
+                <p>This link will expire in 48 hours. If you don't want to become owner, ignore this email.</p>
+            `;
+
+        case 'organization-deletion-scheduled':
+            return `
+                <h2>${data.organizationName} Is Scheduled for Deletion</h2>
+                <p>Hi ${data.name},</p>
+                <p>The owner of ${data.organizationName} has requested its deletion.</p>
+                <p>All clinics, patients, appointments and EHR records will be permanently removed on ${data.deletionDate}.</p>
+                <p>A final export will be sent to the owner before the data is removed. The owner can cancel the deletion until then.</p>
+            `;
+
+        case 'organization-deleted':
+            return `
+                <h2>${data.organizationName} Has Been Deleted</h2>
+                <p>Hi ${data.name},</p>
+                <p>${data.organizationName} and all of its data have been permanently deleted.</p>
+                <p>You can download the final export of your data here:</p>
+                <a href="${data.exportUrl}">Download Final Export</a>
+            `;
+
+        case 'appointment-confirmation':
+            return `
+                <h2>Your Appointment Is Booked</h2>
+                <p>Hi ${data.name},</p>
+                <p>Your appointment with ${data.doctorName} at ${data.clinicName} is booked for ${data.appointmentTime}.</p>
+                ${appointmentSeriesList(data.seriesTimes)}
+                ${appointmentPreparation(data)}
+                ${appointmentClinicDetails(data)}
+            `;
+
+        case 'appointment-rescheduled':
+            return `
+                <h2>Your Appointment Has Moved</h2>
+                <p>Hi ${data.name},</p>
+                <p>Your appointment with ${data.doctorName} at ${data.clinicName} has moved${data.previousTime ? ` from ${data.previousTime}` : ''} to ${data.appointmentTime}.</p>
+                ${appointmentSeriesList(data.seriesTimes)}
+                ${appointmentPreparation(data)}
+                ${appointmentClinicDetails(data)}
+            `;
+
+        case 'appointment-cancelled':
+            return `
+                <h2>Your Appointment Has Been Cancelled</h2>
+                <p>Hi ${data.name},</p>
+                <p>Your appointment with ${data.doctorName} at ${data.clinicName} on ${data.appointmentTime} has been cancelled.</p>
+                ${data.reason ? `<p>Reason: ${data.reason}</p>` : ''}
+                ${appointmentSeriesList(data.seriesTimes)}
+                <p>Please contact the clinic${data.clinicPhone ? ` on ${data.clinicPhone}` : ''} to book a new time.</p>
+            `;
+
+        case 'appointment-reminder':
+            return `
+                <h2>Appointment Reminder</h2>
+                <p>Hi ${data.name},</p>
+                <p>This is a reminder of your appointment with ${data.doctorName} at ${data.clinicName} on ${data.appointmentTime}.</p>
+                ${appointmentPreparation(data)}
+                ${appointmentClinicDetails(data)}
+            `;
+
+        case 'waitlist-offer':
+            return `
+                <h2>An Appointment Slot Is Available</h2>
+                <p>Hi ${data.name},</p>
+                <p>A slot with ${data.doctorName} at ${data.clinicName} has opened up on ${data.appointmentTime}.</p>
+                <p>We are holding it for you until ${data.offerExpiresTime}.</p>
+                <a href="${data.offerUrl}">Accept or Decline</a>
+                ${appointmentClinicDetails(data)}
+            `;
+
         default:
             return `
                 <h2>Notification</h2>
@@ -0,0 +1,164 @@
+// utils/loginProtection.js
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const { sendEmail } = require('./email');
+
+const DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_DURATION_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_DURATION_MINUTES) || 30;
+const BASE_DELAY_SECONDS = 5;
+const MAX_DELAY_SECONDS = 5 * 60;
+
+/**
+ * Seconds a user has to wait between attempts after a number of consecutive failures
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @returns {number} - Delay in seconds (0 when no delay applies)
+ */
+const getProgressiveDelay = (failedAttempts) => {
+    if (failedAttempts < DELAY_AFTER_ATTEMPTS) {
+        return 0;
+    }
+
+    return Math.min(BASE_DELAY_SECONDS * 2 ** (failedAttempts - DELAY_AFTER_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Check whether a login attempt for this user must be refused right now
+ * @param {Object} user - User record
+ * @returns {Object|null} - { code, message, retryAfter } or null if the attempt may proceed
+ */
+const getLoginBlock = (user) => {
+    const now = Date.now();
+
+    if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+        return {
+            code: 'ACCOUNT_LOCKED',
+            message: 'Account temporarily locked due to too many failed login attempts',
+            retryAfter: Math.ceil((user.lockedUntil.getTime() - now) / 1000)
+        };
+    }
+
+    // An expired lock starts a fresh count, so no delay applies
+    if (user.lockedUntil) {
+        return null;
+    }
+
+    const delay = getProgressiveDelay(user.failedLoginAttempts);
+    if (delay > 0 && user.lastFailedLoginAt) {
+        const nextAttemptAt = user.lastFailedLoginAt.getTime() + delay * 1000;
+        if (nextAttemptAt > now) {
+            return {
+                code: 'LOGIN_THROTTLED',
+                message: 'Too many failed login attempts. Please wait before trying again.',
+                retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Record a failed login attempt, locking the account once the threshold is reached
+ * The count is incremented in the database, so parallel attempts are all counted.
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} - { locked, failedAttempts }
+ */
+const recordFailedLogin = async (user) => {
+    // 1. An expired lock starts a fresh count (only once if attempts race)
+    if (user.lockedUntil && user.lockedUntil.getTime() <= Date.now()) {
+        await prisma.user.updateMany({
+            where: { id: user.id, lockedUntil: user.lockedUntil },
+            data: {
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+                unlockToken: null
+            }
+        });
+    }
+
+    // 2. Count the attempt
+    const updatedUser = await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            failedLoginAttempts: { increment: 1 },
+            lastFailedLoginAt: new Date()
+        }
+    });
+    const failedAttempts = updatedUser.failedLoginAttempts;
+
+    if (failedAttempts < LOCKOUT_THRESHOLD) {
+        return { locked: false, failedAttempts };
+    }
+
+    if (isAccountLocked(updatedUser)) {
+        return { locked: true, failedAttempts };
+    }
+
+    // 3. Lock the account and email a link that lifts the lock early
+    // (the attempt that sets the lock sends the email)
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+
+    const { count } = await prisma.user.updateMany({
+        where: { id: user.id, lockedUntil: updatedUser.lockedUntil },
+        data: {
+            lockedUntil: new Date(Date.now() + LOCKOUT_DURATION_MINUTES * 60 * 1000),
+            unlockToken
+        }
+    });
+
+    if (count === 0) {
+        return { locked: true, failedAttempts };
+    }
+
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: 'Your CogniCare account has been locked',
+            template: 'account-unlock',
+            data: {
+                name: user.name,
+                unlockToken,
+                lockoutMinutes: LOCKOUT_DURATION_MINUTES
+            }
+        });
+    } catch (error) {
+        console.error('Failed to send account unlock email:', error);
+    }
+
+    return { locked: true, failedAttempts };
+};
+
+/**
+ * Clear failed attempt tracking after a successful login or unlock
+ * @param {Object} user - User record
+ */
+const clearFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockedUntil) {
+        return;
+    }
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            failedLoginAttempts: 0,
+            lastFailedLoginAt: null,
+            lockedUntil: null,
+            unlockToken: null
+        }
+    });
+};
+
+/**
+ * Check whether a user is currently locked out
+ * @param {Object} user - User record with lockedUntil
+ * @returns {boolean}
+ */
+const isAccountLocked = (user) => !!user.lockedUntil && user.lockedUntil.getTime() > Date.now();
+
+module.exports = {
+    getLoginBlock,
+    recordFailedLogin,
+    clearFailedLogins,
+    isAccountLocked
+};
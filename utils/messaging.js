@@ -0,0 +1,118 @@
+// utils/messaging.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MESSAGING_CHANNELS = ['SMS', 'WHATSAPP'];
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || '91';
+
+// Environments that use the stub provider when MESSAGING_PROVIDER is not set
+const STUB_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Registered text message providers
+ * A provider is an object { name, send } where
+ * send({ channel, to, body }) delivers one message and resolves to { messageId }, or
+ * { messageId, delivered: false } when it accepted the message without delivering it.
+ * `channel` is SMS or WHATSAPP and `to` is an E.164 number (e.g. +919876543210).
+ */
+const providers = {};
+
+/**
+ * Register a text message provider under a name
+ * The provider used is picked with the MESSAGING_PROVIDER environment variable
+ * (only development and tests fall back to the stub)
+ * @param {Object} provider - { name, send }
+ */
+const registerMessagingProvider = (provider) => {
+    providers[provider.name] = provider;
+};
+
+/**
+ * Provider for development and tests
+ * Delivers nothing: it reports each message as not delivered and, if MESSAGING_STUB_FILE
+ * is set, appends it to that file as a JSON line. Bodies are never printed, since they
+ * can hold one-time codes.
+ */
+const stubProvider = {
+    name: 'stub',
+    send: async ({ channel, to, body }) => {
+        const message = {
+            messageId: `stub-${crypto.randomUUID()}`,
+            channel,
+            to,
+            body,
+            sentAt: new Date().toISOString()
+        };
+
+        console.log(`💬 ${channel} to ${to} not delivered (stub provider)`);
+
+        if (process.env.MESSAGING_STUB_FILE) {
+            await fs.promises.appendFile(path.resolve(process.env.MESSAGING_STUB_FILE), `${JSON.stringify(message)}\n`);
+        }
+
+        return { messageId: message.messageId, delivered: false };
+    }
+};
+
+registerMessagingProvider(stubProvider);
+
+/**
+ * Get the configured provider
+ * @returns {Object} - Provider
+ */
+const getMessagingProvider = () => {
+    const name = process.env.MESSAGING_PROVIDER || (STUB_ENVIRONMENTS.includes(process.env.NODE_ENV) ? 'stub' : null);
+
+    if (!name) {
+        throw new Error('No messaging provider configured. Set MESSAGING_PROVIDER.');
+    }
+
+    if (!providers[name]) {
+        throw new Error(`Unknown messaging provider "${name}"`);
+    }
+
+    return providers[name];
+};
+
+/**
+ * Convert a stored phone number to E.164
+ * Patients are stored as 10-digit national numbers, so the default country code is added
+ * @param {string} phone - Phone number
+ * @returns {string} - e.g. "+919876543210"
+ */
+const toE164 = (phone) => {
+    return phone.startsWith('+') ? phone : `+${DEFAULT_COUNTRY_CODE}${phone}`;
+};
+
+/**
+ * Fill {{variable}} placeholders in a message template
+ * Unknown or empty variables are replaced with an empty string
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string} - Message text
+ */
+const renderTemplate = (template, variables) => {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] ?? '');
+};
+
+/**
+ * Send a text message through the configured provider
+ * @param {Object} message
+ * @param {string} message.channel - SMS or WHATSAPP
+ * @param {string} message.to - Phone number
+ * @param {string} message.body - Message text
+ * @returns {Promise<Object>} - { messageId, delivered? } (delivered is false for messages that were not sent)
+ */
+const sendMessage = ({ channel, to, body }) => {
+    return getMessagingProvider().send({ channel, to: toE164(to), body });
+};
+
+module.exports = {
+    MESSAGING_CHANNELS,
+    registerMessagingProvider,
+    getMessagingProvider,
+    toE164,
+    renderTemplate,
+    sendMessage
+};
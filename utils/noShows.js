@@ -0,0 +1,254 @@
+// utils/noShows.js
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('./organizationSettings');
+const { getStatusUpdateData, recordAppointmentEvent } = require('./appointmentStatus');
+const { publishAppointmentEvent } = require('./realtime');
+const { sendAppointmentNotification } = require('./notifications');
+const { offerFreedSlot } = require('./waitlist');
+
+const NO_SHOW_POLICIES = ['REQUIRE_CONFIRMATION', 'REQUIRE_DEPOSIT'];
+
+// Longest grace period, and how far back the job looks for missed appointments
+const MAX_NO_SHOW_GRACE_MINUTES = 24 * 60;
+
+// Appointments nobody turned up for
+const NO_SHOW_CANDIDATE_STATUSES = ['SCHEDULED', 'CONFIRMED'];
+
+/**
+ * Check whether a patient's new bookings fall under the organization's no-show policy
+ * @param {string} patientId - Patient ID
+ * @param {Object} settings - Organization settings
+ * @returns {Promise<Object|null>} - { policy, noShowCount, depositAmount } or null when the policy does not apply
+ */
+const getNoShowPolicy = async (patientId, settings) => {
+    if (!settings.noShowLimit) {
+        return null;
+    }
+
+    const patient = await prisma.patient.findUnique({
+        where: { id: patientId },
+        select: { noShowCount: true }
+    });
+
+    if (!patient || patient.noShowCount < settings.noShowLimit) {
+        return null;
+    }
+
+    return {
+        policy: settings.noShowPolicy,
+        noShowCount: patient.noShowCount,
+        depositAmount: settings.noShowPolicy === 'REQUIRE_DEPOSIT' ? settings.noShowDepositAmount : null
+    };
+};
+
+/**
+ * Confirmation deadline of an appointment starting at a time
+ * Appointments booked inside the deadline window have none.
+ * @param {Date} start - Appointment start
+ * @param {Object} settings - Organization settings
+ * @returns {Date|null}
+ */
+const getConfirmBy = (start, settings) => {
+    const confirmBy = new Date(start.getTime() - settings.confirmationDeadlineMinutes * 60 * 1000);
+    return confirmBy > new Date() ? confirmBy : null;
+};
+
+/**
+ * Appointment fields written when booking under the no-show policy
+ * @param {Object|null} policy - Result of getNoShowPolicy
+ * @param {Date} start - Appointment start
+ * @param {Object} settings - Organization settings
+ * @returns {Object} - Prisma create data (empty when the policy does not apply)
+ */
+const getPolicyBookingData = (policy, start, settings) => {
+    if (!policy) {
+        return {};
+    }
+
+    return {
+        confirmBy: getConfirmBy(start, settings),
+        depositAmount: policy.depositAmount || null
+    };
+};
+
+/**
+ * New confirmation deadline of a policy appointment that moves
+ * @param {Object} appointment - Appointment before the move (status and confirmBy)
+ * @param {Date} start - New start
+ * @param {Object} settings - Organization settings
+ * @returns {Date|null|undefined} - New deadline, or undefined when the appointment has none to move
+ */
+const getRescheduledConfirmBy = (appointment, start, settings) => {
+    if (!appointment.confirmBy || appointment.status !== 'SCHEDULED') {
+        return undefined;
+    }
+
+    return getConfirmBy(start, settings);
+};
+
+/**
+ * Count a missed appointment against its patient
+ * Returns the Prisma promise so it can be passed to $transaction
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object>}
+ */
+const recordPatientNoShow = (patientId) => {
+    return prisma.patient.update({
+        where: { id: patientId },
+        data: {
+            noShowCount: { increment: 1 },
+            lastNoShowAt: new Date()
+        }
+    });
+};
+
+/**
+ * Mark appointments nobody checked in for as NO_SHOW once the grace period has passed
+ * Patients in the queue, or whose appointment has started, are never marked.
+ * Video and phone appointments are never checked in, so they are left to staff.
+ * Organizations without a grace period are skipped.
+ * @returns {Promise<number>} - Number of appointments marked
+ */
+const markNoShows = async () => {
+    const now = Date.now();
+
+    // 1. In-person appointments that have started but were never checked in
+    const appointments = await prisma.appointment.findMany({
+        where: {
+            mode: 'IN_PERSON',
+            status: { in: NO_SHOW_CANDIDATE_STATUSES },
+            appointmentDate: {
+                gt: new Date(now - MAX_NO_SHOW_GRACE_MINUTES * 60 * 1000),
+                lte: new Date(now)
+            },
+            queueEntry: { is: null }
+        },
+        include: {
+            clinic: {
+                select: {
+                    organizationId: true
+                }
+            }
+        }
+    });
+
+    const settingsByOrganization = new Map();
+    let marked = 0;
+
+    for (const appointment of appointments) {
+        const { organizationId } = appointment.clinic;
+        if (!settingsByOrganization.has(organizationId)) {
+            settingsByOrganization.set(organizationId, await getOrganizationSettings(organizationId));
+        }
+
+        // 2. Wait out the organization's grace period
+        const { noShowGraceMinutes } = settingsByOrganization.get(organizationId);
+        if (noShowGraceMinutes === null || appointment.appointmentDate.getTime() + noShowGraceMinutes * 60 * 1000 > now) {
+            continue;
+        }
+
+        // 3. Mark it and count it against the patient
+        const reason = `Not checked in within ${noShowGraceMinutes} minutes of the start`;
+        try {
+            const [updatedAppointment] = await prisma.$transaction([
+                prisma.appointment.update({
+                    where: { id: appointment.id, status: { in: NO_SHOW_CANDIDATE_STATUSES } },
+                    data: getStatusUpdateData('NO_SHOW')
+                }),
+                recordAppointmentEvent({
+                    appointmentId: appointment.id,
+                    type: 'STATUS_CHANGED',
+                    fromStatus: appointment.status,
+                    toStatus: 'NO_SHOW',
+                    reason
+                }),
+                recordPatientNoShow(appointment.patientId)
+            ]);
+
+            publishAppointmentEvent('updated', updatedAppointment, organizationId);
+            marked++;
+        } catch (error) {
+            // P2025: the appointment was checked in or changed meanwhile
+            if (error.code !== 'P2025') {
+                console.error(`Mark no-show error (${appointment.id}):`, error);
+            }
+        }
+    }
+
+    return marked;
+};
+
+/**
+ * Cancel policy appointments that were not confirmed by their deadline
+ * The patient is told and the slot is offered to the waitlist.
+ * @returns {Promise<number>} - Number of appointments cancelled
+ */
+const cancelUnconfirmedAppointments = async () => {
+    const now = new Date();
+    const reason = 'Not confirmed in time';
+
+    const appointments = await prisma.appointment.findMany({
+        where: {
+            status: 'SCHEDULED',
+            confirmBy: { lte: now },
+            appointmentDate: { gt: now }
+        },
+        include: {
+            clinic: {
+                select: {
+                    organizationId: true
+                }
+            },
+            resources: {
+                select: {
+                    id: true
+                }
+            }
+        }
+    });
+
+    let cancelled = 0;
+
+    for (const appointment of appointments) {
+        const { organizationId } = appointment.clinic;
+
+        try {
+            const [updatedAppointment] = await prisma.$transaction([
+                prisma.appointment.update({
+                    where: { id: appointment.id, status: 'SCHEDULED' },
+                    data: getStatusUpdateData('CANCELLED', reason)
+                }),
+                recordAppointmentEvent({
+                    appointmentId: appointment.id,
+                    type: 'STATUS_CHANGED',
+                    fromStatus: appointment.status,
+                    toStatus: 'CANCELLED',
+                    reason
+                })
+            ]);
+
+            sendAppointmentNotification('APPOINTMENT_CANCELLED', appointment.id);
+            offerFreedSlot(appointment, organizationId);
+            publishAppointmentEvent('cancelled', updatedAppointment, organizationId);
+            cancelled++;
+        } catch (error) {
+            // P2025: the appointment was confirmed or changed meanwhile
+            if (error.code !== 'P2025') {
+                console.error(`Cancel unconfirmed appointment error (${appointment.id}):`, error);
+            }
+        }
+    }
+
+    return cancelled;
+};
+
+module.exports = {
+    NO_SHOW_POLICIES,
+    MAX_NO_SHOW_GRACE_MINUTES,
+    getNoShowPolicy,
+    getPolicyBookingData,
+    getRescheduledConfirmBy,
+    recordPatientNoShow,
+    markNoShows,
+    cancelUnconfirmedAppointments
+};
@@ -0,0 +1,539 @@
+// utils/notifications.js
+const prisma = require('../lib/prisma');
+const { sendEmail } = require('./email');
+const { renderTemplate, sendMessage, toE164 } = require('./messaging');
+const { getOrganizationSettings, MAX_REMINDER_OFFSET_MINUTES } = require('./organizationSettings');
+const { formatDateTime } = require('./timezone');
+const { buildCalendar, buildPatientEvent } = require('./calendar');
+const { JOIN_OPENS_MINUTES_BEFORE, getJoinUrl } = require('./telemedicine');
+const { signManageToken, getManageUrl } = require('./publicBooking');
+
+const MAX_REMINDER_ATTEMPTS = 3;
+
+// Email subject and template of each notification type
+const EMAIL_TEMPLATES = {
+    APPOINTMENT_CONFIRMATION: { subject: 'Appointment confirmed', template: 'appointment-confirmation' },
+    APPOINTMENT_RESCHEDULED: { subject: 'Appointment rescheduled', template: 'appointment-rescheduled' },
+    APPOINTMENT_CANCELLED: { subject: 'Appointment cancelled', template: 'appointment-cancelled' },
+    APPOINTMENT_REMINDER: { subject: 'Appointment reminder', template: 'appointment-reminder' },
+    WAITLIST_OFFER: { subject: 'Appointment slot available', template: 'waitlist-offer' }
+};
+
+const NOTIFICATION_TYPES = Object.keys(EMAIL_TEMPLATES);
+
+// Calendar method of the .ics attached to each notification type's emails
+const CALENDAR_METHODS = {
+    APPOINTMENT_CONFIRMATION: 'REQUEST',
+    APPOINTMENT_RESCHEDULED: 'REQUEST',
+    APPOINTMENT_CANCELLED: 'CANCEL'
+};
+
+// Default SMS/WhatsApp text of each notification type; organizations can override them
+const MESSAGE_TEMPLATES = {
+    APPOINTMENT_CONFIRMATION: 'Hi {{name}}, your appointment with {{doctorName}} at {{clinicName}} is booked for {{appointmentTime}}. To change it, call {{clinicPhone}}. {{visitDetails}} {{instructions}} {{confirmationDetails}}',
+    APPOINTMENT_RESCHEDULED: 'Hi {{name}}, your appointment with {{doctorName}} at {{clinicName}} has moved to {{appointmentTime}}. To change it, call {{clinicPhone}}. {{visitDetails}} {{confirmationDetails}}',
+    APPOINTMENT_CANCELLED: 'Hi {{name}}, your appointment with {{doctorName}} at {{clinicName}} on {{appointmentTime}} has been cancelled. To book again, call {{clinicPhone}}.',
+    APPOINTMENT_REMINDER: 'Reminder: {{name}}, you have an appointment with {{doctorName}} at {{clinicName}} on {{appointmentTime}}. {{visitDetails}} {{instructions}} {{confirmationDetails}}',
+    WAITLIST_OFFER: 'Hi {{name}}, a slot with {{doctorName}} at {{clinicName}} opened up on {{appointmentTime}}. It is held for you until {{offerExpiresTime}}: {{offerUrl}}'
+};
+
+// Variables available in message templates
+const MESSAGE_TEMPLATE_VARIABLES = [
+    'name',
+    'doctorName',
+    'clinicName',
+    'clinicAddress',
+    'clinicPhone',
+    'appointmentTime',
+    'appointmentType',
+    'instructions',
+    'mode',
+    'joinUrl',
+    'visitDetails',
+    'confirmationDetails',
+    'previousTime',
+    'reason',
+    'visitCount',
+    'seriesTimes',
+    'offerUrl',
+    'offerExpiresTime',
+    'manageUrl'
+];
+
+/**
+ * Record a notification attempt in the delivery log
+ * @param {Object} data - NotificationLog fields
+ * @returns {Promise<Object>} - Log entry
+ */
+const logNotification = (data) => {
+    return prisma.notificationLog.create({ data });
+};
+
+/**
+ * Deliver one notification on one channel
+ * @param {string} channel - EMAIL, SMS or WHATSAPP
+ * @param {Object} notification
+ * @param {string} notification.type - Notification type
+ * @param {Object} notification.patient - Patient with email and phone
+ * @param {Object} notification.data - Template data
+ * @param {Object} notification.settings - Organization settings
+ * @param {Object} [notification.icalEvent] - Calendar invitation attached to emails
+ * @returns {Promise<Object>} - Log fields: { status, recipient, providerMessageId, error }
+ */
+const deliverNotification = async (channel, { type, patient, data, settings, icalEvent }) => {
+    const recipient = channel === 'EMAIL' ? patient.email : patient.phone && toE164(patient.phone);
+
+    if (!recipient) {
+        return { status: 'SKIPPED', error: `Patient has no ${channel === 'EMAIL' ? 'email address' : 'phone number'}` };
+    }
+
+    try {
+        let result;
+
+        if (channel === 'EMAIL') {
+            const { subject, template } = EMAIL_TEMPLATES[type];
+            result = await sendEmail({
+                to: recipient,
+                subject: `${subject} - ${data.clinicName}`,
+                template,
+                data,
+                icalEvent
+            });
+        } else {
+            const template = settings.messageTemplates?.[type] || MESSAGE_TEMPLATES[type];
+            result = await sendMessage({
+                channel,
+                to: recipient,
+                body: renderTemplate(template, {
+                    ...data,
+                    visitCount: data.seriesTimes?.length || 1,
+                    seriesTimes: data.seriesTimes?.join(', ')
+                }).replace(/ {2,}/g, ' ').trim()
+            });
+        }
+
+        // The stub provider accepts messages without delivering them
+        if (result.delivered === false) {
+            return { status: 'SKIPPED', recipient, providerMessageId: result.messageId, error: 'Not delivered by the stub messaging provider' };
+        }
+
+        return { status: 'SENT', recipient, providerMessageId: result.messageId };
+    } catch (error) {
+        return { status: 'FAILED', recipient, error: error.message };
+    }
+};
+
+/**
+ * Send a notification to a patient on each of the organization's channels,
+ * logging the outcome per channel
+ * Patients who opted out, or have no address for a channel, are logged as SKIPPED.
+ * @param {Object} notification
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {Object} notification.patient - Patient with email, phone and notificationsOptOut
+ * @param {Object} notification.data - Template data
+ * @param {Object} notification.settings - Organization settings
+ * @param {Object} notification.log - NotificationLog fields shared by every channel
+ * @param {Object} [notification.icalEvent] - Calendar invitation attached to emails
+ * @returns {Promise<Object[]>} - Log entries, one per channel
+ */
+const notifyPatient = ({ type, patient, data, settings, log, icalEvent }) => {
+    if (patient.notificationsOptOut) {
+        return Promise.all(settings.notificationChannels.map(channel =>
+            logNotification({ ...log, channel, status: 'SKIPPED', error: 'Patient opted out of notifications' })
+        ));
+    }
+
+    return Promise.all(settings.notificationChannels.map(async channel => {
+        const outcome = await deliverNotification(channel, { type, patient, data, settings, icalEvent });
+        return logNotification({ ...log, channel, ...outcome });
+    }));
+};
+
+/**
+ * Build the .ics invitation attached to an appointment email
+ * Calendar apps match it to earlier invitations by UID and SEQUENCE, so
+ * reschedules update the event and cancellations remove it.
+ * Series notices carry one event per visit they cover.
+ * @param {string} type - Notification type
+ * @param {Object} appointment - Appointment with patient, doctor and clinic
+ * @param {Date[]} [seriesDates] - Start times of the series visits the notice covers
+ * @returns {Promise<Object|null>} - { method, filename, content } or null if the type has no invitation
+ */
+const buildCalendarInvite = async (type, appointment, seriesDates) => {
+    const method = CALENDAR_METHODS[type];
+
+    if (!method) {
+        return null;
+    }
+
+    let appointments = [appointment];
+    if (seriesDates && appointment.seriesId) {
+        const occurrences = await prisma.appointment.findMany({
+            where: {
+                seriesId: appointment.seriesId,
+                appointmentDate: { in: seriesDates }
+            },
+            include: {
+                resources: {
+                    select: {
+                        name: true,
+                        type: true
+                    }
+                }
+            },
+            orderBy: {
+                appointmentDate: 'asc'
+            }
+        });
+        appointments = occurrences.map(occurrence => ({ ...appointment, ...occurrence }));
+    }
+
+    const organizer = {
+        name: appointment.clinic.name,
+        email: process.env.EMAIL_FROM || process.env.EMAIL_USER
+    };
+
+    return {
+        method,
+        filename: 'appointment.ics',
+        content: buildCalendar({
+            method,
+            events: appointments.map(occurrence => buildPatientEvent(occurrence, organizer))
+        })
+    };
+};
+
+/**
+ * How the patient attends a video or phone appointment, for messages
+ * @param {string} type - Notification type
+ * @param {Object} appointment - Appointment with mode and patient
+ * @param {string} [joinUrl] - Patient's join link of a video appointment
+ * @returns {string|undefined}
+ */
+const getVisitDetails = (type, appointment, joinUrl) => {
+    if (type === 'APPOINTMENT_CANCELLED') {
+        return undefined;
+    }
+
+    if (joinUrl) {
+        return `Join the video call at ${joinUrl} (it opens ${JOIN_OPENS_MINUTES_BEFORE} minutes before the appointment).`;
+    }
+
+    if (appointment.mode === 'PHONE') {
+        return `The doctor will call you on ${appointment.patient.phone}.`;
+    }
+
+    return undefined;
+};
+
+/**
+ * What a patient under the no-show policy must do to keep an appointment, for messages
+ * @param {string} type - Notification type
+ * @param {Object} appointment - Appointment with status, confirmBy and deposit fields
+ * @param {Object} settings - Organization settings
+ * @param {string} [manageUrl] - Link the patient can confirm the appointment with
+ * @returns {string|undefined}
+ */
+const getConfirmationDetails = (type, appointment, settings, manageUrl) => {
+    if (type === 'APPOINTMENT_CANCELLED' || appointment.status !== 'SCHEDULED') {
+        return undefined;
+    }
+
+    const depositDue = appointment.depositAmount && !appointment.depositPaidAt;
+    const deposit = depositDue && `${settings.currency} ${appointment.depositAmount}`;
+
+    if (appointment.confirmBy) {
+        const deadline = formatDateTime(appointment.confirmBy, settings);
+        return depositDue
+            ? `Please pay the deposit of ${deposit} to the clinic by ${deadline}, or the appointment will be cancelled.`
+            : `Please confirm by ${deadline} at ${manageUrl}, or the appointment will be cancelled.`;
+    }
+
+    return depositDue ? `Please pay the deposit of ${deposit} to the clinic before your appointment.` : undefined;
+};
+
+/**
+ * Send a notification about an appointment to its patient
+ * Confirmations, reschedules and cancellations carry a calendar invitation by email.
+ * Never throws, so callers can send without awaiting it.
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} [options]
+ * @param {number} [options.reminderOffset] - Minutes before the appointment, for reminders
+ * @param {Date} [options.previousDate] - Start time before a reschedule
+ * @param {Date[]} [options.seriesDates] - Every start time of a series the notice covers
+ * @param {string} [options.manageUrl] - Link the patient can use to cancel or reschedule
+ * @returns {Promise<Object[]>} - Log entries, one per channel
+ */
+const sendAppointmentNotification = async (type, appointmentId, options = {}) => {
+    try {
+        // 1. Load the appointment with everything the message mentions
+        const appointment = await prisma.appointment.findUnique({
+            where: { id: appointmentId },
+            include: {
+                patient: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true,
+                        phone: true,
+                        notificationsOptOut: true
+                    }
+                },
+                doctor: {
+                    select: {
+                        name: true
+                    }
+                },
+                clinic: {
+                    select: {
+                        name: true,
+                        address: true,
+                        phone: true,
+                        organizationId: true,
+                        publicBookingEnabled: true
+                    }
+                },
+                appointmentType: {
+                    select: {
+                        name: true,
+                        instructions: true
+                    }
+                },
+                resources: {
+                    select: {
+                        name: true,
+                        type: true
+                    }
+                }
+            }
+        });
+
+        if (!appointment) {
+            return [];
+        }
+
+        const { patient, doctor, clinic } = appointment;
+        const settings = await getOrganizationSettings(clinic.organizationId);
+        const joinUrl = appointment.mode === 'VIDEO' && type !== 'APPOINTMENT_CANCELLED' ? getJoinUrl(appointment) : undefined;
+        // Moving an appointment retires its manage links, so reschedule notices carry a new one
+        const needsManageUrl = (appointment.confirmBy && appointment.status === 'SCHEDULED')
+            || (type === 'APPOINTMENT_RESCHEDULED' && clinic.publicBookingEnabled);
+        const manageUrl = options.manageUrl || (needsManageUrl ? getManageUrl(signManageToken(appointment)) : undefined);
+
+        // 2. Send on every channel with times in the organization's timezone and locale
+        const data = {
+            name: patient.name,
+            doctorName: doctor.name,
+            clinicName: clinic.name,
+            clinicAddress: clinic.address,
+            clinicPhone: clinic.phone,
+            appointmentTime: formatDateTime(appointment.appointmentDate, settings),
+            appointmentType: appointment.appointmentType?.name,
+            instructions: appointment.appointmentType?.instructions,
+            mode: appointment.mode,
+            joinUrl,
+            visitDetails: getVisitDetails(type, appointment, joinUrl),
+            confirmationDetails: getConfirmationDetails(type, appointment, settings, manageUrl),
+            previousTime: options.previousDate && formatDateTime(options.previousDate, settings),
+            seriesTimes: options.seriesDates?.map(date => formatDateTime(date, settings)),
+            reason: appointment.cancellationReason,
+            manageUrl
+        };
+
+        return await notifyPatient({
+            type,
+            patient,
+            data,
+            settings,
+            icalEvent: await buildCalendarInvite(type, appointment, options.seriesDates),
+            log: {
+                organizationId: clinic.organizationId,
+                appointmentId,
+                patientId: patient.id,
+                type,
+                scheduledFor: appointment.appointmentDate,
+                reminderOffset: options.reminderOffset
+            }
+        });
+    } catch (error) {
+        console.error(`Appointment notification (${type}) error:`, error);
+        return [];
+    }
+};
+
+/**
+ * Offer a freed slot to a waitlisted patient, with a link to accept or decline it
+ * Never throws; an empty result or no SENT entry means the patient was not reached.
+ * @param {string} offerId - Waitlist offer ID
+ * @returns {Promise<Object[]>} - Log entries, one per channel
+ */
+const sendWaitlistOfferNotification = async (offerId) => {
+    try {
+        // 1. Load the offer with everything the message mentions
+        const offer = await prisma.waitlistOffer.findUnique({
+            where: { id: offerId },
+            include: {
+                waitlistEntry: {
+                    include: {
+                        patient: {
+                            select: {
+                                id: true,
+                                name: true,
+                                email: true,
+                                phone: true,
+                                notificationsOptOut: true
+                            }
+                        },
+                        doctor: {
+                            select: {
+                                name: true
+                            }
+                        },
+                        clinic: {
+                            select: {
+                                name: true,
+                                address: true,
+                                phone: true,
+                                organizationId: true
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        if (!offer) {
+            return [];
+        }
+
+        const { patient, doctor, clinic } = offer.waitlistEntry;
+        const settings = await getOrganizationSettings(clinic.organizationId);
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+        // 2. Send on every channel
+        return await notifyPatient({
+            type: 'WAITLIST_OFFER',
+            patient,
+            settings,
+            data: {
+                name: patient.name,
+                doctorName: doctor.name,
+                clinicName: clinic.name,
+                clinicAddress: clinic.address,
+                clinicPhone: clinic.phone,
+                appointmentTime: formatDateTime(offer.slotStart, settings),
+                offerExpiresTime: formatDateTime(offer.expiresAt, settings),
+                offerUrl: `${frontendUrl}/waitlist-offer?token=${offer.token}`
+            },
+            log: {
+                organizationId: clinic.organizationId,
+                patientId: patient.id,
+                type: 'WAITLIST_OFFER',
+                scheduledFor: offer.slotStart
+            }
+        });
+    } catch (error) {
+        console.error('Waitlist offer notification error:', error);
+        return [];
+    }
+};
+
+/**
+ * Send reminders that have come due
+ * Each reminder offset is sent once per appointment start time (rescheduling starts over).
+ * Offsets that passed before the appointment was booked are skipped, and a reminder
+ * makes any longer, unsent offsets redundant, so a patient gets at most one reminder per run.
+ * Failed sends are retried on later runs up to MAX_REMINDER_ATTEMPTS times.
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const sendDueReminders = async () => {
+    const now = new Date();
+
+    // 1. Active appointments close enough for any reminder
+    const appointments = await prisma.appointment.findMany({
+        where: {
+            status: {
+                in: ['SCHEDULED', 'CONFIRMED']
+            },
+            appointmentDate: {
+                gt: now,
+                lte: new Date(now.getTime() + MAX_REMINDER_OFFSET_MINUTES * 60 * 1000)
+            },
+            patient: {
+                notificationsOptOut: false
+            }
+        },
+        select: {
+            id: true,
+            appointmentDate: true,
+            createdAt: true,
+            clinic: {
+                select: {
+                    organizationId: true
+                }
+            },
+            notificationLogs: {
+                where: {
+                    type: 'APPOINTMENT_REMINDER'
+                },
+                select: {
+                    reminderOffset: true,
+                    scheduledFor: true,
+                    status: true
+                }
+            }
+        }
+    });
+
+    const settingsByOrganization = new Map();
+    let sentCount = 0;
+
+    for (const appointment of appointments) {
+        const { organizationId } = appointment.clinic;
+        if (!settingsByOrganization.has(organizationId)) {
+            settingsByOrganization.set(organizationId, await getOrganizationSettings(organizationId));
+        }
+
+        const settings = settingsByOrganization.get(organizationId);
+        if (settings.notificationChannels.length === 0) continue;
+
+        // 2. Reminders already handled for the current start time
+        const attempts = appointment.notificationLogs.filter(log =>
+            log.scheduledFor?.getTime() === appointment.appointmentDate.getTime()
+        );
+        const handledOffsets = attempts.filter(log => log.status !== 'FAILED').map(log => log.reminderOffset);
+
+        // 3. Send the closest due reminder that is not yet covered
+        const offsets = [...settings.reminderOffsets].sort((a, b) => a - b);
+
+        for (const offset of offsets) {
+            const remindAt = new Date(appointment.appointmentDate.getTime() - offset * 60 * 1000);
+            const failedAttempts = attempts.filter(log => log.reminderOffset === offset && log.status === 'FAILED').length;
+
+            if (handledOffsets.some(handled => handled <= offset)) break;
+            if (remindAt > now || appointment.createdAt > remindAt || failedAttempts >= MAX_REMINDER_ATTEMPTS) continue;
+
+            const logs = await sendAppointmentNotification('APPOINTMENT_REMINDER', appointment.id, { reminderOffset: offset });
+            if (logs.some(log => log.status === 'SENT')) {
+                sentCount++;
+            }
+            break;
+        }
+    }
+
+    if (sentCount > 0) {
+        console.log(`⏰ Sent ${sentCount} appointment reminder(s)`);
+    }
+
+    return sentCount;
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    MESSAGE_TEMPLATES,
+    MESSAGE_TEMPLATE_VARIABLES,
+    sendAppointmentNotification,
+    sendWaitlistOfferNotification,
+    sendDueReminders
+};
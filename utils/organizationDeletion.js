@@ -0,0 +1,136 @@
+// utils/organizationDeletion.js
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../lib/prisma');
+const { generateLocalBackup } = require('./backup');
+const { sendEmail } = require('./email');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ORGANIZATION_DELETION_GRACE_DAYS) || 30;
+
+/**
+ * Check final exports can be stored
+ * ORGANIZATION_EXPORT_DIR is where exports are written (e.g. a mounted bucket) and
+ * ORGANIZATION_EXPORT_URL is the base URL that directory is downloadable from
+ * @returns {boolean}
+ */
+const isFinalExportConfigured = () => {
+    return Boolean(process.env.ORGANIZATION_EXPORT_DIR && process.env.ORGANIZATION_EXPORT_URL);
+};
+
+/**
+ * Write an organization's final export and confirm it was stored in full
+ * @param {Object} backupData - Backup data
+ * @param {string} filename - Filename for the export
+ * @returns {Promise<string>} - Download URL of the export
+ */
+const saveFinalExport = async (backupData, filename) => {
+    if (!isFinalExportConfigured()) {
+        throw new Error('Final export storage is not configured. Set ORGANIZATION_EXPORT_DIR and ORGANIZATION_EXPORT_URL.');
+    }
+
+    const contents = JSON.stringify(backupData);
+    const filePath = path.join(path.resolve(process.env.ORGANIZATION_EXPORT_DIR), filename);
+
+    await fs.promises.writeFile(filePath, contents, { flag: 'wx' });
+
+    const stats = await fs.promises.stat(filePath);
+    if (stats.size !== Buffer.byteLength(contents)) {
+        throw new Error(`Final export ${filePath} is incomplete`);
+    }
+
+    return `${process.env.ORGANIZATION_EXPORT_URL.replace(/\/+$/, '')}/${filename}`;
+};
+
+/**
+ * Export and permanently delete an organization
+ * Members are detached (their accounts survive); clinics, patients, appointments,
+ * EHR records, invites, roles, add-ons and backups are removed by cascade.
+ * Nothing is deleted unless the final export was stored.
+ * @param {Object} organization - Organization record with owner loaded
+ * @returns {Promise<string>} - URL of the final export
+ */
+const deleteOrganization = async (organization) => {
+    // 1. Produce the final export before anything is removed
+    const backupData = await generateLocalBackup(organization.id);
+    const exportUrl = await saveFinalExport(backupData, `final-export-${organization.id}-${Date.now()}.json`);
+
+    // 2. Detach members and delete the organization with its data
+    await prisma.$transaction([
+        prisma.user.updateMany({
+            where: { organizationId: organization.id },
+            data: {
+                organizationId: null,
+                customRoleId: null
+            }
+        }),
+        prisma.organization.delete({
+            where: { id: organization.id }
+        })
+    ]);
+
+    // 3. Send the owner the export link
+    if (organization.owner) {
+        try {
+            await sendEmail({
+                to: organization.owner.email,
+                subject: `${organization.name} has been deleted`,
+                template: 'organization-deleted',
+                data: {
+                    name: organization.owner.name,
+                    organizationName: organization.name,
+                    exportUrl
+                }
+            });
+        } catch (error) {
+            console.error('Failed to send organization deletion email:', error);
+        }
+    }
+
+    return exportUrl;
+};
+
+/**
+ * Delete every organization whose deletion grace period has ended
+ * Runs as a background job
+ */
+const purgeScheduledOrganizations = async () => {
+    // Keep scheduled organizations until their data can be exported
+    if (!isFinalExportConfigured()) {
+        console.error('Skipping organization purge: final export storage is not configured');
+        return;
+    }
+
+    const organizations = await prisma.organization.findMany({
+        where: {
+            deletionScheduledAt: {
+                lte: new Date()
+            }
+        },
+        include: {
+            owner: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        }
+    });
+
+    for (const organization of organizations) {
+        try {
+            const exportUrl = await deleteOrganization(organization);
+            console.log(`Deleted organization ${organization.id}; final export at ${exportUrl}`);
+        } catch (error) {
+            // Leave the organization scheduled so the next run retries it
+            console.error(`Failed to delete organization ${organization.id}:`, error);
+        }
+    }
+};
+
+module.exports = {
+    DELETION_GRACE_DAYS,
+    isFinalExportConfigured,
+    deleteOrganization,
+    purgeScheduledOrganizations
+};
@@ -0,0 +1,51 @@
+// utils/organizationSettings.js
+const prisma = require('../lib/prisma');
+
+/**
+ * Settings used until an organization saves its own
+ * Kept in sync with the defaults in the OrganizationSettings model
+ */
+const DEFAULT_SETTINGS = {
+    timezone: 'Asia/Kolkata',
+    locale: 'en-IN',
+    currency: 'INR',
+    dateFormat: 'DD/MM/YYYY',
+    workingDays: [1, 2, 3, 4, 5, 6],
+    workingHoursStart: '09:00',
+    workingHoursEnd: '18:00',
+    reminderOffsets: [1440, 120],
+    notificationChannels: ['EMAIL'],
+    messageTemplates: null,
+    noShowGraceMinutes: 30,
+    noShowLimit: null,
+    noShowPolicy: 'REQUIRE_CONFIRMATION',
+    noShowDepositAmount: null,
+    confirmationDeadlineMinutes: 1440
+};
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'DD MMM YYYY'];
+
+// Reminders can be sent up to a week before an appointment
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+const MAX_REMINDERS = 5;
+
+/**
+ * Get an organization's settings, falling back to the defaults
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} - Settings
+ */
+const getOrganizationSettings = async (organizationId) => {
+    const settings = await prisma.organizationSettings.findUnique({
+        where: { organizationId }
+    });
+
+    return settings || { organizationId, ...DEFAULT_SETTINGS };
+};
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    DATE_FORMATS,
+    MAX_REMINDER_OFFSET_MINUTES,
+    MAX_REMINDERS,
+    getOrganizationSettings
+};
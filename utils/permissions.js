@@ -0,0 +1,121 @@
+// utils/permissions.js
+
+/**
+ * Permissions checked by requirePermission()
+ */
+const PERMISSIONS = {
+    ORGANIZATION_MANAGE: 'organization:manage',
+    USERS_READ: 'users:read',
+    USERS_MANAGE: 'users:manage',
+    ROLES_MANAGE: 'roles:manage',
+    CLINICS_READ: 'clinics:read',
+    CLINICS_MANAGE: 'clinics:manage',
+    PATIENTS_READ: 'patients:read',
+    PATIENTS_WRITE: 'patients:write',
+    PATIENTS_DELETE: 'patients:delete',
+    APPOINTMENTS_READ: 'appointments:read',
+    APPOINTMENTS_WRITE: 'appointments:write',
+    SCHEDULES_MANAGE: 'schedules:manage',
+    EHR_READ: 'ehr:read',
+    EHR_WRITE: 'ehr:write',
+    ANALYTICS_READ: 'analytics:read',
+    BILLING_MANAGE: 'billing:manage',
+    BACKUP_MANAGE: 'backup:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Permissions someone in the organization must always keep, so roles can still be changed
+ */
+const ADMIN_MANAGEMENT_PERMISSIONS = [PERMISSIONS.USERS_MANAGE, PERMISSIONS.ROLES_MANAGE];
+
+const ROLES = ['ADMIN', 'DOCTOR', 'NURSE', 'RECEPTIONIST', 'BILLING'];
+
+/**
+ * Default permission matrix for the built-in roles
+ * Organizations can override it per user by assigning a custom role
+ */
+const ROLE_PERMISSIONS = {
+    ADMIN: ALL_PERMISSIONS,
+    DOCTOR: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.CLINICS_READ,
+        PERMISSIONS.PATIENTS_READ,
+        PERMISSIONS.PATIENTS_WRITE,
+        PERMISSIONS.APPOINTMENTS_READ,
+        PERMISSIONS.APPOINTMENTS_WRITE,
+        PERMISSIONS.EHR_READ,
+        PERMISSIONS.EHR_WRITE
+    ],
+    NURSE: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.CLINICS_READ,
+        PERMISSIONS.PATIENTS_READ,
+        PERMISSIONS.PATIENTS_WRITE,
+        PERMISSIONS.APPOINTMENTS_READ,
+        PERMISSIONS.APPOINTMENTS_WRITE,
+        PERMISSIONS.EHR_READ
+    ],
+    RECEPTIONIST: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.CLINICS_READ,
+        PERMISSIONS.PATIENTS_READ,
+        PERMISSIONS.PATIENTS_WRITE,
+        PERMISSIONS.APPOINTMENTS_READ,
+        PERMISSIONS.APPOINTMENTS_WRITE,
+        PERMISSIONS.SCHEDULES_MANAGE
+    ],
+    BILLING: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.CLINICS_READ,
+        PERMISSIONS.PATIENTS_READ,
+        PERMISSIONS.APPOINTMENTS_READ,
+        PERMISSIONS.ANALYTICS_READ,
+        PERMISSIONS.BILLING_MANAGE
+    ]
+};
+
+/**
+ * Resolve the effective permissions of a user
+ * A custom organization role replaces the defaults of the built-in role
+ * @param {Object} user - User with role and optional customRole
+ * @returns {string[]} - Granted permissions
+ */
+const getPermissionsForUser = (user) => {
+    if (user.customRole) {
+        return user.customRole.permissions.filter(permission => ALL_PERMISSIONS.includes(permission));
+    }
+
+    return ROLE_PERMISSIONS[user.role] || [];
+};
+
+/**
+ * Check whether a set of granted permissions includes all required ones
+ * @param {string[]} granted - Granted permissions
+ * @param {string[]} required - Required permissions
+ * @returns {boolean}
+ */
+const hasPermissions = (granted = [], required = []) => {
+    return required.every(permission => granted.includes(permission));
+};
+
+/**
+ * Check whether a user can manage users and roles
+ * @param {Object} user - User with role and optional customRole
+ * @returns {boolean}
+ */
+const isOrganizationManager = (user) => {
+    return hasPermissions(getPermissionsForUser(user), ADMIN_MANAGEMENT_PERMISSIONS);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    ADMIN_MANAGEMENT_PERMISSIONS,
+    ROLES,
+    ROLE_PERMISSIONS,
+    getPermissionsForUser,
+    hasPermissions,
+    isOrganizationManager
+};
@@ -0,0 +1,199 @@
+// utils/publicBooking.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const { sendMessage } = require('./messaging');
+
+const OTP_TTL_MINUTES = 10;
+const MAX_OTP_ATTEMPTS = 5;
+const BOOKING_TOKEN_EXPIRES_IN = '30m';
+
+// Manage links stay valid until a day after the appointment starts
+const MANAGE_LINK_GRACE_SECONDS = 24 * 60 * 60;
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Send a one-time code by SMS to a patient booking online
+ * @param {string} phone - 10-digit mobile number
+ * @param {Object} clinic - Clinic being booked (id and name)
+ * @returns {Promise<Object>} - { verificationId, expiresAt }
+ */
+const sendPhoneVerificationCode = async (phone, clinic) => {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+    const verification = await prisma.phoneVerification.create({
+        data: {
+            phone,
+            clinicId: clinic.id,
+            codeHash: hashCode(code),
+            expiresAt
+        }
+    });
+
+    await sendMessage({
+        channel: 'SMS',
+        to: phone,
+        body: `${code} is your code to book at ${clinic.name}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    });
+
+    return { verificationId: verification.id, expiresAt };
+};
+
+/**
+ * Check a one-time code
+ * Each code can be used once and allows MAX_OTP_ATTEMPTS checks in total
+ * @param {string} verificationId - ID returned by sendPhoneVerificationCode
+ * @param {string} clinicId - Clinic the code was sent for
+ * @param {string} code - Code entered by the patient
+ * @returns {Promise<Object>} - { phone } on success, or { code, error } describing the failure
+ */
+const checkPhoneVerificationCode = async (verificationId, clinicId, code) => {
+    const verification = await prisma.phoneVerification.findFirst({
+        where: {
+            id: verificationId,
+            clinicId
+        }
+    });
+
+    if (!verification || verification.verifiedAt) {
+        return { code: 'INVALID_CODE', error: 'Invalid or already used code' };
+    }
+
+    if (verification.expiresAt < new Date()) {
+        return { code: 'CODE_EXPIRED', error: 'Code has expired. Please request a new one.' };
+    }
+
+    // Count the attempt before comparing, so parallel guesses cannot exceed the limit
+    const attempt = await prisma.phoneVerification.updateMany({
+        where: {
+            id: verification.id,
+            attempts: { lt: MAX_OTP_ATTEMPTS },
+            verifiedAt: null
+        },
+        data: { attempts: { increment: 1 } }
+    });
+
+    if (attempt.count === 0) {
+        return { code: 'TOO_MANY_ATTEMPTS', error: 'Too many wrong attempts. Please request a new code.' };
+    }
+
+    if (verification.codeHash !== hashCode(code)) {
+        return { code: 'INVALID_CODE', error: 'Invalid or already used code' };
+    }
+
+    // Only one request can use the code
+    const { count } = await prisma.phoneVerification.updateMany({
+        where: { id: verification.id, verifiedAt: null },
+        data: { verifiedAt: new Date() }
+    });
+
+    if (count === 0) {
+        return { code: 'INVALID_CODE', error: 'Invalid or already used code' };
+    }
+
+    return { phone: verification.phone };
+};
+
+/**
+ * Sign a short-lived token proving a phone number was verified for a clinic
+ * @param {string} phone - Verified phone number
+ * @param {string} clinicId - Clinic ID
+ * @returns {string} - Signed JWT
+ */
+const signBookingToken = (phone, clinicId) => {
+    return jwt.sign(
+        {
+            phone,
+            clinicId,
+            type: 'public_booking'
+        },
+        JWT_SECRET,
+        { expiresIn: BOOKING_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Verify a booking token
+ * @param {string} token - Token from phone verification
+ * @returns {Object|null} - Decoded payload or null if invalid/expired
+ */
+const verifyBookingToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded.type === 'public_booking' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Sign the token of a link that lets a patient cancel or reschedule one appointment
+ * The token is bound to the appointment's time, so moving the appointment retires it.
+ * @param {Object} appointment - Appointment with id and appointmentDate
+ * @returns {string} - Signed JWT
+ */
+const signManageToken = (appointment) => {
+    const secondsUntilStart = Math.max(Math.ceil((appointment.appointmentDate.getTime() - Date.now()) / 1000), 0);
+
+    return jwt.sign(
+        {
+            appointmentId: appointment.id,
+            appointmentDate: appointment.appointmentDate.toISOString(),
+            type: 'appointment_manage'
+        },
+        JWT_SECRET,
+        { expiresIn: secondsUntilStart + MANAGE_LINK_GRACE_SECONDS }
+    );
+};
+
+/**
+ * Verify a manage link token
+ * Callers must also check the appointment still starts at the payload's appointmentDate
+ * (see isManageTokenCurrent).
+ * @param {string} token - Token from the manage link
+ * @returns {Object|null} - Decoded payload or null if invalid/expired
+ */
+const verifyManageToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded.type === 'appointment_manage' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check a manage link was issued for the appointment's current time
+ * Links from before a reschedule are stale, even if they have not expired.
+ * @param {Object} payload - Result of verifyManageToken
+ * @param {Object} appointment - Appointment with appointmentDate
+ * @returns {boolean}
+ */
+const isManageTokenCurrent = (payload, appointment) => {
+    return payload.appointmentDate === appointment.appointmentDate.toISOString();
+};
+
+/**
+ * Build the link patients use to manage an appointment they booked online
+ * @param {string} manageToken - Token from signManageToken
+ * @returns {string} - URL
+ */
+const getManageUrl = (manageToken) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${frontendUrl}/manage-appointment?token=${manageToken}`;
+};
+
+module.exports = {
+    sendPhoneVerificationCode,
+    checkPhoneVerificationCode,
+    signBookingToken,
+    verifyBookingToken,
+    signManageToken,
+    verifyManageToken,
+    isManageTokenCurrent,
+    getManageUrl
+};
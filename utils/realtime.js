@@ -0,0 +1,152 @@
+// utils/realtime.js
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS) || 25 * 1000;
+const RECONNECT_DELAY_MS = 5000;
+const MAX_TIMER_MS = 2147483647; // Longest delay setTimeout accepts
+
+// Open event streams, keyed by connection id
+const subscribers = new Map();
+let nextConnectionId = 1;
+let nextEventId = 1;
+
+/**
+ * Write one server-sent event to a stream
+ * @param {Object} res - Express response of the stream
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ * @param {number} [id] - Event id
+ */
+const writeEvent = (res, type, data, id) => {
+    if (id) {
+        res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Open a server-sent event stream for an authenticated user
+ * The stream receives events of the user's organization, optionally narrowed to
+ * one clinic; doctors only receive events about their own appointments and queue.
+ * It is closed when the client disconnects or the access token expires, so
+ * clients reconnect with a fresh token.
+ * @param {Object} req - Express request (after authentication)
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {string} [options.clinicId] - Only send events of this clinic
+ */
+const subscribe = (req, res, { clinicId } = {}) => {
+    const connectionId = nextConnectionId++;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const subscriber = {
+        res,
+        organizationId: req.user.organizationId,
+        clinicId: clinicId || null,
+        doctorId: req.user.role === 'DOCTOR' ? req.user.id : null
+    };
+    subscribers.set(connectionId, subscriber);
+
+    writeEvent(res, 'connected', {
+        clinicId: subscriber.clinicId,
+        doctorId: subscriber.doctorId
+    });
+
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    const expiresInMs = req.user.tokenExpiresAt ? req.user.tokenExpiresAt.getTime() - Date.now() : null;
+    const expiry = expiresInMs ? setTimeout(() => {
+        writeEvent(res, 'token_expired', {});
+        res.end();
+    }, Math.min(Math.max(expiresInMs, 0), MAX_TIMER_MS)) : null;
+    expiry?.unref();
+
+    const unsubscribe = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        subscribers.delete(connectionId);
+    };
+
+    req.on('close', unsubscribe);
+    return unsubscribe;
+};
+
+/**
+ * Send an event to every open stream that may see it
+ * Streams live in this process only; run a single API instance (or put a shared
+ * broker behind this function) if clients must see changes made on other instances
+ * @param {Object} event
+ * @param {string} event.organizationId - Organization the change belongs to
+ * @param {string} event.type - Event name, e.g. "appointment.created"
+ * @param {Object} event.data - JSON payload
+ * @param {string} [event.clinicId] - Clinic the change belongs to
+ * @param {string} [event.doctorId] - Doctor the change belongs to
+ */
+const publishEvent = ({ organizationId, type, data, clinicId, doctorId }) => {
+    const id = nextEventId++;
+
+    subscribers.forEach(subscriber => {
+        if (subscriber.organizationId !== organizationId) return;
+        if (subscriber.clinicId && subscriber.clinicId !== clinicId) return;
+        if (subscriber.doctorId && subscriber.doctorId !== doctorId) return;
+
+        try {
+            writeEvent(subscriber.res, type, data, id);
+        } catch (error) {
+            console.error('Event stream write error:', error);
+        }
+    });
+};
+
+/**
+ * Publish a change to an appointment
+ * @param {string} type - "created", "updated" or "cancelled"
+ * @param {Object} appointment - Appointment record
+ * @param {string} organizationId - Organization ID
+ */
+const publishAppointmentEvent = (type, appointment, organizationId) => {
+    publishEvent({
+        organizationId,
+        type: `appointment.${type}`,
+        clinicId: appointment.clinicId,
+        doctorId: appointment.doctorId,
+        data: {
+            appointment
+        }
+    });
+};
+
+/**
+ * Publish a change to a queue entry
+ * @param {string} type - "checked_in" or "updated"
+ * @param {Object} entry - Queue entry record
+ * @param {string} organizationId - Organization ID
+ */
+const publishQueueEvent = (type, entry, organizationId) => {
+    publishEvent({
+        organizationId,
+        type: `queue.${type}`,
+        clinicId: entry.clinicId,
+        doctorId: entry.doctorId,
+        data: {
+            entry
+        }
+    });
+};
+
+module.exports = {
+    subscribe,
+    publishEvent,
+    publishAppointmentEvent,
+    publishQueueEvent
+};
@@ -0,0 +1,54 @@
+// utils/recurrence.js
+const { getZonedParts, getZonedDayRange, zonedTimeToUtc } = require('./timezone');
+
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY'];
+const MAX_OCCURRENCES = parseInt(process.env.MAX_SERIES_OCCURRENCES) || 52;
+
+/**
+ * Expand a recurrence rule into occurrence start times
+ * Occurrences keep the first appointment's wall-clock time in the organization's
+ * timezone, so a weekly 10:00 booking stays at 10:00 across DST changes
+ * @param {Object} rule
+ * @param {Date} rule.start - First occurrence
+ * @param {string} rule.frequency - DAILY or WEEKLY
+ * @param {number} [rule.interval] - Every N days or weeks (default 1)
+ * @param {number} [rule.count] - Number of occurrences
+ * @param {string} [rule.until] - Last allowed date, "YYYY-MM-DD" (inclusive)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date[]} - Occurrence start times, capped at MAX_OCCURRENCES
+ */
+const generateOccurrences = ({ start, frequency, interval = 1, count, until }, timezone) => {
+    const { year, month, day, hour, minute } = getZonedParts(start, timezone);
+    const stepDays = frequency === 'WEEKLY' ? 7 * interval : interval;
+    const untilEnd = until ? getZonedDayRange(until.slice(0, 10), timezone).end : null;
+    const occurrences = [];
+
+    for (let index = 0; index < MAX_OCCURRENCES; index++) {
+        if (count && index >= count) {
+            break;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day + index * stepDays));
+        const occurrence = zonedTimeToUtc({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour,
+            minute
+        }, timezone);
+
+        if (untilEnd && occurrence >= untilEnd) {
+            break;
+        }
+
+        occurrences.push(occurrence);
+    }
+
+    return occurrences;
+};
+
+module.exports = {
+    RECURRENCE_FREQUENCIES,
+    MAX_OCCURRENCES,
+    generateOccurrences
+};
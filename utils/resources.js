@@ -0,0 +1,194 @@
+// utils/resources.js
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('./organizationSettings');
+const { getZonedDayRange } = require('./timezone');
+const { BLOCKING_STATUSES, getClinicHours, findClinicClosure, timeToMinutes } = require('./scheduling');
+
+const RESOURCE_TYPES = ['ROOM', 'EQUIPMENT'];
+
+// Longest range of days a utilization report covers
+const MAX_UTILIZATION_DAYS = 31;
+
+// Resource fields returned with appointments
+const resourceSelect = {
+    id: true,
+    name: true,
+    type: true
+};
+
+// Appointments that used, or still hold, a resource's time
+const UTILIZATION_STATUSES = [...BLOCKING_STATUSES, 'COMPLETED'];
+
+/**
+ * Find the resources an appointment at a clinic can reserve
+ * @param {Object} params
+ * @param {string[]} params.resourceIds - Resource IDs
+ * @param {string} params.clinicId - Clinic of the appointment
+ * @param {boolean} [params.allowInactive] - Accept deactivated resources (e.g. ones an appointment already has)
+ * @returns {Promise<Object>} - { resources }, or { error, code, invalidResources } describing the problem
+ */
+const resolveResources = async ({ resourceIds, clinicId, allowInactive = false }) => {
+    const uniqueIds = [...new Set(resourceIds)];
+
+    const resources = await prisma.clinicResource.findMany({
+        where: {
+            id: { in: uniqueIds },
+            clinicId,
+            ...(!allowInactive && { isActive: true })
+        },
+        select: resourceSelect
+    });
+
+    const invalidResources = uniqueIds.filter(id => !resources.some(resource => resource.id === id));
+    if (invalidResources.length > 0) {
+        return { error: 'Invalid resource selected for this clinic', code: 'INVALID_RESOURCE', invalidResources };
+    }
+
+    return { resources };
+};
+
+/**
+ * Compare an appointment's reserved resources with a new list
+ * @param {string[]} currentIds - Resource IDs the appointment reserves
+ * @param {string[]} [nextIds] - New resource IDs (undefined keeps the current ones)
+ * @returns {Object|null} - { from, to } for the appointment's history, or null if unchanged
+ */
+const getResourceChange = (currentIds, nextIds) => {
+    if (nextIds === undefined) {
+        return null;
+    }
+
+    const uniqueIds = [...new Set(nextIds)];
+    const changed = uniqueIds.length !== currentIds.length || uniqueIds.some(id => !currentIds.includes(id));
+
+    return changed ? { from: currentIds, to: uniqueIds } : null;
+};
+
+/**
+ * Minutes of two time ranges that overlap
+ * @param {number} start - Start of first range (ms)
+ * @param {number} end - End of first range (ms)
+ * @param {number} otherStart - Start of second range (ms)
+ * @param {number} otherEnd - End of second range (ms)
+ * @returns {number}
+ */
+const overlapMinutes = (start, end, otherStart, otherEnd) => {
+    return Math.max(Math.min(end, otherEnd) - Math.max(start, otherStart), 0) / (60 * 1000);
+};
+
+/**
+ * Daily utilization of a clinic's resources
+ * A resource is available while the clinic is open, and used while an appointment
+ * that reserves it is booked, in progress or completed.
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID (for timezone and fallback hours)
+ * @param {string} params.clinicId - Clinic ID
+ * @param {string} params.startDate - First day ("YYYY-MM-DD" in the organization's timezone)
+ * @param {string} params.endDate - Last day, inclusive
+ * @param {string} [params.type] - Only ROOM or EQUIPMENT resources
+ * @returns {Promise<Object>} - { timezone, resources: [{ id, name, type, isActive, days, totals }] }
+ */
+const getResourceUtilization = async ({ organizationId, clinicId, startDate, endDate, type }) => {
+    const settings = await getOrganizationSettings(organizationId);
+    const { timezone } = settings;
+
+    // 1. Work out each day's opening minutes
+    const { hours } = await getClinicHours(clinicId, settings);
+    const days = [];
+
+    for (let date = startDate; date <= endDate;) {
+        const dayOfWeek = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+        const closure = await findClinicClosure(clinicId, date);
+        const openMinutes = closure ? 0 : hours
+            .filter(interval => interval.dayOfWeek === dayOfWeek)
+            .reduce((total, interval) => total + timeToMinutes(interval.closeTime) - timeToMinutes(interval.openTime), 0);
+
+        const { start, end } = getZonedDayRange(date, timezone);
+        days.push({ date, start: start.getTime(), end: end.getTime(), openMinutes });
+
+        const next = new Date(`${date}T00:00:00.000Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        date = next.toISOString().slice(0, 10);
+    }
+
+    // 2. Get the resources with their appointments in range
+    const rangeStart = new Date(days[0].start);
+    const rangeEnd = new Date(days[days.length - 1].end);
+
+    const resources = await prisma.clinicResource.findMany({
+        where: {
+            clinicId,
+            ...(type && { type })
+        },
+        include: {
+            appointments: {
+                where: {
+                    status: { in: UTILIZATION_STATUSES },
+                    appointmentDate: {
+                        gt: new Date(rangeStart.getTime() - 24 * 60 * 60 * 1000),
+                        lt: rangeEnd
+                    }
+                },
+                select: {
+                    appointmentDate: true,
+                    duration: true
+                }
+            }
+        },
+        orderBy: [{ type: 'asc' }, { name: 'asc' }]
+    });
+
+    // 3. Add up the booked minutes of each day
+    return {
+        timezone,
+        resources: resources.map(resource => {
+            const resourceDays = days.map(day => {
+                let appointments = 0;
+                let bookedMinutes = 0;
+
+                resource.appointments.forEach(appointment => {
+                    const start = appointment.appointmentDate.getTime();
+                    const minutes = overlapMinutes(start, start + appointment.duration * 60 * 1000, day.start, day.end);
+                    if (minutes > 0) {
+                        appointments++;
+                        bookedMinutes += minutes;
+                    }
+                });
+
+                return {
+                    date: day.date,
+                    openMinutes: day.openMinutes,
+                    bookedMinutes,
+                    appointments,
+                    utilization: day.openMinutes > 0 ? Math.round((bookedMinutes / day.openMinutes) * 1000) / 10 : null
+                };
+            });
+
+            const openMinutes = resourceDays.reduce((total, day) => total + day.openMinutes, 0);
+            const bookedMinutes = resourceDays.reduce((total, day) => total + day.bookedMinutes, 0);
+
+            return {
+                id: resource.id,
+                name: resource.name,
+                type: resource.type,
+                isActive: resource.isActive,
+                days: resourceDays,
+                totals: {
+                    openMinutes,
+                    bookedMinutes,
+                    appointments: resourceDays.reduce((total, day) => total + day.appointments, 0),
+                    utilization: openMinutes > 0 ? Math.round((bookedMinutes / openMinutes) * 1000) / 10 : null
+                }
+            };
+        })
+    };
+};
+
+module.exports = {
+    RESOURCE_TYPES,
+    MAX_UTILIZATION_DAYS,
+    resourceSelect,
+    resolveResources,
+    getResourceChange,
+    getResourceUtilization
+};
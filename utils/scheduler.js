@@ -0,0 +1,67 @@
+// utils/scheduler.js
+
+// Registered background jobs
+const jobs = [];
+
+/**
+ * Register a job to run periodically once the scheduler starts
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} handler - Async function to run
+ */
+const registerJob = (name, intervalMs, handler) => {
+    jobs.push({ name, intervalMs, handler, running: false, timer: null });
+};
+
+/**
+ * Run a job unless its previous run is still in progress
+ * @param {Object} job - Registered job
+ */
+const runJob = async (job) => {
+    if (job.running) {
+        return;
+    }
+
+    job.running = true;
+    try {
+        await job.handler();
+    } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Start all registered jobs
+ * Set DISABLE_SCHEDULER=true to run the API without background jobs (e.g. extra instances)
+ */
+const startScheduler = () => {
+    if (process.env.DISABLE_SCHEDULER === 'true') {
+        console.log('⏸️  Background scheduler disabled');
+        return;
+    }
+
+    jobs.forEach(job => {
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        job.timer.unref();
+    });
+
+    console.log(`⏱️  Background scheduler started (${jobs.length} jobs)`);
+};
+
+/**
+ * Stop all running jobs
+ */
+const stopScheduler = () => {
+    jobs.forEach(job => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+};
+
+module.exports = {
+    registerJob,
+    startScheduler,
+    stopScheduler
+};
\ No newline at end of file
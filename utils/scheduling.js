@@ -0,0 +1,604 @@
+// utils/scheduling.js
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('./organizationSettings');
+const { getZonedParts, toZonedDateString, parseDateOnly, getZonedDayRange, zonedTimeToUtc } = require('./timezone');
+
+// Appointments in these statuses occupy the doctor's, patient's and resources' time
+const BLOCKING_STATUSES = ['SCHEDULED', 'CONFIRMED', 'IN_PROGRESS'];
+
+// Longest allowed appointment; bounds how far back overlapping bookings can start
+const MAX_APPOINTMENT_DURATION_MINUTES = 480;
+
+/**
+ * Convert "HH:mm" to minutes after midnight
+ * @param {string} time - e.g. "09:30"
+ * @returns {number}
+ */
+const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes after midnight to "HH:mm"
+ * @param {number} minutes - e.g. 570
+ * @returns {string}
+ */
+const minutesToTime = (minutes) => {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Check whether any two intervals of the same day overlap
+ * @param {Object[]} intervals - [{ dayOfWeek, openTime, closeTime }]
+ * @returns {boolean}
+ */
+const hasOverlappingIntervals = (intervals) => {
+    const sorted = [...intervals].sort((a, b) =>
+        a.dayOfWeek - b.dayOfWeek || timeToMinutes(a.openTime) - timeToMinutes(b.openTime)
+    );
+
+    return sorted.some((interval, index) => {
+        const next = sorted[index + 1];
+        return next && next.dayOfWeek === interval.dayOfWeek &&
+            timeToMinutes(next.openTime) < timeToMinutes(interval.closeTime);
+    });
+};
+
+/**
+ * Weekly opening hours of a clinic
+ * Clinics without their own hours use the organization's working days and hours
+ * @param {string} clinicId - Clinic ID
+ * @param {Object} settings - Organization settings
+ * @returns {Promise<Object>} - { source: 'clinic' | 'organization', hours: [{ dayOfWeek, openTime, closeTime }] }
+ */
+const getClinicHours = async (clinicId, settings) => {
+    const hours = await prisma.clinicOperatingHours.findMany({
+        where: { clinicId },
+        orderBy: [{ dayOfWeek: 'asc' }, { openTime: 'asc' }]
+    });
+
+    if (hours.length > 0) {
+        return { source: 'clinic', hours };
+    }
+
+    return {
+        source: 'organization',
+        hours: settings.workingDays.map(dayOfWeek => ({
+            dayOfWeek,
+            openTime: settings.workingHoursStart,
+            closeTime: settings.workingHoursEnd
+        }))
+    };
+};
+
+/**
+ * Find a closure covering a calendar date
+ * @param {string} clinicId - Clinic ID
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {Promise<Object|null>} - Closure or null
+ */
+const findClinicClosure = async (clinicId, date) => {
+    const day = new Date(`${date}T00:00:00.000Z`);
+
+    return prisma.clinicClosure.findFirst({
+        where: {
+            clinicId,
+            startDate: { lte: day },
+            endDate: { gte: day }
+        }
+    });
+};
+
+/**
+ * Find a leave covering a calendar date
+ * @param {string} doctorId - Doctor user ID
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {Promise<Object|null>} - Leave or null
+ */
+const findDoctorLeave = async (doctorId, date) => {
+    const day = new Date(`${date}T00:00:00.000Z`);
+
+    return prisma.doctorLeave.findFirst({
+        where: {
+            doctorId,
+            startDate: { lte: day },
+            endDate: { gte: day }
+        }
+    });
+};
+
+/**
+ * Check that a doctor is not on leave on the day(s) an appointment covers
+ * @param {Object} params
+ * @param {string} params.doctorId - Doctor user ID
+ * @param {string} params.organizationId - Organization ID (for timezone)
+ * @param {Date} params.start - Appointment start
+ * @param {number} params.duration - Duration in minutes
+ * @returns {Promise<Object|null>} - { code, error, leave } describing the problem, or null if the doctor is available
+ */
+const checkDoctorLeave = async ({ doctorId, organizationId, start, duration }) => {
+    const { timezone } = await getOrganizationSettings(organizationId);
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    const dates = [...new Set([toZonedDateString(start, timezone), toZonedDateString(end, timezone)])];
+
+    for (const date of dates) {
+        const leave = await findDoctorLeave(doctorId, date);
+        if (leave) {
+            return {
+                code: 'DOCTOR_ON_LEAVE',
+                error: `Doctor is on leave on ${date}`,
+                leave
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check that an appointment falls on an open day and within a clinic's opening hours
+ * @param {Object} params
+ * @param {string} params.clinicId - Clinic ID
+ * @param {string} params.organizationId - Organization ID (for timezone and fallback hours)
+ * @param {Date} params.start - Appointment start
+ * @param {number} params.duration - Duration in minutes
+ * @returns {Promise<Object|null>} - { code, error, ... } describing the problem, or null if the slot is allowed
+ */
+const checkClinicAvailability = async ({ clinicId, organizationId, start, duration }) => {
+    const settings = await getOrganizationSettings(organizationId);
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    const date = toZonedDateString(start, settings.timezone);
+
+    // 1. Closures and holidays block the whole day
+    const closure = await findClinicClosure(clinicId, date);
+    if (closure) {
+        return {
+            code: 'CLINIC_CLOSED',
+            error: closure.reason ? `Clinic is closed on ${date}: ${closure.reason}` : `Clinic is closed on ${date}`,
+            closure
+        };
+    }
+
+    // 2. The appointment must fit inside one opening interval of that day
+    const startParts = getZonedParts(start, settings.timezone);
+    const endParts = getZonedParts(end, settings.timezone);
+    const startMinutes = startParts.hour * 60 + startParts.minute;
+    const endMinutes = toZonedDateString(end, settings.timezone) === date
+        ? endParts.hour * 60 + endParts.minute
+        : 24 * 60 + 1; // Runs past midnight
+
+    const { hours } = await getClinicHours(clinicId, settings);
+    const dayHours = hours.filter(interval => interval.dayOfWeek === startParts.dayOfWeek);
+
+    const fits = dayHours.some(interval =>
+        startMinutes >= timeToMinutes(interval.openTime) && endMinutes <= timeToMinutes(interval.closeTime)
+    );
+
+    if (!fits) {
+        return {
+            code: 'OUTSIDE_CLINIC_HOURS',
+            error: dayHours.length > 0
+                ? 'Appointment is outside clinic opening hours'
+                : 'Clinic is not open on this day',
+            openingHours: dayHours.map(({ openTime, closeTime }) => ({ openTime, closeTime })),
+            timezone: settings.timezone
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Find pending waitlist offers that hold a doctor's or resource's time in a range
+ * A freed slot offered to a waitlisted patient stays held until the offer is answered or expires
+ * @param {Object} params
+ * @param {Date} params.start - Start of range
+ * @param {Date} params.end - End of range
+ * @param {string} params.doctorId - Doctor user ID
+ * @param {string[]} [params.resourceIds] - Clinic rooms and equipment
+ * @param {string[]} [params.excludeOfferIds] - Offers to ignore (e.g. the one being accepted)
+ * @returns {Promise<Object[]>} - Offers overlapping the range, with the resources they hold
+ */
+const findHeldSlots = async ({ start, end, doctorId, resourceIds = [], excludeOfferIds = [] }) => {
+    const offers = await prisma.waitlistOffer.findMany({
+        where: {
+            id: { notIn: excludeOfferIds },
+            status: 'PENDING',
+            expiresAt: { gt: new Date() },
+            slotStart: {
+                gt: new Date(start.getTime() - MAX_APPOINTMENT_DURATION_MINUTES * 60 * 1000),
+                lt: end
+            },
+            OR: [
+                { doctorId },
+                ...(resourceIds.length > 0 ? [{ resources: { some: { id: { in: resourceIds } } } }] : [])
+            ]
+        },
+        include: {
+            resources: {
+                select: {
+                    id: true,
+                    name: true,
+                    type: true
+                }
+            }
+        },
+        orderBy: {
+            slotStart: 'asc'
+        }
+    });
+
+    return offers.filter(offer => offer.slotStart.getTime() + offer.duration * 60 * 1000 > start.getTime());
+};
+
+/**
+ * Find every active booking that overlaps a proposed appointment
+ * Two bookings overlap when each starts before the other ends. Rooms are ROOM resources,
+ * so a busy room is reported as ROOM_BUSY and busy equipment as RESOURCE_BUSY. Slots held
+ * for waitlisted patients count as bookings of the doctor and resources.
+ * @param {Object} params
+ * @param {Date} params.start - Proposed start
+ * @param {number} params.duration - Proposed duration in minutes
+ * @param {string} params.doctorId - Doctor user ID
+ * @param {string} params.patientId - Patient ID
+ * @param {string[]} [params.resourceIds] - Clinic rooms and equipment the appointment reserves
+ * @param {string[]} [params.excludeAppointmentIds] - Appointments to ignore (e.g. the one being moved)
+ * @param {string[]} [params.excludeOfferIds] - Waitlist offers to ignore
+ * @returns {Promise<Object[]>} - Conflicts: { appointmentId, reasons, start, end, status, doctor, patient, clinic, resources },
+ * or { offerId, reasons: ['SLOT_HELD'], start, end, status: 'HELD', resources } for held slots
+ */
+const findSchedulingConflicts = async ({ start, duration, doctorId, patientId, resourceIds = [], excludeAppointmentIds = [], excludeOfferIds }) => {
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+
+    const held = await findHeldSlots({ start, end, doctorId, resourceIds, excludeOfferIds });
+    const holds = held.map(offer => ({
+        offerId: offer.id,
+        reasons: ['SLOT_HELD'],
+        start: offer.slotStart,
+        end: new Date(offer.slotStart.getTime() + offer.duration * 60 * 1000),
+        status: 'HELD',
+        resources: offer.resources.filter(resource => resourceIds.includes(resource.id))
+    }));
+
+    const candidates = await prisma.appointment.findMany({
+        where: {
+            id: { notIn: excludeAppointmentIds },
+            status: { in: BLOCKING_STATUSES },
+            appointmentDate: {
+                gt: new Date(start.getTime() - MAX_APPOINTMENT_DURATION_MINUTES * 60 * 1000),
+                lt: end
+            },
+            OR: [
+                { doctorId },
+                { patientId },
+                ...(resourceIds.length > 0 ? [{ resources: { some: { id: { in: resourceIds } } } }] : [])
+            ]
+        },
+        include: {
+            doctor: {
+                select: {
+                    id: true,
+                    name: true
+                }
+            },
+            patient: {
+                select: {
+                    id: true,
+                    name: true
+                }
+            },
+            clinic: {
+                select: {
+                    id: true,
+                    name: true
+                }
+            },
+            resources: {
+                select: {
+                    id: true,
+                    name: true,
+                    type: true
+                }
+            }
+        },
+        orderBy: {
+            appointmentDate: 'asc'
+        }
+    });
+
+    return candidates
+        .filter(appointment => {
+            const appointmentEnd = appointment.appointmentDate.getTime() + appointment.duration * 60 * 1000;
+            return appointment.appointmentDate < end && appointmentEnd > start.getTime();
+        })
+        .map(appointment => {
+            const busyResources = appointment.resources.filter(resource => resourceIds.includes(resource.id));
+            const reasons = [];
+            if (appointment.doctorId === doctorId) reasons.push('DOCTOR_BUSY');
+            if (appointment.patientId === patientId) reasons.push('PATIENT_BUSY');
+            if (busyResources.some(resource => resource.type === 'ROOM')) reasons.push('ROOM_BUSY');
+            if (busyResources.some(resource => resource.type !== 'ROOM')) reasons.push('RESOURCE_BUSY');
+
+            return {
+                appointmentId: appointment.id,
+                reasons,
+                start: appointment.appointmentDate,
+                end: new Date(appointment.appointmentDate.getTime() + appointment.duration * 60 * 1000),
+                status: appointment.status,
+                doctor: appointment.doctor,
+                patient: appointment.patient,
+                clinic: appointment.clinic,
+                resources: busyResources
+            };
+        })
+        .concat(holds);
+};
+
+/**
+ * Build the 400 response body for a set of conflicts
+ * @param {Object[]} conflicts - Result of findSchedulingConflicts
+ * @returns {Object}
+ */
+const formatConflictResponse = (conflicts) => {
+    const messages = {
+        DOCTOR_BUSY: 'Doctor has another appointment at this time',
+        PATIENT_BUSY: 'Patient has another appointment at this time',
+        ROOM_BUSY: 'Room is booked at this time',
+        RESOURCE_BUSY: 'Selected equipment is booked at this time',
+        SLOT_HELD: 'Time is held for a waitlisted patient'
+    };
+    const reasons = [...new Set(conflicts.flatMap(conflict => conflict.reasons))];
+
+    return {
+        error: reasons.map(reason => messages[reason]).join('; '),
+        code: 'SCHEDULING_CONFLICT',
+        conflicts
+    };
+};
+
+/**
+ * Run every booking check for one proposed appointment
+ * @param {Object} params - Same as findSchedulingConflicts, plus organizationId and clinicId
+ * @returns {Promise<Object|null>} - { code, error, ... } for the first failed check, or null if bookable
+ */
+const checkAppointmentSlot = async ({ organizationId, start, duration, doctorId, patientId, clinicId, resourceIds, excludeAppointmentIds, excludeOfferIds }) => {
+    if (start <= new Date()) {
+        return { code: 'PAST_DATE', error: 'Appointment must be scheduled for a future date and time' };
+    }
+
+    const clinicUnavailable = await checkClinicAvailability({ clinicId, organizationId, start, duration });
+    if (clinicUnavailable) {
+        return clinicUnavailable;
+    }
+
+    const doctorOnLeave = await checkDoctorLeave({ doctorId, organizationId, start, duration });
+    if (doctorOnLeave) {
+        return doctorOnLeave;
+    }
+
+    const conflicts = await findSchedulingConflicts({ start, duration, doctorId, patientId, resourceIds, excludeAppointmentIds, excludeOfferIds });
+    if (conflicts.length > 0) {
+        return formatConflictResponse(conflicts);
+    }
+
+    return null;
+};
+
+/**
+ * List bookable slots for a doctor on a calendar day
+ * A slot must fall inside one of the doctor's shifts, avoid its breaks, fit the clinic's
+ * opening hours, and not overlap the doctor's scheduled or confirmed appointments or held slots
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID (for timezone and fallback hours)
+ * @param {string} params.doctorId - Doctor user ID
+ * @param {string} [params.clinicId] - Limit to one clinic
+ * @param {string} params.date - "YYYY-MM-DD" in the organization's timezone
+ * @param {number} [params.duration] - Appointment length in minutes (default: each shift's slot length)
+ * @param {string[]} [params.resourceIds] - Clinic resources that must also be free (with clinicId)
+ * @param {string[]} [params.excludeAppointmentIds] - Appointments to ignore (e.g. the one being moved)
+ * @returns {Promise<Object>} - { date, timezone, slots, unavailableReason }
+ */
+const getAvailableSlots = async ({ organizationId, doctorId, clinicId, date, duration, resourceIds = [], excludeAppointmentIds = [] }) => {
+    const settings = await getOrganizationSettings(organizationId);
+    const { timezone } = settings;
+    const result = { date, timezone, slots: [], unavailableReason: null };
+
+    // 1. Nothing is bookable while the doctor is on leave
+    const leave = await findDoctorLeave(doctorId, date);
+    if (leave) {
+        return { ...result, unavailableReason: 'DOCTOR_ON_LEAVE' };
+    }
+
+    // 2. Get the doctor's shifts for that weekday
+    const dayOfWeek = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+    const schedules = await prisma.doctorSchedule.findMany({
+        where: {
+            doctorId,
+            dayOfWeek,
+            ...(clinicId && { clinicId })
+        },
+        include: {
+            breaks: true
+        },
+        orderBy: {
+            startTime: 'asc'
+        }
+    });
+
+    if (schedules.length === 0) {
+        return { ...result, unavailableReason: 'NO_SCHEDULE' };
+    }
+
+    // 3. Get the doctor's and resources' booked time that day, including bookings running over from the day before
+    const dayRange = getZonedDayRange(date, timezone);
+    const appointments = await prisma.appointment.findMany({
+        where: {
+            id: { notIn: excludeAppointmentIds },
+            OR: [
+                { doctorId },
+                ...(resourceIds.length > 0 ? [{ resources: { some: { id: { in: resourceIds } } } }] : [])
+            ],
+            status: { in: BLOCKING_STATUSES },
+            appointmentDate: {
+                gt: new Date(dayRange.start.getTime() - MAX_APPOINTMENT_DURATION_MINUTES * 60 * 1000),
+                lt: dayRange.end
+            }
+        },
+        select: {
+            appointmentDate: true,
+            duration: true
+        }
+    });
+
+    const held = await findHeldSlots({ start: dayRange.start, end: dayRange.end, doctorId, resourceIds });
+
+    const booked = appointments.map(appointment => ({
+        start: appointment.appointmentDate.getTime(),
+        end: appointment.appointmentDate.getTime() + appointment.duration * 60 * 1000
+    })).concat(held.map(offer => ({
+        start: offer.slotStart.getTime(),
+        end: offer.slotStart.getTime() + offer.duration * 60 * 1000
+    })));
+
+    // 4. Walk each shift in slot-length steps, noting why open times were dropped
+    const { year, month, day } = parseDateOnly(date);
+    const now = Date.now();
+    const clinicCache = new Map();
+    let openSlots = 0;
+    let futureSlots = 0;
+
+    for (const schedule of schedules) {
+        if (!clinicCache.has(schedule.clinicId)) {
+            const closure = await findClinicClosure(schedule.clinicId, date);
+            const { hours } = await getClinicHours(schedule.clinicId, settings);
+            clinicCache.set(schedule.clinicId, {
+                closed: !!closure,
+                hours: hours.filter(interval => interval.dayOfWeek === dayOfWeek)
+            });
+        }
+
+        const clinic = clinicCache.get(schedule.clinicId);
+        if (clinic.closed) {
+            continue;
+        }
+
+        const length = duration || schedule.slotDuration;
+        const shiftEnd = timeToMinutes(schedule.endTime);
+
+        for (let minute = timeToMinutes(schedule.startTime); minute + length <= shiftEnd; minute += schedule.slotDuration) {
+            const slotEndMinute = minute + length;
+
+            const onBreak = schedule.breaks.some(scheduleBreak =>
+                minute < timeToMinutes(scheduleBreak.endTime) && slotEndMinute > timeToMinutes(scheduleBreak.startTime)
+            );
+            const clinicOpen = clinic.hours.some(interval =>
+                minute >= timeToMinutes(interval.openTime) && slotEndMinute <= timeToMinutes(interval.closeTime)
+            );
+
+            if (onBreak || !clinicOpen) {
+                continue;
+            }
+            openSlots++;
+
+            const start = zonedTimeToUtc({ year, month, day, hour: Math.floor(minute / 60), minute: minute % 60 }, timezone);
+            const end = new Date(start.getTime() + length * 60 * 1000);
+
+            if (start.getTime() <= now) {
+                continue;
+            }
+            futureSlots++;
+
+            const taken = booked.some(appointment => start.getTime() < appointment.end && end.getTime() > appointment.start);
+
+            if (taken) {
+                continue;
+            }
+
+            result.slots.push({
+                clinicId: schedule.clinicId,
+                time: minutesToTime(minute),
+                start,
+                end,
+                duration: length
+            });
+        }
+    }
+
+    result.slots.sort((a, b) => a.start - b.start);
+
+    if (result.slots.length === 0) {
+        const allClosed = [...clinicCache.values()].every(clinic => clinic.closed);
+
+        if (allClosed) {
+            result.unavailableReason = 'CLINIC_CLOSED';
+        } else if (openSlots === 0) {
+            result.unavailableReason = 'OUTSIDE_CLINIC_HOURS';
+        } else if (futureSlots === 0) {
+            result.unavailableReason = 'PAST_DATE';
+        } else {
+            result.unavailableReason = 'FULLY_BOOKED';
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Check that the patient, doctor and clinic of a booking belong to the organization
+ * @param {Object} params
+ * @param {string} params.patientId - Patient ID
+ * @param {string} params.doctorId - Doctor ID
+ * @param {string} params.clinicId - Clinic ID
+ * @param {string} params.organizationId - Organization ID
+ * @returns {Promise<string|null>} - Error message, or null if all belong to the organization
+ */
+const getBookingPartiesError = async ({ patientId, doctorId, clinicId, organizationId }) => {
+    const [patient, doctor, clinic] = await Promise.all([
+        prisma.patient.findFirst({
+            where: {
+                id: patientId,
+                clinic: {
+                    organizationId
+                }
+            }
+        }),
+        prisma.user.findFirst({
+            where: {
+                id: doctorId,
+                organizationId,
+                role: 'DOCTOR'
+            }
+        }),
+        prisma.clinic.findFirst({
+            where: {
+                id: clinicId,
+                organizationId
+            }
+        })
+    ]);
+
+    if (!patient) return 'Invalid patient selected';
+    if (!doctor) return 'Invalid doctor selected';
+    if (!clinic) return 'Invalid clinic selected';
+    return null;
+};
+
+module.exports = {
+    BLOCKING_STATUSES,
+    MAX_APPOINTMENT_DURATION_MINUTES,
+    timeToMinutes,
+    minutesToTime,
+    hasOverlappingIntervals,
+    getClinicHours,
+    findClinicClosure,
+    findDoctorLeave,
+    checkDoctorLeave,
+    checkClinicAvailability,
+    findHeldSlots,
+    findSchedulingConflicts,
+    formatConflictResponse,
+    checkAppointmentSlot,
+    getAvailableSlots,
+    getBookingPartiesError
+};
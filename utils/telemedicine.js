@@ -0,0 +1,207 @@
+// utils/telemedicine.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+
+const APPOINTMENT_MODES = ['IN_PERSON', 'VIDEO', 'PHONE'];
+
+// Video calls can be joined from shortly before the start until a while after the end
+const JOIN_OPENS_MINUTES_BEFORE = parseInt(process.env.TELEMEDICINE_JOIN_OPENS_MINUTES) || 15;
+const JOIN_CLOSES_MINUTES_AFTER = parseInt(process.env.TELEMEDICINE_JOIN_CLOSES_MINUTES) || 30;
+
+// Appointments whose call can still be joined
+const JOINABLE_STATUSES = ['SCHEDULED', 'CONFIRMED', 'IN_PROGRESS'];
+
+// Join links stay valid until a day after the appointment starts
+const JOIN_LINK_GRACE_SECONDS = 24 * 60 * 60;
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+/**
+ * Registered meeting providers
+ * A provider is an object { name, createMeeting } where
+ * createMeeting({ appointmentId, start, duration }) creates a video room and resolves to
+ * { meetingId, url, hostUrl? }. Rooms must accept participants at any time: the join
+ * window is enforced here, and rescheduled appointments keep their room.
+ */
+const providers = {};
+
+/**
+ * Register a meeting provider under a name
+ * The provider used is picked with the TELEMEDICINE_PROVIDER environment variable
+ * @param {Object} provider - { name, createMeeting }
+ */
+const registerMeetingProvider = (provider) => {
+    providers[provider.name] = provider;
+};
+
+/**
+ * Provider for development and tests
+ * Each appointment always gets the same room URL under TELEMEDICINE_STUB_URL
+ */
+const stubProvider = {
+    name: 'stub',
+    createMeeting: async ({ appointmentId }) => {
+        const baseUrl = process.env.TELEMEDICINE_STUB_URL || 'https://meet.cognicare.local';
+        const meetingId = `cognicare-${crypto.createHash('sha256').update(appointmentId).digest('hex').slice(0, 16)}`;
+
+        return {
+            meetingId,
+            url: `${baseUrl}/${meetingId}`,
+            hostUrl: `${baseUrl}/${meetingId}?role=host`
+        };
+    }
+};
+
+registerMeetingProvider(stubProvider);
+
+/**
+ * Get the configured provider
+ * @returns {Object} - Provider
+ */
+const getMeetingProvider = () => {
+    const name = process.env.TELEMEDICINE_PROVIDER || 'stub';
+
+    if (!providers[name]) {
+        throw new Error(`Unknown meeting provider "${name}"`);
+    }
+
+    return providers[name];
+};
+
+/**
+ * Times between which an appointment's video call can be joined
+ * @param {Object} appointment - Appointment with appointmentDate and duration
+ * @returns {Object} - { opensAt, closesAt }
+ */
+const getJoinWindow = (appointment) => {
+    const start = appointment.appointmentDate.getTime();
+
+    return {
+        opensAt: new Date(start - JOIN_OPENS_MINUTES_BEFORE * 60 * 1000),
+        closesAt: new Date(start + (appointment.duration + JOIN_CLOSES_MINUTES_AFTER) * 60 * 1000)
+    };
+};
+
+/**
+ * Check whether an appointment's video call can be joined now
+ * @param {Object} appointment - Appointment with mode, status, appointmentDate and duration
+ * @returns {Object|null} - { status, body } error response, or null if it can be joined
+ */
+const getJoinError = (appointment) => {
+    if (appointment.mode !== 'VIDEO') {
+        return { status: 400, body: { error: 'This is not a video appointment', code: 'NOT_VIDEO_APPOINTMENT' } };
+    }
+
+    if (!JOINABLE_STATUSES.includes(appointment.status)) {
+        return { status: 400, body: { error: `Cannot join a ${appointment.status.toLowerCase()} appointment`, code: 'APPOINTMENT_NOT_ACTIVE' } };
+    }
+
+    const { opensAt, closesAt } = getJoinWindow(appointment);
+    const now = new Date();
+
+    if (now < opensAt) {
+        return { status: 403, body: { error: `The call opens ${JOIN_OPENS_MINUTES_BEFORE} minutes before the appointment`, code: 'JOIN_WINDOW_NOT_OPEN', opensAt, closesAt } };
+    }
+
+    if (now > closesAt) {
+        return { status: 403, body: { error: 'The call for this appointment has closed', code: 'JOIN_WINDOW_CLOSED', opensAt, closesAt } };
+    }
+
+    return null;
+};
+
+/**
+ * Get the video room of an appointment, creating it with the provider on first use
+ * @param {Object} appointment - VIDEO appointment
+ * @returns {Promise<Object>} - { url, hostUrl }
+ */
+const ensureMeeting = async (appointment) => {
+    if (appointment.meetingUrl) {
+        return { url: appointment.meetingUrl, hostUrl: appointment.meetingHostUrl || appointment.meetingUrl };
+    }
+
+    const provider = getMeetingProvider();
+    const meeting = await provider.createMeeting({
+        appointmentId: appointment.id,
+        start: appointment.appointmentDate,
+        duration: appointment.duration
+    });
+
+    // Keep the room of whoever joined first
+    const { count } = await prisma.appointment.updateMany({
+        where: { id: appointment.id, meetingUrl: null },
+        data: {
+            meetingProvider: provider.name,
+            meetingId: meeting.meetingId,
+            meetingUrl: meeting.url,
+            meetingHostUrl: meeting.hostUrl
+        }
+    });
+
+    if (count === 0) {
+        const saved = await prisma.appointment.findUnique({
+            where: { id: appointment.id },
+            select: { meetingUrl: true, meetingHostUrl: true }
+        });
+        return { url: saved.meetingUrl, hostUrl: saved.meetingHostUrl || saved.meetingUrl };
+    }
+
+    return { url: meeting.url, hostUrl: meeting.hostUrl || meeting.url };
+};
+
+/**
+ * Sign the token of a patient's link to join a video appointment
+ * @param {Object} appointment - Appointment with id and appointmentDate
+ * @returns {string} - Signed JWT
+ */
+const signJoinToken = (appointment) => {
+    const secondsUntilStart = Math.max(Math.ceil((appointment.appointmentDate.getTime() - Date.now()) / 1000), 0);
+
+    return jwt.sign(
+        {
+            appointmentId: appointment.id,
+            type: 'appointment_join'
+        },
+        JWT_SECRET,
+        { expiresIn: secondsUntilStart + JOIN_LINK_GRACE_SECONDS }
+    );
+};
+
+/**
+ * Verify a join link token
+ * @param {string} token - Token from the join link
+ * @returns {Object|null} - Decoded payload or null if invalid/expired
+ */
+const verifyJoinToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded.type === 'appointment_join' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build the link a patient uses to join a video appointment
+ * @param {Object} appointment - Appointment with id and appointmentDate
+ * @returns {string} - URL
+ */
+const getJoinUrl = (appointment) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${frontendUrl}/video-visit?token=${signJoinToken(appointment)}`;
+};
+
+module.exports = {
+    APPOINTMENT_MODES,
+    JOIN_OPENS_MINUTES_BEFORE,
+    JOIN_CLOSES_MINUTES_AFTER,
+    registerMeetingProvider,
+    getMeetingProvider,
+    getJoinWindow,
+    getJoinError,
+    ensureMeeting,
+    signJoinToken,
+    verifyJoinToken,
+    getJoinUrl
+};
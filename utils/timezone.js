@@ -0,0 +1,203 @@
+// utils/timezone.js
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+
+    return formatters.get(timezone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - e.g. "Asia/Kolkata"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, dayOfWeek (0 = Sunday) }
+ */
+const getZonedParts = (date, timezone) => {
+    const parts = {};
+    getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        dayOfWeek: WEEKDAYS.indexOf(parts.weekday)
+    };
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffset = (date, timezone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to the instant it represents
+ * @param {Object} wallTime - { year, month (1-12), day, hour, minute }
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Re-check the offset at the result so DST transitions resolve correctly
+    let result = asUtc - getTimezoneOffset(new Date(asUtc), timezone);
+    result = asUtc - getTimezoneOffset(new Date(result), timezone);
+
+    return new Date(result);
+};
+
+/**
+ * Parse a "YYYY-MM-DD" string into its parts
+ * @param {string} value - Calendar date
+ * @returns {Object|null} - { year, month, day } or null if not a date-only string
+ */
+const parseDateOnly = (value) => {
+    if (!DATE_ONLY_PATTERN.test(String(value))) {
+        return null;
+    }
+
+    const [year, month, day] = value.split('-').map(Number);
+    return { year, month, day };
+};
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - "YYYY-MM-DD"
+ */
+const toZonedDateString = (date, timezone) => {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Start and end instants of a calendar day in a timezone
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { start, end } where end is the start of the next day
+ */
+const getZonedDayRange = (date, timezone) => {
+    const { year, month, day } = parseDateOnly(date);
+    const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+
+    return {
+        start: zonedTimeToUtc({ year, month, day }, timezone),
+        end: zonedTimeToUtc({
+            year: nextDay.getUTCFullYear(),
+            month: nextDay.getUTCMonth() + 1,
+            day: nextDay.getUTCDate()
+        }, timezone)
+    };
+};
+
+/**
+ * Start of the current month in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now] - Reference instant
+ * @returns {Date}
+ */
+const getZonedMonthStart = (timezone, now = new Date()) => {
+    const { year, month } = getZonedParts(now, timezone);
+    return zonedTimeToUtc({ year, month, day: 1 }, timezone);
+};
+
+/**
+ * Resolve analytics-style startDate/endDate query values
+ * Date-only values cover whole days in the timezone; full timestamps are used as given
+ * @param {string} [startDate] - Start of range
+ * @param {string} [endDate] - End of range (inclusive)
+ * @param {string} timezone - IANA timezone
+ * @param {number} [defaultDays] - Range length when startDate is missing
+ * @returns {Object} - { start, end }
+ */
+const resolveDateRange = (startDate, endDate, timezone, defaultDays = 30) => {
+    let end = new Date();
+    if (endDate) {
+        end = parseDateOnly(endDate)
+            ? new Date(getZonedDayRange(endDate, timezone).end.getTime() - 1)
+            : new Date(endDate);
+    }
+
+    let start = new Date(Date.now() - defaultDays * 24 * 60 * 60 * 1000);
+    if (startDate) {
+        start = parseDateOnly(startDate)
+            ? getZonedDayRange(startDate, timezone).start
+            : new Date(startDate);
+    }
+
+    return { start, end };
+};
+
+/**
+ * Human-readable date and time of an instant, for messages to patients
+ * @param {Date} date - Instant
+ * @param {Object} settings - Organization settings
+ * @param {string} settings.timezone - IANA timezone
+ * @param {string} [settings.locale] - BCP 47 locale, e.g. "en-IN"
+ * @returns {string} - e.g. "Monday, 20 January 2025 at 10:30 am"
+ */
+const formatDateTime = (date, { timezone, locale }) => {
+    return new Intl.DateTimeFormat(locale || 'en-IN', {
+        timeZone: timezone,
+        dateStyle: 'full',
+        timeStyle: 'short'
+    }).format(date);
+};
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc,
+    parseDateOnly,
+    toZonedDateString,
+    getZonedDayRange,
+    getZonedMonthStart,
+    resolveDateRange,
+    formatDateTime
+};
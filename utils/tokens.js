@@ -0,0 +1,193 @@
+// utils/tokens.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Create an error carrying a machine-readable code for token failures
+ * @param {string} message - Human readable message
+ * @param {string} code - Error code returned to the client
+ * @returns {Error}
+ */
+const tokenError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Raw token secret
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User record
+ * @param {string} sessionId - Session ID
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user, sessionId) => {
+    return jwt.sign(
+        {
+            userId: user.id,
+            email: user.email,
+            role: user.role,
+            organizationId: user.organizationId,
+            sessionId,
+            type: 'access'
+        },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Build the token pair returned to clients
+ * Refresh tokens are "<sessionId>.<secret>" so the session can be located without a scan
+ */
+const buildTokenPair = (user, session, secret) => ({
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionId: session.id
+});
+
+/**
+ * Extract device metadata from an incoming request
+ * @param {Object} req - Express request
+ * @returns {Object} - Device name, user agent and IP address
+ */
+const getDeviceInfo = (req) => ({
+    deviceName: req.body?.deviceName,
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip
+});
+
+/**
+ * Create a new session for a user and issue tokens
+ * @param {Object} user - User record
+ * @param {Object} device - Device metadata (deviceName, userAgent, ipAddress)
+ * @returns {Promise<Object>} - Access token, refresh token and session ID
+ */
+const createSession = async (user, device = {}) => {
+    const secret = crypto.randomBytes(48).toString('hex');
+
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            refreshTokenHash: hashToken(secret),
+            deviceName: device.deviceName,
+            userAgent: device.userAgent,
+            ipAddress: device.ipAddress,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+        }
+    });
+
+    return buildTokenPair(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented refresh token is invalidated; presenting it again revokes the session
+ * @param {string} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @param {Object} device - Device metadata (userAgent, ipAddress)
+ * @returns {Promise<Object>} - New access token and refresh token
+ */
+const rotateSession = async (refreshToken, device = {}) => {
+    const [sessionId, secret] = String(refreshToken).split('.');
+
+    if (!sessionId || !secret) {
+        throw tokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const session = await prisma.session.findUnique({
+        where: { id: sessionId },
+        include: { user: true }
+    });
+
+    if (!session || session.revokedAt) {
+        throw tokenError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    if (session.expiresAt < new Date()) {
+        throw tokenError('Session has expired', 'SESSION_EXPIRED');
+    }
+
+    // A mismatched secret means an already-rotated token was replayed
+    if (session.refreshTokenHash !== hashToken(secret)) {
+        await revokeSession(session.id);
+        throw tokenError('Refresh token reuse detected. Session revoked.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (!session.user.isEmailVerified) {
+        throw tokenError('Email verification required', 'EMAIL_NOT_VERIFIED');
+    }
+
+    const newSecret = crypto.randomBytes(48).toString('hex');
+
+    // Only swap the secret if it is still the presented one, so a parallel refresh
+    // with the same token loses and counts as reuse
+    const { count } = await prisma.session.updateMany({
+        where: {
+            id: session.id,
+            refreshTokenHash: hashToken(secret),
+            revokedAt: null
+        },
+        data: {
+            refreshTokenHash: hashToken(newSecret),
+            lastUsedAt: new Date(),
+            userAgent: device.userAgent || session.userAgent,
+            ipAddress: device.ipAddress || session.ipAddress
+        }
+    });
+
+    if (count === 0) {
+        await revokeSession(session.id);
+        throw tokenError('Refresh token reuse detected. Session revoked.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    return buildTokenPair(session.user, session, newSecret);
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ */
+const revokeSession = async (sessionId) => {
+    await prisma.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date() }
+    });
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep active (usually the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, exceptSessionId) => {
+    const result = await prisma.session.updateMany({
+        where: {
+            userId,
+            revokedAt: null,
+            ...(exceptSessionId && { id: { not: exceptSessionId } })
+        },
+        data: { revokedAt: new Date() }
+    });
+
+    return result.count;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    getDeviceInfo
+};
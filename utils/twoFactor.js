@@ -0,0 +1,192 @@
+// utils/twoFactor.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const prisma = require('../lib/prisma');
+
+// Accept codes from the previous and next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'CogniCare';
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate a new TOTP secret with its otpauth URI and QR code
+ * @param {string} email - Account label shown in the authenticator app
+ * @returns {Promise<Object>} - Secret, otpauth URI and QR code data URL
+ */
+const generateTwoFactorSecret = async (email) => {
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 TOTP secret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {number|null} - Time step of the code, or null if it is not valid
+ */
+const getTwoFactorCodeStep = (secret, code) => {
+    if (!secret || !code) {
+        return null;
+    }
+
+    try {
+        const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+        if (delta === null) {
+            return null;
+        }
+
+        return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Verify a user's TOTP code and use it up
+ * A code is accepted once: later requests with the same or an earlier code are refused,
+ * even while it is still within its window.
+ * @param {Object} user - User with id and twoFactorSecret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+const verifyTwoFactorCode = async (user, code) => {
+    const step = getTwoFactorCodeStep(user.twoFactorSecret, code);
+    if (step === null) {
+        return false;
+    }
+
+    const { count } = await prisma.user.updateMany({
+        where: {
+            id: user.id,
+            OR: [
+                { twoFactorLastUsedStep: null },
+                { twoFactorLastUsedStep: { lt: step } }
+            ]
+        },
+        data: { twoFactorLastUsedStep: step }
+    });
+
+    return count === 1;
+};
+
+const hashRecoveryCode = (code) => {
+    return crypto.createHash('sha256').update(String(code).replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+/**
+ * Generate single-use recovery codes
+ * @returns {Object} - Plain codes (shown to the user once) and their hashes (stored)
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map(hashRecoveryCode)
+    };
+};
+
+/**
+ * Consume a recovery code
+ * @param {string[]} hashes - Stored recovery code hashes
+ * @param {string} code - Recovery code entered by the user
+ * @returns {string[]|null} - Remaining hashes, or null if the code is not valid
+ */
+const consumeRecoveryCode = (hashes, code) => {
+    if (!code) {
+        return null;
+    }
+
+    const hash = hashRecoveryCode(code);
+    if (!hashes.includes(hash)) {
+        return null;
+    }
+
+    return hashes.filter(h => h !== hash);
+};
+
+/**
+ * Sign a short-lived token proving the password step of login succeeded
+ * Only the user's latest challenge is valid, and only until it is completed.
+ * @param {Object} user - User record
+ * @returns {Promise<string>} - Signed JWT
+ */
+const signChallengeToken = async (user) => {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorChallengeId: challengeId }
+    });
+
+    return jwt.sign(
+        {
+            userId: user.id,
+            challengeId,
+            type: 'two_factor_challenge'
+        },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Use up a login challenge once its second factor succeeded
+ * @param {Object} challenge - Result of verifyChallengeToken
+ * @returns {Promise<boolean>} - False if the challenge was already completed or replaced
+ */
+const completeChallenge = async (challenge) => {
+    const { count } = await prisma.user.updateMany({
+        where: {
+            id: challenge.userId,
+            twoFactorChallengeId: challenge.challengeId
+        },
+        data: { twoFactorChallengeId: null }
+    });
+
+    return count === 1;
+};
+
+/**
+ * Verify a login challenge token
+ * @param {string} token - Challenge token from login
+ * @returns {Object|null} - Decoded payload or null if invalid/expired
+ */
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        return decoded.type === 'two_factor_challenge' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check whether a user must have 2FA enabled under their organization's policy
+ * @param {Object} user - User record with organization loaded
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (user) => {
+    return user.role === 'ADMIN' && !!user.organization?.requireAdminTwoFactor;
+};
+
+module.exports = {
+    generateTwoFactorSecret,
+    verifyTwoFactorCode,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    signChallengeToken,
+    completeChallenge,
+    verifyChallengeToken,
+    isTwoFactorRequired
+};
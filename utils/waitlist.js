@@ -0,0 +1,262 @@
+// utils/waitlist.js
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const { getOrganizationSettings } = require('./organizationSettings');
+const { getZonedParts, toZonedDateString } = require('./timezone');
+const { timeToMinutes, checkAppointmentSlot } = require('./scheduling');
+const { sendWaitlistOfferNotification } = require('./notifications');
+
+// How long a freed slot is held for the patient it is offered to
+const WAITLIST_OFFER_HOLD_MINUTES = parseInt(process.env.WAITLIST_OFFER_HOLD_MINUTES) || 30;
+
+// Slots starting sooner than this are not offered
+const MIN_OFFER_LEAD_MINUTES = 15;
+
+/**
+ * Check whether a slot suits a waitlist entry's preferences
+ * @param {Object} entry - Waitlist entry
+ * @param {Date} start - Slot start
+ * @param {string} timezone - Organization's IANA timezone
+ * @returns {boolean}
+ */
+const fitsWaitlistPreferences = (entry, start, timezone) => {
+    const date = toZonedDateString(start, timezone);
+    if (entry.earliestDate && date < entry.earliestDate.toISOString().slice(0, 10)) return false;
+    if (entry.latestDate && date > entry.latestDate.toISOString().slice(0, 10)) return false;
+
+    const { dayOfWeek, hour, minute } = getZonedParts(start, timezone);
+    if (entry.preferredDays.length > 0 && !entry.preferredDays.includes(dayOfWeek)) return false;
+
+    const startMinutes = hour * 60 + minute;
+    if (entry.preferredStartTime && startMinutes < timeToMinutes(entry.preferredStartTime)) return false;
+    if (entry.preferredEndTime && startMinutes + entry.duration > timeToMinutes(entry.preferredEndTime)) return false;
+
+    return true;
+};
+
+/**
+ * Offer a free slot to the longest-waiting eligible patient on the doctor's waitlist at the clinic
+ * The slot is held for that patient until they answer or the hold runs out. Patients who
+ * were already offered the same slot, are busy at that time or cannot be reached are passed over.
+ * @param {Object} slot
+ * @param {string} slot.organizationId - Organization ID
+ * @param {string} slot.doctorId - Doctor user ID
+ * @param {string} slot.clinicId - Clinic ID
+ * @param {string[]} [slot.resourceIds] - Clinic rooms and equipment held with the slot
+ * @param {Date} slot.start - Slot start
+ * @param {number} slot.duration - Slot length in minutes
+ * @param {string} [slot.sourceAppointmentId] - Cancelled appointment that freed the slot
+ * @returns {Promise<Object|null>} - Offer made, or null if nobody could take the slot
+ */
+const offerSlot = async (slot) => {
+    if (slot.start.getTime() - Date.now() < MIN_OFFER_LEAD_MINUTES * 60 * 1000) {
+        return null;
+    }
+
+    // 1. Waiting patients, oldest first, who fit in the slot and were not offered it before
+    const [settings, entries] = await Promise.all([
+        getOrganizationSettings(slot.organizationId),
+        prisma.waitlistEntry.findMany({
+            where: {
+                doctorId: slot.doctorId,
+                clinicId: slot.clinicId,
+                status: 'WAITING',
+                duration: { lte: slot.duration },
+                offers: {
+                    none: {
+                        doctorId: slot.doctorId,
+                        slotStart: slot.start
+                    }
+                }
+            },
+            orderBy: {
+                createdAt: 'asc'
+            }
+        })
+    ]);
+
+    for (const entry of entries) {
+        if (!fitsWaitlistPreferences(entry, slot.start, settings.timezone)) continue;
+
+        // 2. The slot must still be bookable for this patient
+        const problem = await checkAppointmentSlot({
+            organizationId: slot.organizationId,
+            start: slot.start,
+            duration: entry.duration,
+            doctorId: slot.doctorId,
+            patientId: entry.patientId,
+            clinicId: slot.clinicId,
+            resourceIds: slot.resourceIds
+        });
+
+        if (problem) {
+            // A patient busy elsewhere makes way for the next one; anything else means the slot is gone
+            const patientBusy = problem.conflicts?.every(conflict => conflict.reasons.every(reason => reason === 'PATIENT_BUSY'));
+            if (patientBusy) continue;
+            return null;
+        }
+
+        // 3. Hold the slot for the patient (skipping entries another offer claimed first)
+        const { count } = await prisma.waitlistEntry.updateMany({
+            where: { id: entry.id, status: 'WAITING' },
+            data: { status: 'OFFERED' }
+        });
+        if (count === 0) continue;
+
+        const offer = await prisma.waitlistOffer.create({
+            data: {
+                waitlistEntryId: entry.id,
+                doctorId: slot.doctorId,
+                clinicId: slot.clinicId,
+                resources: {
+                    connect: (slot.resourceIds || []).map(resourceId => ({ id: resourceId }))
+                },
+                slotStart: slot.start,
+                duration: slot.duration,
+                token: crypto.randomBytes(32).toString('hex'),
+                expiresAt: new Date(Math.min(Date.now() + WAITLIST_OFFER_HOLD_MINUTES * 60 * 1000, slot.start.getTime())),
+                sourceAppointmentId: slot.sourceAppointmentId
+            }
+        });
+
+        // 4. Release the hold right away if the patient could not be told about it
+        const logs = await sendWaitlistOfferNotification(offer.id);
+        if (logs.some(log => log.status === 'SENT')) {
+            return offer;
+        }
+
+        await prisma.$transaction([
+            prisma.waitlistOffer.update({
+                where: { id: offer.id },
+                data: { status: 'WITHDRAWN', respondedAt: new Date() }
+            }),
+            prisma.waitlistEntry.update({
+                where: { id: entry.id },
+                data: { status: 'WAITING' }
+            })
+        ]);
+    }
+
+    return null;
+};
+
+/**
+ * The slot an offer held, to offer it again
+ * @param {Object} offer - Waitlist offer with its resources
+ * @param {string} organizationId - Organization ID
+ * @returns {Object} - Slot for offerSlot
+ */
+const getOfferSlot = (offer, organizationId) => {
+    return {
+        organizationId,
+        doctorId: offer.doctorId,
+        clinicId: offer.clinicId,
+        resourceIds: offer.resources.map(resource => resource.id),
+        start: offer.slotStart,
+        duration: offer.duration,
+        sourceAppointmentId: offer.sourceAppointmentId
+    };
+};
+
+/**
+ * Offer the slot of a cancelled appointment to the waitlist
+ * Never throws, so callers can run it without awaiting it.
+ * @param {Object} appointment - Cancelled appointment with its resources
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object|null>} - Offer made, or null
+ */
+const offerFreedSlot = async (appointment, organizationId) => {
+    try {
+        return await offerSlot({
+            organizationId,
+            doctorId: appointment.doctorId,
+            clinicId: appointment.clinicId,
+            resourceIds: appointment.resources.map(resource => resource.id),
+            start: appointment.appointmentDate,
+            duration: appointment.duration,
+            sourceAppointmentId: appointment.id
+        });
+    } catch (error) {
+        console.error('Waitlist offer error:', error);
+        return null;
+    }
+};
+
+/**
+ * Expire offers whose hold has run out and pass their slots on
+ * Patients who let an offer expire go back to waiting for other slots.
+ * Entries whose latest acceptable date has passed are closed.
+ * @returns {Promise<number>} - Number of offers expired
+ */
+const expireWaitlistOffers = async () => {
+    // 1. Offers past their hold
+    const offers = await prisma.waitlistOffer.findMany({
+        where: {
+            status: 'PENDING',
+            expiresAt: { lte: new Date() }
+        },
+        include: {
+            waitlistEntry: {
+                select: {
+                    clinic: {
+                        select: {
+                            organizationId: true
+                        }
+                    }
+                }
+            },
+            resources: {
+                select: {
+                    id: true
+                }
+            }
+        },
+        orderBy: {
+            expiresAt: 'asc'
+        }
+    });
+
+    let expiredCount = 0;
+
+    for (const offer of offers) {
+        // Skip offers answered since they were read
+        const { count } = await prisma.waitlistOffer.updateMany({
+            where: { id: offer.id, status: 'PENDING' },
+            data: { status: 'EXPIRED' }
+        });
+        if (count === 0) continue;
+
+        expiredCount++;
+        await prisma.waitlistEntry.updateMany({
+            where: { id: offer.waitlistEntryId, status: 'OFFERED' },
+            data: { status: 'WAITING' }
+        });
+
+        // 2. Offer the slot to the next patient
+        await offerSlot(getOfferSlot(offer, offer.waitlistEntry.clinic.organizationId));
+    }
+
+    // 3. Close entries whose latest date is over (two days' margin covers every timezone)
+    await prisma.waitlistEntry.updateMany({
+        where: {
+            status: 'WAITING',
+            latestDate: { lt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) }
+        },
+        data: { status: 'EXPIRED' }
+    });
+
+    if (expiredCount > 0) {
+        console.log(`⏳ Expired ${expiredCount} waitlist offer(s)`);
+    }
+
+    return expiredCount;
+};
+
+module.exports = {
+    WAITLIST_OFFER_HOLD_MINUTES,
+    fitsWaitlistPreferences,
+    offerSlot,
+    getOfferSlot,
+    offerFreedSlot,
+    expireWaitlistOffers
+};